@@ -1,6 +1,7 @@
 const Groq = require('groq-sdk');
-const { pruneMessageHistory } = require('./messageUtils');
+const { pruneMessageHistory, withSystemPrompt } = require('./messageUtils');
 const { supportsBuiltInTools } = require('../shared/models');
+const { getEnabledTools } = require('./utils');
 
 function validateApiKey(settings) {
     if (!settings.GROQ_API_KEY || settings.GROQ_API_KEY === "<replace me>") {
@@ -30,12 +31,12 @@ function checkVisionSupport(messages, modelInfo, modelToUse, event) {
     return true; // Return true to indicate vision check passed
 }
 
-function prepareTools(discoveredTools) {
-    // Prepare tools for the API call
-    const tools = (discoveredTools || []).map(tool => ({
+function prepareTools(discoveredTools, settings) {
+    // Prepare the tools enabled in the Tools panel for the API call
+    const tools = getEnabledTools(discoveredTools, settings).map(tool => ({
         type: "function",
         function: {
-            name: tool.name,
+            name: tool.modelName || tool.name,
             description: tool.description,
             parameters: tool.input_schema || {} // Ensure parameters is an object
         }
@@ -53,6 +54,10 @@ function cleanMessages(messages) {
         const cleanMsg = { ...msg };
         delete cleanMsg.reasoning;
         delete cleanMsg.isStreaming;
+        delete cleanMsg.compaction;
+        delete cleanMsg.model;
+        delete cleanMsg.provider;
+        delete cleanMsg.usage;
 
         // Ensure user content is array format for vision support
         if (cleanMsg.role === 'user') {
@@ -61,7 +66,8 @@ function cleanMessages(messages) {
             } else if (!Array.isArray(cleanMsg.content)) {
                 cleanMsg.content = [{ type: 'text', text: '' }];
             }
-            cleanMsg.content = cleanMsg.content.map(part => ({ type: part.type || 'text', ...part }));
+            // `resource` only tells the UI which MCP resource a part came from
+            cleanMsg.content = cleanMsg.content.map(({ resource: _resource, ...part }) => ({ type: part.type || 'text', ...part }));
         }
 
         // Ensure assistant content is string format
@@ -114,7 +120,7 @@ function buildApiParams(prunedMessages, modelToUse, settings, tools, modelContex
     }
 
     const apiParams = {
-        messages: [{ role: "system", content: systemPrompt }, ...prunedMessages],
+        messages: withSystemPrompt(systemPrompt, prunedMessages),
         model: modelToUse,
         temperature: settings.temperature ?? 0.7,
         top_p: settings.top_p ?? 0.95,
@@ -151,11 +157,12 @@ function processStreamChunk(chunk, event, accumulatedData) {
         event.sender.send('chat-stream-content', { content: delta.content });
     }
 
-    // Compound-beta reasoning streaming
-    if (delta?.reasoning) {
-        accumulatedData.reasoning += delta.reasoning;
+    // Compound-beta reasoning streaming; vLLM and llama.cpp name the field reasoning_content
+    const reasoning = delta?.reasoning || delta?.reasoning_content;
+    if (reasoning) {
+        accumulatedData.reasoning += reasoning;
         event.sender.send('chat-stream-reasoning', {
-            reasoning: delta.reasoning,
+            reasoning,
             accumulated: accumulatedData.reasoning
         });
     }
@@ -365,7 +372,7 @@ async function handleChatStream(event, messages, model, settings, modelContextSi
         }
         
         const groq = new Groq(groqConfig);
-        const tools = prepareTools(discoveredTools);
+        const tools = prepareTools(discoveredTools, settings);
         const cleanedMessages = cleanMessages(messages);
         const prunedMessages = pruneMessageHistory(cleanedMessages, modelToUse, modelContextSizes);
         const chatCompletionParams = buildApiParams(prunedMessages, modelToUse, settings, tools, modelContextSizes);
@@ -376,4 +383,10 @@ async function handleChatStream(event, messages, model, settings, modelContextSi
     }
 }
 
-module.exports = { handleChatStream };
+module.exports = {
+    handleChatStream,
+    prepareTools,
+    cleanMessages,
+    processStreamChunk,
+    handleStreamCompletion
+};
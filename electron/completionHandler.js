@@ -0,0 +1,51 @@
+/**
+ * Handler for MCP Completions
+ * Asks a server for suggested values of a prompt argument or resource template variable
+ * (completion/complete), for servers that declare the `completions` capability.
+ */
+
+const { validateServerConnection } = require('./utils');
+
+/**
+ * Handles the 'complete-mcp-argument' IPC event.
+ *
+ * @param {string} serverId - The server that owns the prompt or resource template.
+ * @param {{type: 'ref/prompt', name: string}|{type: 'ref/resource', uri: string}} ref - What is being completed.
+ * @param {{name: string, value: string}} argument - The argument and what the user has typed so far.
+ * @param {object} [contextArguments] - Values of the other arguments, which servers may use to narrow suggestions.
+ * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
+ * @returns {Promise<{values: string[], hasMore?: boolean, total?: number, error?: string}>}
+ */
+async function handleCompleteArgument(serverId, ref, argument, contextArguments, mcpClients) {
+  const serverValidation = validateServerConnection(serverId, mcpClients);
+  if (!serverValidation.isValid) {
+    return { values: [], error: serverValidation.error };
+  }
+
+  const client = serverValidation.client;
+  if (!client.getServerCapabilities()?.completions) {
+    // Not an error: the form simply offers no suggestions
+    return { values: [] };
+  }
+
+  const params = { ref, argument };
+  if (contextArguments && Object.keys(contextArguments).length > 0) {
+    params.context = { arguments: contextArguments };
+  }
+
+  try {
+    const result = await client.complete(params);
+    return {
+      values: result.completion?.values || [],
+      hasMore: result.completion?.hasMore,
+      total: result.completion?.total
+    };
+  } catch (error) {
+    console.warn(`Completion for "${argument?.name}" on server ${serverId} failed:`, error.message);
+    return { values: [], error: error.message };
+  }
+}
+
+module.exports = {
+  handleCompleteArgument
+};
@@ -0,0 +1,426 @@
+/**
+ * Conversation Runner
+ * Owns the agentic turn -> tool -> turn loop, including tool approvals, in the main process.
+ * Renderer windows start a run and subscribe to 'conversation-event' messages; the loop keeps
+ * running (and can be re-attached to) when a window reloads.
+ */
+
+const storage = require('electron-json-storage');
+const { promisify } = require('util');
+const ollamaHandler = require('./ollamaHandler');
+const toolHandler = require('./toolHandler');
+const { getModelContextSizes } = require('../shared/models');
+const { compactMessageHistory } = require('./messageUtils');
+const { findToolByModelName } = require('./utils');
+
+const storageGet = promisify(storage.get);
+const storageSet = promisify(storage.set);
+
+const TOOL_APPROVALS_KEY = 'toolApprovals';
+
+// Latest run per window, keyed by webContents id. Finished runs are kept so a reloaded window can
+// pick up the result it missed.
+const runs = new Map();
+
+let loadSettingsFunc = null;
+let getMcpStateFunc = null;
+let nextRunId = 1;
+
+// --- Tool approval storage --- //
+
+async function loadToolApprovals() {
+    try {
+        const data = await storageGet(TOOL_APPROVALS_KEY);
+        return {
+            yoloMode: data?.yoloMode === true,
+            tools: data?.tools || {}
+        };
+    } catch (error) {
+        console.error('[ConversationRunner] Error reading tool approvals:', error);
+        return { yoloMode: false, tools: {} };
+    }
+}
+
+/**
+ * Get the stored approval status for a tool.
+ * @param {string} toolName - Tool name as seen by the model
+ * @returns {Promise<'yolo'|'always'|'prompt'>}
+ */
+async function getToolApprovalStatus(toolName) {
+    const approvals = await loadToolApprovals();
+    if (approvals.yoloMode) {
+        return 'yolo';
+    }
+    if (approvals.tools[toolName] === 'always') {
+        return 'always';
+    }
+    // Approvals stored before tools were namespaced are keyed by the bare tool name; they still
+    // apply while that name identifies a single tool
+    const { discoveredTools = [] } = getMcpStateFunc();
+    const tool = findToolByModelName(discoveredTools, toolName);
+    if (tool && approvals.tools[tool.name] === 'always' && findToolByModelName(discoveredTools, tool.name) === tool) {
+        return 'always';
+    }
+    return 'prompt';
+}
+
+/**
+ * Persist the user's approval choice for a tool.
+ * 'yolo' approves every tool, 'always' approves this tool, 'once' and 'deny' turn YOLO mode off.
+ * @param {string} toolName - Tool name as seen by the model
+ * @param {'once'|'always'|'yolo'|'deny'} choice - Choice made in the approval dialog
+ */
+async function setToolApprovalStatus(toolName, choice) {
+    const approvals = await loadToolApprovals();
+    if (choice === 'yolo') {
+        approvals.yoloMode = true;
+    } else {
+        approvals.yoloMode = false;
+        if (choice === 'always') {
+            approvals.tools[toolName] = 'always';
+        }
+    }
+    try {
+        await storageSet(TOOL_APPROVALS_KEY, approvals);
+    } catch (error) {
+        console.error('[ConversationRunner] Error saving tool approvals:', error);
+    }
+}
+
+async function resetToolApprovals() {
+    await storageSet(TOOL_APPROVALS_KEY, { yoloMode: false, tools: {} });
+}
+
+// --- Run helpers --- //
+
+// Runs keep the window's branch bookkeeping so re-attaching windows get it back; models never see it
+const withoutBranchData = ({ branches: _branches, branchIndex: _branchIndex, ...message }) => message;
+
+function sendConversationEvent(run, type, data = {}) {
+    if (run.sender.isDestroyed()) return;
+    run.sender.send('conversation-event', { runId: run.id, type, data });
+}
+
+/**
+ * Wrap the IPC event so provider stream events ('chat-stream-*') are forwarded as conversation
+ * events, while the runner keeps the turn result and the partial message for re-attaching windows.
+ */
+function createTurnEvent(event, run) {
+    return {
+        sender: {
+            id: event.sender.id,
+            isDestroyed: () => event.sender.isDestroyed(),
+            send: (channel, data) => {
+                const type = channel.replace(/^chat-stream-/, '');
+
+                if (type === 'start') {
+                    run.streamingMessage = { role: 'assistant', content: '', isStreaming: true };
+                } else if (type === 'content' && run.streamingMessage) {
+                    run.streamingMessage.content += data.content;
+                } else if (type === 'tool-calls' && run.streamingMessage) {
+                    run.streamingMessage.tool_calls = data.tool_calls;
+                } else if (type === 'reasoning' && run.streamingMessage) {
+                    run.streamingMessage.liveReasoning = data.accumulated;
+                } else if (type === 'complete') {
+                    // Record which model answered so regenerated candidates can be told apart
+                    data = { ...data, model: run.model, provider: run.provider };
+                    run.turnResult = { completion: data };
+                    run.streamingMessage = null;
+                } else if (type === 'error') {
+                    run.turnResult = { error: data.error };
+                    run.streamingMessage = null;
+                }
+
+                sendConversationEvent(run, type, data);
+            }
+        }
+    };
+}
+
+function createToolResponse(toolCall, content) {
+    return {
+        role: 'tool',
+        content,
+        tool_call_id: toolCall.id
+    };
+}
+
+function createStoppedToolResponse(toolCall) {
+    return createToolResponse(toolCall, JSON.stringify({ error: 'Tool execution stopped by user.' }));
+}
+
+/**
+ * Ask the window that owns the run to approve a tool call.
+ * @returns {Promise<'once'|'always'|'yolo'|'deny'|'stopped'>}
+ */
+function requestToolApproval(run, toolCall) {
+    return new Promise((resolve) => {
+        run.pendingApproval = { toolCall, resolve };
+        sendConversationEvent(run, 'approval-request', { toolCall });
+    });
+}
+
+/**
+ * Replace the oldest messages with a model-written summary once the history outgrows the context
+ * budget. If summarizing fails the provider's own truncation still applies.
+ */
+async function compactRunHistory(run, settings, modelContextSizes) {
+    try {
+        const compaction = await compactMessageHistory(run.messages, run.model, modelContextSizes,
+            (summaryRequest) => ollamaHandler.completeChat(summaryRequest, run.model, settings, { signal: run.summaryAbortController.signal }));
+        if (!compaction || run.stopRequested) return;
+
+        run.messages.splice(compaction.start, compaction.end - compaction.start, compaction.message);
+        sendConversationEvent(run, 'compacted', compaction);
+    } catch (error) {
+        if (run.stopRequested) return;
+        console.warn('[ConversationRunner] Context compaction failed, falling back to truncation:', error.message);
+    }
+}
+
+async function executeTurn(event, run) {
+    const settings = loadSettingsFunc();
+    const { discoveredTools } = getMcpStateFunc();
+    const modelContextSizes = getModelContextSizes(settings.customModels || {});
+    const settingsWithOptions = { ...settings, ...run.options };
+
+    if (settings.contextCompaction !== 'truncate') {
+        await compactRunHistory(run, settingsWithOptions, modelContextSizes);
+    }
+    // Replaced by a newer run while summarizing; its stream must not take over the window's abort controller
+    if (run.stopRequested) {
+        return { completion: { content: '', finish_reason: 'aborted' } };
+    }
+
+    run.turnResult = null;
+    sendConversationEvent(run, 'turn-start');
+
+    const turnEvent = createTurnEvent(event, run);
+    await ollamaHandler.handleChatStream(turnEvent, run.messages.map(withoutBranchData), run.model, settingsWithOptions, modelContextSizes, discoveredTools);
+
+    if (!run.turnResult) {
+        turnEvent.sender.send('chat-stream-error', { error: 'Stream ended without a response.' });
+    }
+    return run.turnResult;
+}
+
+async function executeToolCalls(event, run, toolCalls) {
+    for (const toolCall of toolCalls) {
+        let toolResponse;
+
+        if (run.stopRequested) {
+            // Answer the remaining calls without running them so the history stays valid
+            toolResponse = createStoppedToolResponse(toolCall);
+        } else {
+            const toolName = toolCall.function.name;
+            let choice = await getToolApprovalStatus(toolName);
+
+            if (choice === 'prompt') {
+                choice = await requestToolApproval(run, toolCall);
+                run.pendingApproval = null;
+                if (choice !== 'stopped') {
+                    await setToolApprovalStatus(toolName, choice);
+                }
+            }
+
+            if (choice === 'stopped') {
+                toolResponse = createStoppedToolResponse(toolCall);
+            } else if (choice === 'deny') {
+                toolResponse = createToolResponse(toolCall, JSON.stringify({ error: 'Tool execution denied by user.' }));
+            } else {
+                const { discoveredTools, mcpClients } = getMcpStateFunc();
+                const onStatus = (status) => {
+                    run.toolStatuses[toolCall.id] = { ...run.toolStatuses[toolCall.id], ...status };
+                    sendConversationEvent(run, 'tool-status', { toolCallId: toolCall.id, status: run.toolStatuses[toolCall.id] });
+                };
+                const result = await toolHandler.handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients, loadSettingsFunc(), { onStatus });
+                delete run.toolStatuses[toolCall.id];
+                toolResponse = createToolResponse(toolCall, result.error
+                    ? JSON.stringify(result.cancelled ? { error: result.error, cancelled: true } : { error: result.error })
+                    : (result.result || ''));
+            }
+        }
+
+        run.messages.push(toolResponse);
+        sendConversationEvent(run, 'tool-result', { message: toolResponse });
+    }
+}
+
+/**
+ * Run the conversation loop until the model answers without tool calls, an error occurs or the
+ * user stops it.
+ * @param {Electron.IpcMainEvent} event - The IPC event from the window that started the run
+ * @param {Array<object>} messages - Conversation history including the new user message
+ * @param {string} model - Model to use for every turn
+ * @param {object} options - Per-run settings overrides (e.g. reasoning options, or `provider` to
+ *   answer with a provider other than the one selected in settings)
+ */
+async function runConversation(event, messages, model, options = {}) {
+    const senderId = event.sender.id;
+
+    const previousRun = runs.get(senderId);
+    if (previousRun?.status === 'running') {
+        console.warn(`[ConversationRunner] Window ${senderId} started a new run while one is active; stopping the old run.`);
+        stopConversation(senderId);
+        // Abort now, before the new run's stream and tool calls replace the old run's abort controllers
+        ollamaHandler.abortChatStream(senderId);
+        toolHandler.abortToolCalls(senderId);
+    } else if (!previousRun) {
+        event.sender.once('destroyed', () => {
+            stopConversation(senderId);
+            runs.delete(senderId);
+        });
+    }
+
+    const run = {
+        id: nextRunId++,
+        sender: event.sender,
+        messages: [...messages],
+        model,
+        provider: options.provider || loadSettingsFunc().provider || 'ollama-turbo',
+        // Id the window saves the conversation under, handed back when it re-attaches
+        conversationId: options.conversationId || null,
+        options,
+        status: 'running',
+        stopRequested: false,
+        // Aborts a summary request in flight when the run is stopped
+        summaryAbortController: new AbortController(),
+        pendingApproval: null,
+        // Progress and deadline of running tool calls, by tool call id
+        toolStatuses: {},
+        streamingMessage: null,
+        turnResult: null
+    };
+    runs.set(senderId, run);
+    // Tells the window which run's events to apply from now on
+    sendConversationEvent(run, 'run-start');
+
+    let endStatus = 'completed';
+    let endError;
+
+    try {
+        while (true) {
+            const { completion, error } = await executeTurn(event, run);
+
+            if (error) {
+                endStatus = 'error';
+                endError = error;
+                break;
+            }
+
+            const aborted = completion.finish_reason === 'aborted' || run.stopRequested;
+            const assistantMessage = {
+                role: 'assistant',
+                content: completion.content || '',
+                tool_calls: aborted ? undefined : completion.tool_calls,
+                reasoning: completion.reasoning,
+                executed_tools: completion.executed_tools,
+                model: completion.model,
+                provider: completion.provider,
+                usage: completion.usage
+            };
+            run.messages.push(assistantMessage);
+
+            if (aborted) {
+                endStatus = 'aborted';
+                break;
+            }
+            if (!assistantMessage.tool_calls?.length) {
+                break;
+            }
+
+            await executeToolCalls(event, run, assistantMessage.tool_calls);
+
+            if (run.stopRequested) {
+                endStatus = 'aborted';
+                break;
+            }
+        }
+    } catch (error) {
+        console.error('[ConversationRunner] Error in conversation loop:', error);
+        sendConversationEvent(run, 'error', { error: error.message });
+        endStatus = 'error';
+        endError = error.message;
+    } finally {
+        run.status = endStatus;
+        run.streamingMessage = null;
+        sendConversationEvent(run, 'end', { status: endStatus, error: endError, messages: run.messages });
+    }
+}
+
+/**
+ * Stop the run owned by a window. The provider stream and in-flight tool calls are aborted
+ * separately by the 'chat-stream-abort' handler.
+ * @param {number} senderId - webContents id of the window that started the run
+ * @returns {boolean} True if a run was active
+ */
+function stopConversation(senderId) {
+    const run = runs.get(senderId);
+    if (!run || run.status !== 'running') {
+        return false;
+    }
+    run.stopRequested = true;
+    run.summaryAbortController.abort();
+    if (run.pendingApproval) {
+        run.pendingApproval.resolve('stopped');
+    }
+    return true;
+}
+
+/**
+ * Snapshot of the latest run owned by a window, used to re-attach after a reload or remount.
+ * @param {number} senderId - webContents id of the window
+ * @returns {{runId: number|null, conversationId?: string|null, status?: string, messages?: Array<object>, streamingMessage?: object, pendingApproval?: object, toolStatuses?: object}}
+ */
+function getConversationState(senderId) {
+    const run = runs.get(senderId);
+    if (!run) {
+        return { runId: null };
+    }
+    return {
+        runId: run.id,
+        conversationId: run.conversationId,
+        status: run.status,
+        messages: run.messages,
+        streamingMessage: run.streamingMessage,
+        pendingApproval: run.pendingApproval ? run.pendingApproval.toolCall : null,
+        toolStatuses: run.toolStatuses
+    };
+}
+
+function initializeConversationRunner(ipcMain, loadSettings, getMcpState) {
+    loadSettingsFunc = loadSettings;
+    getMcpStateFunc = getMcpState;
+
+    ipcMain.on('conversation-run', (event, messages, model, options = {}) => {
+        runConversation(event, messages, model, options);
+    });
+
+    ipcMain.on('conversation-approval-response', (event, toolCallId, choice) => {
+        const run = runs.get(event.sender.id);
+        if (!run || !run.pendingApproval || run.pendingApproval.toolCall.id !== toolCallId) {
+            console.warn(`[ConversationRunner] No pending approval for tool call ${toolCallId}`);
+            return;
+        }
+        run.pendingApproval.resolve(choice);
+    });
+
+    ipcMain.handle('get-conversation-state', (event) => getConversationState(event.sender.id));
+
+    ipcMain.handle('set-tool-approval-status', (event, toolName, choice) => setToolApprovalStatus(toolName, choice));
+
+    ipcMain.handle('reset-tool-approvals', async () => {
+        try {
+            await resetToolApprovals();
+            return { success: true };
+        } catch (error) {
+            console.error('[ConversationRunner] Error resetting tool approvals:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeConversationRunner,
+    stopConversation
+};
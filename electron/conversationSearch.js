@@ -0,0 +1,187 @@
+/**
+ * Full-text search over saved conversations.
+ * Searches message text, tool-call names/arguments and tool results, on every branch, and returns
+ * ranked per-message hits with a snippet around the first match.
+ */
+
+const DEFAULT_RESULT_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+
+// Tool output is usually noisier than prose, so matches there rank slightly lower
+const FIELD_WEIGHTS = {
+    content: 1.0,
+    'tool-call': 1.2,
+    'tool-result': 0.8
+};
+
+function tokenize(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function getTextContent(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content.filter(part => part.type === 'text').map(part => part.text || '').join('\n');
+    }
+    return '';
+}
+
+/**
+ * Split a message into the searchable fields it contributes.
+ * @param {object} message - Stored message
+ * @returns {Array<{field: string, text: string, toolName?: string}>}
+ */
+function getSearchableFields(message, toolNamesById) {
+    const fields = [];
+
+    if (message.role === 'tool') {
+        fields.push({
+            field: 'tool-result',
+            text: getTextContent(message.content),
+            toolName: toolNamesById.get(message.tool_call_id)
+        });
+        return fields;
+    }
+
+    const text = getTextContent(message.content);
+    if (text) {
+        fields.push({ field: 'content', text });
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+        const args = toolCall.function?.arguments;
+        fields.push({
+            field: 'tool-call',
+            text: `${toolCall.function?.name || ''} ${typeof args === 'string' ? args : JSON.stringify(args ?? {})}`,
+            toolName: toolCall.function?.name
+        });
+    }
+    return fields;
+}
+
+/**
+ * Every stored message with where it shows up, including the messages of inactive branches and
+ * the originals kept by compaction summaries. A branch point's inactive branches hold the full
+ * tail from that point on (see the renderer's conversationBranches.js), so the k-th message of a
+ * branch lands at the branch point's index + k once the branch is switched to.
+ * @param {Array<object>} messages - Messages of the active branch, or of a branch tail
+ * @param {number} [baseIndex] - Index of `messages[0]` once its branch is active
+ * @param {Array<{messageIndex: number, branchIndex: number}>} [branchPath] - Switches that make `messages` active
+ * @returns {Array<{message: object, messageIndex: number, branchPath: Array<object>}>}
+ */
+function collectMessages(messages, baseIndex = 0, branchPath = []) {
+    const collected = [];
+    messages.forEach((message, offset) => {
+        const messageIndex = baseIndex + offset;
+        collected.push({ message, messageIndex, branchPath });
+        // Messages replaced by a compaction summary are found at the summary's divider
+        collectMessages(message.compaction?.messages || [], messageIndex, branchPath)
+            .forEach(({ message: original }) => collected.push({ message: original, messageIndex, branchPath }));
+        (message.branches || []).forEach((branch, branchIndex) => {
+            if (!Array.isArray(branch)) return; // The active branch is the live tail
+            collected.push(...collectMessages(branch, messageIndex, [...branchPath, { messageIndex, branchIndex }]));
+        });
+    });
+    return collected;
+}
+
+function countOccurrences(haystack, needle) {
+    let count = 0;
+    let position = haystack.indexOf(needle);
+    while (position !== -1) {
+        count++;
+        position = haystack.indexOf(needle, position + needle.length);
+    }
+    return count;
+}
+
+/**
+ * Build a single-line snippet around the first match, with highlight ranges relative to it.
+ */
+function buildSnippet(text, lowerText, terms) {
+    const firstMatch = Math.min(...terms.map(term => lowerText.indexOf(term)).filter(index => index !== -1));
+    const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch + SNIPPET_RADIUS * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    // Newlines are replaced one-for-one so highlight offsets stay valid
+    const body = text.slice(start, end).replace(/\s/g, ' ');
+    const lowerBody = body.toLowerCase();
+
+    const highlights = [];
+    for (const term of terms) {
+        let position = lowerBody.indexOf(term);
+        while (position !== -1) {
+            highlights.push([prefix.length + position, prefix.length + position + term.length]);
+            position = lowerBody.indexOf(term, position + term.length);
+        }
+    }
+    highlights.sort((a, b) => a[0] - b[0]);
+
+    return { snippet: `${prefix}${body}${suffix}`, highlights };
+}
+
+/**
+ * Search conversations for messages containing every query term.
+ * @param {Array<object>} conversations - Stored conversations (with messages)
+ * @param {string} query - Free-text query; terms are matched case-insensitively
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of hits to return
+ * @returns {Array<object>} Hits sorted by score, then by conversation recency
+ */
+function searchConversations(conversations, query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+    const terms = tokenize(query || '');
+    if (terms.length === 0) {
+        return [];
+    }
+    const phrase = terms.join(' ');
+    const hits = [];
+
+    for (const conversation of conversations) {
+        const messages = collectMessages(conversation.messages || []);
+        const toolNamesById = new Map();
+        messages.forEach(({ message }) => (message.tool_calls || []).forEach(tc => toolNamesById.set(tc.id, tc.function?.name)));
+        const titleMatches = terms.some(term => (conversation.title || '').toLowerCase().includes(term));
+
+        messages.forEach(({ message, messageIndex, branchPath }) => {
+            for (const { field, text, toolName } of getSearchableFields(message, toolNamesById)) {
+                const lowerText = text.toLowerCase();
+                if (!terms.every(term => lowerText.includes(term))) continue;
+
+                let score = terms.reduce((sum, term) => sum + Math.log(1 + countOccurrences(lowerText, term)), 0);
+                if (terms.length > 1 && lowerText.includes(phrase)) {
+                    score *= 1.5;
+                }
+                if (titleMatches) {
+                    score += 0.5;
+                }
+                score *= FIELD_WEIGHTS[field];
+
+                hits.push({
+                    conversationId: conversation.id,
+                    title: conversation.title,
+                    updatedAt: conversation.updatedAt,
+                    messageIndex,
+                    // Branch switches needed to show the message; empty when it is on the active branch
+                    branchPath,
+                    role: message.role,
+                    field,
+                    toolName,
+                    score,
+                    ...buildSnippet(text, lowerText, terms)
+                });
+            }
+        });
+    }
+
+    return hits
+        .sort((a, b) => (b.score - a.score) || b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit);
+}
+
+module.exports = {
+    searchConversations
+};
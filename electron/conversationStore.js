@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { dialog, BrowserWindow } = require('electron');
+const { searchConversations } = require('./conversationSearch');
+
+let appInstance; // To store app instance for userData path
+let loadSettingsFunc = null;
+
+// Conversation ids become file names, so only allow a safe character set
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_TITLE_LENGTH = 80;
+
+// Parsed conversations by id with their file's mtime, so listing and searching only re-read files
+// that changed since the last time
+const conversationCache = new Map();
+
+function getConversationsDir() {
+    return path.join(appInstance.getPath('userData'), 'conversations');
+}
+
+function getConversationPath(id) {
+    if (typeof id !== 'string' || !CONVERSATION_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid conversation id: ${id}`);
+    }
+    return path.join(getConversationsDir(), `${id}.json`);
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated conversation
+function writeConversationFile(conversation) {
+    const filePath = getConversationPath(conversation.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(conversation, null, 2));
+    fs.renameSync(tempPath, filePath);
+    conversationCache.set(conversation.id, { mtimeMs: fs.statSync(filePath).mtimeMs, conversation });
+}
+
+function readConversationFile(id) {
+    const filePath = getConversationPath(id);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Derive a title from the first user message.
+ * @param {Array<object>} messages - Conversation messages
+ * @returns {string}
+ */
+function deriveTitle(messages) {
+    const firstUserMessage = messages.find(msg => msg.role === 'user');
+    let text = '';
+    if (typeof firstUserMessage?.content === 'string') {
+        text = firstUserMessage.content;
+    } else if (Array.isArray(firstUserMessage?.content)) {
+        text = firstUserMessage.content.filter(part => part.type === 'text').map(part => part.text).join(' ');
+    }
+    text = text.replace(/\s+/g, ' ').trim();
+    if (!text) {
+        return 'New conversation';
+    }
+    return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1)}…` : text;
+}
+
+// Drop renderer-only streaming state before persisting
+function cleanMessagesForStorage(messages) {
+    return messages.map(msg => {
+        const cleanMsg = { ...msg };
+        delete cleanMsg.isStreaming;
+        delete cleanMsg.liveReasoning;
+        delete cleanMsg.liveExecutedTools;
+        return cleanMsg;
+    });
+}
+
+function toSummary(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        model: conversation.model,
+        provider: conversation.provider,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messageCount: conversation.messages.length
+    };
+}
+
+// Reads asynchronously: the main thread also relays streaming and MCP traffic
+async function loadAllConversations() {
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(getConversationsDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const ids = fileNames.filter(fileName => fileName.endsWith('.json')).map(fileName => fileName.slice(0, -'.json'.length));
+    const conversations = await Promise.all(ids.map(async (id) => {
+        const filePath = path.join(getConversationsDir(), `${id}.json`);
+        try {
+            const { mtimeMs } = await fs.promises.stat(filePath);
+            const cached = conversationCache.get(id);
+            if (cached?.mtimeMs === mtimeMs) {
+                return cached.conversation;
+            }
+            const conversation = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            conversationCache.set(id, { mtimeMs, conversation });
+            return conversation;
+        } catch (error) {
+            console.warn(`Skipping unreadable conversation file ${id}.json:`, error.message);
+            return null;
+        }
+    }));
+
+    // Forget conversations whose files were removed outside the app
+    const existingIds = new Set(ids);
+    for (const id of conversationCache.keys()) {
+        if (!existingIds.has(id)) conversationCache.delete(id);
+    }
+    return conversations.filter(Boolean);
+}
+
+/**
+ * List saved conversations, most recently updated first.
+ * @returns {Promise<Array<object>>} Conversation summaries without messages
+ */
+async function listConversations() {
+    return (await loadAllConversations())
+        .map(toSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Create or update a conversation. Title, provider and createdAt are kept from the stored copy; a new
+ * conversation's provider defaults to the one currently selected in settings.
+ * @param {{id: string, messages: Array<object>, model?: string, provider?: string, title?: string, workspaceRoots?: Array<string>|null}} conversation
+ *   `workspaceRoots` replaces the conversation's own MCP roots when given; null clears them
+ * @returns {object} The conversation summary
+ */
+function saveConversation({ id, messages, model, provider, title, workspaceRoots }) {
+    if (!Array.isArray(messages)) {
+        throw new Error('Conversation messages must be an array.');
+    }
+    fs.mkdirSync(getConversationsDir(), { recursive: true });
+
+    const existing = readConversationFile(id);
+    const now = new Date().toISOString();
+    const conversation = {
+        id,
+        title: title || existing?.title || deriveTitle(messages),
+        model: model || existing?.model || null,
+        provider: provider || existing?.provider || loadSettingsFunc?.().provider || null,
+        workspaceRoots: workspaceRoots === undefined ? existing?.workspaceRoots || null : workspaceRoots,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        messages: cleanMessagesForStorage(messages)
+    };
+    writeConversationFile(conversation);
+    return toSummary(conversation);
+}
+
+function renameConversation(id, title) {
+    const conversation = readConversationFile(id);
+    if (!conversation) {
+        throw new Error(`Conversation not found: ${id}`);
+    }
+    const trimmedTitle = (title || '').trim();
+    if (!trimmedTitle) {
+        throw new Error('Title cannot be empty.');
+    }
+    conversation.title = trimmedTitle;
+    writeConversationFile(conversation);
+    return toSummary(conversation);
+}
+
+function deleteConversation(id) {
+    const filePath = getConversationPath(id);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+    conversationCache.delete(id);
+}
+
+function initializeConversationStore(ipcMain, app, loadSettings) {
+    appInstance = app; // Store app instance
+    loadSettingsFunc = loadSettings;
+    console.log('ConversationStore Initialized. Conversations directory:', getConversationsDir());
+
+    ipcMain.handle('list-conversations', async () => {
+        try {
+            return { success: true, conversations: await listConversations() };
+        } catch (error) {
+            console.error('Error listing conversations:', error);
+            return { success: false, error: error.message, conversations: [] };
+        }
+    });
+
+    ipcMain.handle('search-conversations', async (event, query, options = {}) => {
+        try {
+            return { success: true, hits: searchConversations(await loadAllConversations(), query, options) };
+        } catch (error) {
+            console.error('Error searching conversations:', error);
+            return { success: false, error: error.message, hits: [] };
+        }
+    });
+
+    ipcMain.handle('get-conversation', async (event, id) => {
+        try {
+            const conversation = readConversationFile(id);
+            if (!conversation) {
+                return { success: false, error: `Conversation not found: ${id}` };
+            }
+            return { success: true, conversation };
+        } catch (error) {
+            console.error('Error loading conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('save-conversation', async (event, conversation) => {
+        try {
+            return { success: true, conversation: saveConversation(conversation) };
+        } catch (error) {
+            console.error('Error saving conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('rename-conversation', async (event, id, title) => {
+        try {
+            return { success: true, conversation: renameConversation(id, title) };
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Export: the renderer serializes, the main process asks where to write
+    ipcMain.handle('export-conversation-file', async (event, fileName, content) => {
+        try {
+            const extension = path.extname(fileName).slice(1);
+            const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Export Conversation',
+                defaultPath: path.join(appInstance.getPath('documents'), fileName),
+                filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+            });
+            if (canceled || !filePath) {
+                return { success: false, canceled: true };
+            }
+            fs.writeFileSync(filePath, content, 'utf8');
+            return { success: true, filePath };
+        } catch (error) {
+            console.error('Error exporting conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('import-conversation-file', async (event) => {
+        try {
+            const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Import Conversation',
+                properties: ['openFile'],
+                filters: [{ name: 'Conversation JSON', extensions: ['json'] }]
+            });
+            if (canceled || filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+            return { success: true, content: fs.readFileSync(filePaths[0], 'utf8') };
+        } catch (error) {
+            console.error('Error importing conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('delete-conversation', async (event, id) => {
+        try {
+            deleteConversation(id);
+            return { success: true };
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeConversationStore
+};
@@ -34,12 +34,20 @@ const toolHandler = require('./toolHandler');
 const resourceHandler = require('./resourceHandler');
 const promptHandler = require('./promptHandler');
 const elicitationHandler = require('./elicitationHandler');
+const completionHandler = require('./completionHandler');
+const { initializeSamplingHandlers } = require('./samplingHandler');
+const { initializeRootsHandlers } = require('./rootsHandler');
 
 // Import new manager modules
-const { initializeSettingsHandlers, loadSettings } = require('./settingsManager');
+const { initializeSettingsHandlers, loadSettings, onSettingsSaved } = require('./settingsManager');
 const { initializeCommandResolver, resolveCommandPath } = require('./commandResolver');
 const mcpManager = require('./mcpManager');
 const { initializeWindowManager } = require('./windowManager');
+const conversationRunner = require('./conversationRunner');
+const { initializeConversationStore } = require('./conversationStore');
+const { initializeTokenCounter } = require('./tokenCounter');
+const { initializeMcpConfigImporter } = require('./mcpConfigImporter');
+const { initializeMcpHeaderStore } = require('./mcpHeaderStore');
 const authManager = require('./authManager');
 
 // Import context capture system
@@ -260,9 +268,18 @@ app.whenReady().then(async () => {
   // Initialize settings handlers (needs app)
   initializeSettingsHandlers(ipcMain, app);
 
+  // Initialize saved conversation handlers (needs app for userData path)
+  initializeConversationStore(ipcMain, app, loadSettings);
+
   // Initialize MCP handlers (use module object)
   mcpManager.initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCommandPath);
 
+  // Initialize importing of MCP servers from other clients' config files
+  initializeMcpConfigImporter(ipcMain, resolveCommandPath);
+
+  // Initialize the encrypted store for remote MCP servers' HTTP headers
+  initializeMcpHeaderStore(ipcMain);
+
   // Initialize Auth Manager (check will now work)
   console.log("[Main Init] Initializing Auth Manager...");
   if (mcpManager && typeof mcpManager.retryConnectionAfterAuth === 'function') {
@@ -286,6 +303,22 @@ app.whenReady().then(async () => {
     ollamaHandler.handleChatStream(event, messages, model, settingsWithOptions, mergedModelContextSizes, discoveredTools);
   });
 
+  // Stop generation: abort the running stream and any tool calls started by the same window
+  ipcMain.on('chat-stream-abort', (event) => {
+    conversationRunner.stopConversation(event.sender.id);
+    ollamaHandler.abortChatStream(event.sender.id);
+    toolHandler.abortToolCalls(event.sender.id);
+  });
+
+  // Agentic loop (turns, tool calls and approvals) for both windows
+  console.log("[Main Init] Initializing Conversation Runner...");
+  conversationRunner.initializeConversationRunner(ipcMain, loadSettings, mcpManager.getMcpState);
+  console.log("[Main Init] Conversation Runner initialized");
+
+  // Token counting for the context meter; calibrations are loaded from storage
+  initializeTokenCounter(ipcMain, loadSettings, mcpManager.getMcpState);
+  console.log("[Main Init] Token counter initialized");
+
   // Tool execution (use module object)
   console.log("[Main Init] Registering execute-tool-call...");
   ipcMain.handle('execute-tool-call', async (event, toolCall) => {
@@ -295,6 +328,11 @@ app.whenReady().then(async () => {
   });
   console.log("[Main Init] execute-tool-call registered successfully");
 
+  // Running tool calls can be given more time, or no limit, from their card
+  ipcMain.handle('extend-tool-timeout', (event, toolCallId, seconds) => toolHandler.extendToolCallTimeout(toolCallId, seconds));
+  ipcMain.handle('clear-tool-timeout', (event, toolCallId) => toolHandler.clearToolCallTimeout(toolCallId));
+  ipcMain.handle('cancel-tool-call', (event, toolCallId) => toolHandler.cancelToolCall(toolCallId));
+
   // Resource handlers
   ipcMain.handle('read-mcp-resource', async (event, uri, serverId) => {
     const currentSettings = loadSettings();
@@ -302,12 +340,34 @@ app.whenReady().then(async () => {
     return resourceHandler.handleReadResource(event, uri, serverId, mcpClients, currentSettings);
   });
   
+  ipcMain.handle('read-mcp-resource-template', async (event, uriTemplate, variables, serverId) => {
+    const currentSettings = loadSettings();
+    const { mcpClients } = mcpManager.getMcpState();
+    return resourceHandler.handleReadResourceTemplate(event, uriTemplate, variables, serverId, mcpClients, currentSettings);
+  });
+
   ipcMain.handle('refresh-mcp-resources', async () => {
     const { mcpClients } = mcpManager.getMcpState();
     return resourceHandler.handleRefreshResources(mcpClients);
   });
+
+  ipcMain.handle('subscribe-mcp-resource', async (event, uri, serverId) => {
+    const { mcpClients } = mcpManager.getMcpState();
+    return resourceHandler.handleSubscribeResource(uri, serverId, mcpClients);
+  });
+
+  ipcMain.handle('unsubscribe-mcp-resource', async (event, uri, serverId) => {
+    const { mcpClients } = mcpManager.getMcpState();
+    return resourceHandler.handleUnsubscribeResource(uri, serverId, mcpClients);
+  });
   console.log("[Main Init] Resource handlers registered successfully");
 
+  // Argument suggestions for prompts and resource templates
+  ipcMain.handle('complete-mcp-argument', async (event, serverId, ref, argument, contextArguments) => {
+    const { mcpClients } = mcpManager.getMcpState();
+    return completionHandler.handleCompleteArgument(serverId, ref, argument, contextArguments, mcpClients);
+  });
+
   // Prompt handlers
   ipcMain.handle('get-mcp-prompt', async (event, promptName, promptArguments, serverId) => {
     const currentSettings = loadSettings();
@@ -331,16 +391,24 @@ app.whenReady().then(async () => {
   });
   console.log("[Main Init] Elicitation handlers registered successfully");
 
+  // Sampling requests from MCP servers are answered after the user approves them
+  initializeSamplingHandlers(ipcMain, loadSettings);
+  console.log("[Main Init] Sampling handlers registered");
+
+  // Workspace folders exposed to MCP servers through roots/list
+  initializeRootsHandlers(ipcMain, loadSettings, mcpManager.getMcpState, onSettingsSaved);
+  console.log("[Main Init] Roots handlers registered");
+
   // Model configs handler already registered above during early initialization
   console.log("[Main Init] Continuing with remaining handlers...");
 
   // --- Provider Management Handlers ---
   console.log("[Main Init] Registering provider handlers...");
   
-  // List models for current provider
-  ipcMain.handle('list-provider-models', async () => {
+  // List models for the current provider, or for another provider (used when regenerating)
+  ipcMain.handle('list-provider-models', async (event, providerId) => {
     const currentSettings = loadSettings();
-    return ollamaHandler.listModels(currentSettings);
+    return ollamaHandler.listModels(providerId ? { ...currentSettings, provider: providerId } : currentSettings);
   });
   
   // Validate provider connection
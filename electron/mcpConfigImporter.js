@@ -0,0 +1,235 @@
+/**
+ * MCP Config Importer
+ * Reads the MCP server configs of other clients (Claude Desktop's claude_desktop_config.json,
+ * VS Code's .vscode/mcp.json and Cursor's .cursor/mcp.json) and maps them to `settings.mcpServers`
+ * entries. Nothing is saved here; the Settings page previews the result and saves what the user picks.
+ */
+
+const fs = require('fs');
+const { dialog, BrowserWindow } = require('electron');
+
+let resolveCommandPathFunc = null;
+
+/**
+ * Finds the server map and names the client it most likely came from. Claude Desktop and Cursor
+ * use `mcpServers`; VS Code uses `servers`, or `mcp.servers` inside its settings.json.
+ */
+function findServerMap(config) {
+  if (config.mcpServers && typeof config.mcpServers === 'object') {
+    return { servers: config.mcpServers, source: 'Claude Desktop / Cursor' };
+  }
+  if (config.servers && typeof config.servers === 'object') {
+    return { servers: config.servers, source: 'VS Code' };
+  }
+  if (config.mcp?.servers && typeof config.mcp.servers === 'object') {
+    return { servers: config.mcp.servers, source: 'VS Code' };
+  }
+  return null;
+}
+
+// VS Code names the transport in `type`; Cursor leaves it out and only gives a URL
+function getTransport(entry) {
+  const type = String(entry.type || entry.transport || '').toLowerCase();
+  if (type === 'sse') return 'sse';
+  if (['http', 'streamablehttp', 'streamable-http'].includes(type)) return 'streamableHttp';
+  if (type === 'stdio' || entry.command) return 'stdio';
+  if (typeof entry.url === 'string') {
+    // Older servers serve SSE from an /sse endpoint; everything else is assumed to be Streamable HTTP
+    return /\/sse\/?$/.test(new URL(entry.url).pathname) ? 'sse' : 'streamableHttp';
+  }
+  return null;
+}
+
+// Values like ${input:token} or ${workspaceFolder} are filled in by VS Code and mean nothing here
+const hasEditorVariable = (value) => typeof value === 'string' && /\$\{[^}]+\}/.test(value);
+
+/**
+ * Maps one server entry to this app's config shape.
+ *
+ * @param {string} id - Name of the server in the imported file.
+ * @param {object} entry - The server entry.
+ * @returns {{id: string, config?: object, headers?: object, resolvedCommand?: string, warnings: string[], error?: string}}
+ */
+function mapServerEntry(id, entry) {
+  const warnings = [];
+  if (!entry || typeof entry !== 'object') {
+    return { id, warnings, error: 'Server entry must be an object' };
+  }
+
+  let transport;
+  try {
+    transport = getTransport(entry);
+  } catch (error) {
+    return { id, warnings, error: `Invalid URL: ${error.message}` };
+  }
+  if (!transport) {
+    return { id, warnings, error: "Entry has neither a 'command' nor a 'url'" };
+  }
+
+  if (entry.disabled) {
+    warnings.push('Disabled in the imported file');
+  }
+
+  if (transport === 'stdio') {
+    if (typeof entry.command !== 'string' || !entry.command.trim()) {
+      return { id, warnings, error: "Stdio server config must include 'command' field" };
+    }
+    if (entry.args !== undefined && !Array.isArray(entry.args)) {
+      return { id, warnings, error: "'args' must be an array for stdio config" };
+    }
+    if (entry.env !== undefined && (typeof entry.env !== 'object' || entry.env === null)) {
+      return { id, warnings, error: "'env' must be an object for stdio config" };
+    }
+
+    const args = (entry.args || []).map(String);
+    const env = Object.fromEntries(Object.entries(entry.env || {}).map(([key, value]) => [key, String(value)]));
+    if (entry.envFile) {
+      warnings.push(`envFile ${entry.envFile} is not read; add its variables by hand`);
+    }
+    if ([entry.command, ...args, ...Object.values(env)].some(hasEditorVariable)) {
+      warnings.push('Contains ${...} editor variables, which are passed through unchanged');
+    }
+
+    // Show what will actually run; the config keeps the command as written, as it is resolved again on connect
+    const resolvedCommand = resolveCommandPathFunc ? resolveCommandPathFunc(entry.command) : entry.command;
+    return {
+      id,
+      config: { transport, command: entry.command, args, env },
+      resolvedCommand: resolvedCommand !== entry.command ? resolvedCommand : undefined,
+      warnings
+    };
+  }
+
+  if (typeof entry.url !== 'string' || !entry.url.trim()) {
+    return { id, warnings, error: "SSE server config must include a non-empty 'url' field" };
+  }
+  try {
+    new URL(entry.url);
+  } catch (error) {
+    return { id, warnings, error: `Invalid URL: ${error.message}` };
+  }
+  if (entry.headers !== undefined && (typeof entry.headers !== 'object' || entry.headers === null)) {
+    return { id, warnings, error: "'headers' must be an object" };
+  }
+
+  // Headers are not part of the config: the Settings page hands them to the encrypted header store
+  const headers = Object.fromEntries(Object.entries(entry.headers || {}).map(([name, value]) => [name, String(value)]));
+  if ([entry.url, ...Object.values(headers)].some(hasEditorVariable)) {
+    warnings.push('Contains ${...} editor variables, which are passed through unchanged');
+  }
+  return { id, config: { transport, url: entry.url }, headers, warnings };
+}
+
+// End of the JSON string starting at `start` (just past its closing quote), skipping escaped quotes
+function skipString(text, start) {
+  let index = start + 1;
+  while (index < text.length && text[index] !== '"') {
+    index += text[index] === '\\' ? 2 : 1;
+  }
+  return index + 1;
+}
+
+/**
+ * Turns JSONC, as VS Code and Cursor write it, into plain JSON: drops `//` and `/* *\/` comments,
+ * then trailing commas before `}` or `]`. String contents such as URLs are left untouched.
+ */
+function stripJsonc(text) {
+  let withoutComments = '';
+  let index = 0;
+  while (index < text.length) {
+    if (text[index] === '"') {
+      const end = skipString(text, index);
+      withoutComments += text.slice(index, end);
+      index = end;
+    } else if (text.startsWith('//', index)) {
+      const end = text.indexOf('\n', index);
+      index = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', index)) {
+      const end = text.indexOf('*/', index + 2);
+      // Keep a space so the tokens on either side stay apart
+      withoutComments += ' ';
+      index = end === -1 ? text.length : end + 2;
+    } else {
+      withoutComments += text[index];
+      index += 1;
+    }
+  }
+
+  const closingBracket = /\s*[}\]]/y;
+  let output = '';
+  index = 0;
+  while (index < withoutComments.length) {
+    if (withoutComments[index] === '"') {
+      const end = skipString(withoutComments, index);
+      output += withoutComments.slice(index, end);
+      index = end;
+    } else {
+      closingBracket.lastIndex = index + 1;
+      if (withoutComments[index] !== ',' || !closingBracket.test(withoutComments)) {
+        output += withoutComments[index];
+      }
+      index += 1;
+    }
+  }
+  return output;
+}
+
+/**
+ * Parses the text of an MCP config file.
+ *
+ * @param {string} text - Contents of claude_desktop_config.json, .vscode/mcp.json or .cursor/mcp.json.
+ * @returns {{success: boolean, source?: string, servers?: object[], error?: string}}
+ */
+function parseMcpConfig(text) {
+  let config;
+  try {
+    // VS Code and Cursor allow comments and trailing commas in their JSON files
+    config = JSON.parse(stripJsonc(String(text || '')));
+  } catch (error) {
+    return { success: false, error: `Invalid JSON: ${error.message}` };
+  }
+  if (!config || typeof config !== 'object') {
+    return { success: false, error: 'JSON must be an object' };
+  }
+
+  const found = findServerMap(config);
+  if (!found) {
+    return { success: false, error: "No 'mcpServers' or 'servers' object found" };
+  }
+
+  const servers = Object.entries(found.servers).map(([id, entry]) => mapServerEntry(id, entry));
+  if (servers.length === 0) {
+    return { success: false, error: 'The config does not define any servers' };
+  }
+  return { success: true, source: found.source, servers };
+}
+
+function initializeMcpConfigImporter(ipcMain, resolveCommandPath) {
+  resolveCommandPathFunc = resolveCommandPath;
+
+  ipcMain.handle('parse-mcp-config', async (event, text) => {
+    return parseMcpConfig(text);
+  });
+
+  ipcMain.handle('import-mcp-config-file', async (event) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import MCP Servers',
+        properties: ['openFile', 'showHiddenFiles'],
+        filters: [{ name: 'MCP config', extensions: ['json'] }]
+      });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      return { ...parseMcpConfig(fs.readFileSync(filePaths[0], 'utf8')), filePath: filePaths[0] };
+    } catch (error) {
+      console.error('[McpConfigImporter] Error importing MCP config file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  initializeMcpConfigImporter,
+  parseMcpConfig
+};
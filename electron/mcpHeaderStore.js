@@ -0,0 +1,149 @@
+/**
+ * MCP Header Store
+ * Keeps the static HTTP headers of remote (SSE / Streamable HTTP) servers, such as
+ * `Authorization: Bearer ...` or `X-Api-Key`, out of settings.json. Values are encrypted with
+ * Electron's safeStorage, which uses the OS keychain, and never sent back to the renderer. Where
+ * encryption is not available they are only stored unencrypted if the user agreed to that.
+ */
+
+const { safeStorage } = require('electron');
+const storage = require('electron-json-storage');
+const { promisify } = require('util');
+
+const storageGet = promisify(storage.get);
+const storageSet = promisify(storage.set);
+const storageRemove = promisify(storage.remove);
+
+const storageKey = (serverId) => `mcpHeaders_${serverId}`;
+
+// Stored headers of a server, decrypted, and whether they were stored encrypted
+async function readStoredHeaders(serverId) {
+    const stored = await storageGet(storageKey(serverId));
+    if (!stored?.data) {
+        return { headers: {}, encrypted: true };
+    }
+    const json = stored.encrypted
+        ? safeStorage.decryptString(Buffer.from(stored.data, 'base64'))
+        : Buffer.from(stored.data, 'base64').toString('utf8');
+    return { headers: JSON.parse(json), encrypted: Boolean(stored.encrypted) };
+}
+
+/**
+ * Returns the headers stored for a server, decrypted. For the main process only.
+ *
+ * @param {string} serverId
+ * @returns {Promise<Object<string, string>>} Header name to value; empty when none are stored.
+ */
+async function getServerHeaders(serverId) {
+    try {
+        return (await readStoredHeaders(serverId)).headers;
+    } catch (error) {
+        console.error(`[McpHeaderStore] Error reading headers for ${serverId}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Stores the headers of a server. Each name maps to a new value, or to null to keep the value
+ * stored under that name; names left out are removed, so an empty object removes them all.
+ *
+ * @param {string} serverId
+ * @param {Object<string, string|null>} headers
+ * @param {object} [options]
+ * @param {boolean} [options.allowUnencrypted] - The user agreed to store values unencrypted where
+ *   encryption is not available; without it, saving fails there.
+ * @returns {Promise<{encrypted: boolean}>} Whether the values are stored encrypted.
+ */
+async function setServerHeaders(serverId, headers, { allowUnencrypted = false } = {}) {
+    if (!headers || Object.keys(headers).length === 0) {
+        await storageRemove(storageKey(serverId));
+        return { encrypted: true };
+    }
+
+    const stored = await readStoredHeaders(serverId);
+    const merged = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (typeof value === 'string') {
+            merged[name] = value;
+        } else if (name in stored.headers) {
+            merged[name] = stored.headers[name];
+        }
+    }
+
+    if (Object.keys(merged).length === 0) {
+        await storageRemove(storageKey(serverId));
+        return { encrypted: true };
+    }
+    if (JSON.stringify(merged) === JSON.stringify(stored.headers)) {
+        return { encrypted: stored.encrypted };
+    }
+
+    const json = JSON.stringify(merged);
+    const encrypted = safeStorage.isEncryptionAvailable();
+    if (!encrypted && !allowUnencrypted) {
+        // e.g. Linux without a keyring
+        throw new Error('Encryption is not available on this system, so the header values were not saved.');
+    }
+    if (!encrypted) {
+        console.warn(`[McpHeaderStore] Encryption is not available; storing headers for ${serverId} unencrypted as agreed.`);
+    }
+    await storageSet(storageKey(serverId), {
+        encrypted,
+        data: (encrypted ? safeStorage.encryptString(json) : Buffer.from(json, 'utf8')).toString('base64')
+    });
+    return { encrypted };
+}
+
+// Header names and values as fetch() accepts them; null keeps the stored value
+function validateHeaders(headers) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        return 'Headers must be an object';
+    }
+    for (const [name, value] of Object.entries(headers)) {
+        if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+            return `Invalid header name: ${name}`;
+        }
+        if (value !== null && (typeof value !== 'string' || /[\r\n]/.test(value))) {
+            return `Invalid value for header ${name}`;
+        }
+    }
+    return null;
+}
+
+function initializeMcpHeaderStore(ipcMain) {
+    ipcMain.handle('get-mcp-header-encryption', async () => {
+        return { available: safeStorage.isEncryptionAvailable() };
+    });
+
+    // Names only: values stay in the main process
+    ipcMain.handle('get-mcp-server-headers', async (event, serverId) => {
+        if (!serverId || typeof serverId !== 'string') {
+            return { success: false, error: 'Invalid serverId', headers: [] };
+        }
+        const headers = await getServerHeaders(serverId);
+        return { success: true, headers: Object.keys(headers).map(name => ({ name, set: true })) };
+    });
+
+    ipcMain.handle('save-mcp-server-headers', async (event, serverId, headers, options = {}) => {
+        if (!serverId || typeof serverId !== 'string') {
+            return { success: false, error: 'Invalid serverId' };
+        }
+        const validationError = validateHeaders(headers || {});
+        if (validationError) {
+            return { success: false, error: validationError };
+        }
+        try {
+            const { encrypted } = await setServerHeaders(serverId, headers || {}, { allowUnencrypted: Boolean(options?.allowUnencrypted) });
+            return { success: true, encrypted };
+        } catch (error) {
+            console.error(`[McpHeaderStore] Error saving headers for ${serverId}:`, error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeMcpHeaderStore,
+    getServerHeaders,
+    setServerHeaders
+};
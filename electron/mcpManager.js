@@ -5,8 +5,19 @@ const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
 const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
 const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const {
+    ToolListChangedNotificationSchema,
+    ResourceListChangedNotificationSchema,
+    PromptListChangedNotificationSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const { UriTemplate } = require('@modelcontextprotocol/sdk/shared/uriTemplate.js');
 const { getTokensForServer, getClientInfoForServer } = require('./authManager');
 const { setupElicitationHandlers } = require('./elicitationHandler');
+const { setupSamplingHandler } = require('./samplingHandler');
+const { setupRootsHandler } = require('./rootsHandler');
+const { setupResourceUpdateHandler } = require('./resourceHandler');
+const { assignModelToolNames } = require('./utils');
+const { getServerHeaders } = require('./mcpHeaderStore');
 
 // Custom Error for Auth Requirement
 class AuthorizationRequiredError extends Error {
@@ -20,10 +31,21 @@ class AuthorizationRequiredError extends Error {
 let mcpClients = {};
 let discoveredTools = [];
 let discoveredResources = [];
+let discoveredResourceTemplates = [];
 let discoveredPrompts = [];
 const mcpServerLogs = {};
 const MAX_LOG_LINES = 500; // Limit stored log lines per server
 
+// Servers that drop are reconnected with exponential backoff plus jitter, within these limits
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+const RECONNECT_MAX_ATTEMPTS = 8;
+// Connection state per server for the UI: { state: 'connecting'|'connected'|'retrying'|'failed', attempt, maxAttempts, nextRetryAt, error }
+const serverStates = {};
+// Whether each server was last connected with OAuth tokens, so the supervisor reconnects it with them
+const serverConnections = {};
+const reconnectTimers = {};
+
 // Dependencies injected during initialization
 // let _ipcMainInstance; // Removed unused variable
 let appInstance;
@@ -40,8 +62,10 @@ function notifyMcpServerStatus() {
     mainWindowInstance.webContents.send('mcp-server-status-changed', {
       tools: [...discoveredTools], // Send a copy
       resources: [...discoveredResources], // Send a copy
+      resourceTemplates: [...discoveredResourceTemplates],
       prompts: [...discoveredPrompts], // Send a copy
-      connectedServers: Object.keys(mcpClients)
+      connectedServers: Object.keys(mcpClients),
+      serverStates: { ...serverStates }
     });
      console.log('Notified renderer of MCP status change.');
   } else {
@@ -82,39 +106,118 @@ function setupServerHealthCheck(client, serverId, intervalMs) {
       console.log(`[${serverId}] Health check successful.`);
     } catch (error) {
       console.error(`[${serverId}] Health check failed:`, error.message || error);
-
-      // --- Recovery / Disconnect Logic ---
-      clearInterval(client.healthCheckInterval); // Stop trying on this interval
-      client.healthCheckInterval = null; // Clear the stored interval ID
-
-      console.warn(`[${serverId}] Health check failed. Marking as disconnected and cleaning up.`);
-
-      // Clean up the failed client connection
-       if (mcpClients[serverId] === client) { // Ensure we're removing the correct client instance
-           delete mcpClients[serverId];
-           // Remove tools, resources, and prompts associated with this server
-           discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
-           discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
-           discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
-           // Clear logs for the failed server
-           delete mcpServerLogs[serverId];
-           // Notify renderer about the disconnection due to health check failure
-           notifyMcpServerStatus();
-
-           // Attempt to close the client connection gracefully, but don't wait indefinitely
-           try {
-               await client.close();
-               console.log(`[${serverId}] Closed client connection after health check failure.`);
-           } catch (closeError) {
-               console.error(`[${serverId}] Error closing client after health check failure: ${closeError.message}`);
-           }
-       } else {
-           console.warn(`[${serverId}] Client instance mismatch during health check failure cleanup. State might be inconsistent.`);
-       }
+      await handleConnectionLost(client, serverId, `Health check failed: ${error.message || error}`);
     }
   }, intervalMs);
 }
 
+// --- Reconnect Supervisor ---
+function setServerState(serverId, state) {
+    if (state) {
+        serverStates[serverId] = state;
+    } else {
+        delete serverStates[serverId];
+    }
+    notifyMcpServerStatus();
+}
+
+function getReconnectDelay(attempt) {
+    const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+    // Jitter keeps servers that dropped together (e.g. during a deploy) from retrying in lockstep
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Stop retrying a server, e.g. because the user connects or disconnects it by hand
+function cancelReconnect(serverId) {
+    clearTimeout(reconnectTimers[serverId]);
+    delete reconnectTimers[serverId];
+    delete serverStates[serverId];
+}
+
+function scheduleReconnect(serverId, reason) {
+    const settings = loadSettingsFunc();
+    if (!settings.mcpServers?.[serverId] || settings.disabledMcpServers?.includes(serverId)) {
+        // Removed or switched off since it connected: nothing to reconnect to
+        cancelReconnect(serverId);
+        delete serverConnections[serverId];
+        notifyMcpServerStatus();
+        return;
+    }
+
+    const attempt = (serverStates[serverId]?.attempt || 0) + 1;
+    if (attempt > RECONNECT_MAX_ATTEMPTS) {
+        console.warn(`[${serverId}] Giving up reconnecting after ${RECONNECT_MAX_ATTEMPTS} attempts.`);
+        setServerState(serverId, { state: 'failed', attempt: RECONNECT_MAX_ATTEMPTS, maxAttempts: RECONNECT_MAX_ATTEMPTS, error: reason });
+        return;
+    }
+
+    const delay = getReconnectDelay(attempt);
+    console.log(`[${serverId}] Reconnect attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS} in ${delay}ms (${reason}).`);
+    clearTimeout(reconnectTimers[serverId]);
+    reconnectTimers[serverId] = setTimeout(() => attemptReconnect(serverId), delay);
+    setServerState(serverId, { state: 'retrying', attempt, maxAttempts: RECONNECT_MAX_ATTEMPTS, nextRetryAt: Date.now() + delay, error: reason });
+}
+
+async function attemptReconnect(serverId) {
+    delete reconnectTimers[serverId];
+    const settings = loadSettingsFunc();
+    const serverConfig = settings.mcpServers?.[serverId];
+    if (!serverConfig || settings.disabledMcpServers?.includes(serverId)) {
+        scheduleReconnect(serverId, 'Server is no longer configured');
+        return;
+    }
+
+    try {
+        // Built from the current settings, so edits made while the server was down are picked up
+        const connectionDetails = buildConnectionDetails(serverId, serverConfig);
+        // Servers connected after OAuth reconnect with the stored tokens
+        let authProvider = null;
+        if (serverConnections[serverId]?.authenticated) {
+            const tokens = await getTokensForServer(serverId);
+            const clientInfo = await getClientInfoForServer(serverId);
+            if (tokens && clientInfo) {
+                authProvider = new StaticAuthProvider(tokens, clientInfo);
+            }
+        }
+        await connectMcpServerProcess(serverId, connectionDetails, authProvider, { willRetry: true });
+        console.log(`[${serverId}] Reconnected.`);
+    } catch (error) {
+        if (error instanceof AuthorizationRequiredError) {
+            // Retrying cannot fix this; the user has to authorize again
+            setServerState(serverId, { ...serverStates[serverId], state: 'failed', nextRetryAt: null, error: error.message });
+            return;
+        }
+        scheduleReconnect(serverId, error.message || String(error));
+    }
+}
+
+// A connected server went away on its own: drop what it offered and start reconnecting
+async function handleConnectionLost(client, serverId, reason) {
+    if (client.closing || mcpClients[serverId] !== client) {
+        return;
+    }
+    console.warn(`[${serverId}] Connection lost: ${reason}`);
+    client.closing = true;
+    if (client.healthCheckInterval) {
+        clearInterval(client.healthCheckInterval);
+        client.healthCheckInterval = null;
+    }
+
+    delete mcpClients[serverId];
+    discoveredTools = assignModelToolNames(discoveredTools.filter(t => t.serverId !== serverId));
+    discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
+    discoveredResourceTemplates = discoveredResourceTemplates.filter(t => t.serverId !== serverId);
+    discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
+    // Logs are kept: they usually explain why a stdio server went down
+
+    try {
+        await client.close();
+    } catch (closeError) {
+        console.error(`[${serverId}] Error closing client after connection loss: ${closeError.message}`);
+    }
+    scheduleReconnect(serverId, reason);
+}
+
 // --- Static Auth Provider (for retry) ---
 class StaticAuthProvider {
     constructor(tokens, clientInfo) {
@@ -134,20 +237,197 @@ class StaticAuthProvider {
     async codeVerifier() { console.warn("StaticAuthProvider codeVerifier called unexpectedly"); return "dummy"; }
 }
 
+// --- Listing Server Capabilities ---
+function withTimeout(promise, timeoutMs, message) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error(message)), timeoutMs))
+    ]);
+}
+
+async function listServerTools(client, serverId, timeoutMs) {
+    console.log(`[${serverId}] Listing tools (T/O: ${timeoutMs}ms)...`);
+    const toolsResult = await withTimeout(client.listTools(), timeoutMs, `listTools timed out`);
+
+    if (!toolsResult || !Array.isArray(toolsResult.tools)) {
+        console.warn(`[${serverId}] listTools returned no tools or invalid format.`);
+        return [];
+    }
+    const serverTools = toolsResult.tools.map(tool => ({
+        name: tool.name || 'unnamed_tool',
+        description: tool.description || 'No description',
+        input_schema: tool.inputSchema || {},
+        serverId: serverId
+    }));
+    console.log(`[${serverId}] Discovered ${serverTools.length} tools.`);
+    return serverTools;
+}
+
+async function listServerResources(client, serverId, timeoutMs) {
+    console.log(`[${serverId}] Listing resources...`);
+    const resourcesResult = await withTimeout(client.listResources(), timeoutMs, `listResources timed out`);
+
+    if (!resourcesResult || !Array.isArray(resourcesResult.resources)) {
+        return [];
+    }
+    const serverResources = resourcesResult.resources.map(resource => ({
+        uri: resource.uri || '',
+        name: resource.name || 'unnamed_resource',
+        description: resource.description || 'No description',
+        mimeType: resource.mimeType,
+        serverId: serverId
+    }));
+    console.log(`[${serverId}] Discovered ${serverResources.length} resources.`);
+    return serverResources;
+}
+
+async function listServerPrompts(client, serverId, timeoutMs) {
+    console.log(`[${serverId}] Listing prompts...`);
+    const promptsResult = await withTimeout(client.listPrompts(), timeoutMs, `listPrompts timed out`);
+
+    if (!promptsResult || !Array.isArray(promptsResult.prompts)) {
+        return [];
+    }
+    const serverPrompts = promptsResult.prompts.map(prompt => ({
+        name: prompt.name || 'unnamed_prompt',
+        description: prompt.description || 'No description',
+        arguments: prompt.arguments || [],
+        serverId: serverId
+    }));
+    console.log(`[${serverId}] Discovered ${serverPrompts.length} prompts.`);
+    return serverPrompts;
+}
+
+async function listServerResourceTemplates(client, serverId, timeoutMs) {
+    console.log(`[${serverId}] Listing resource templates...`);
+    const templatesResult = await withTimeout(client.listResourceTemplates(), timeoutMs, `listResourceTemplates timed out`);
+
+    if (!templatesResult || !Array.isArray(templatesResult.resourceTemplates)) {
+        return [];
+    }
+    const serverTemplates = templatesResult.resourceTemplates.flatMap(template => {
+        try {
+            return [{
+                uriTemplate: template.uriTemplate,
+                name: template.name || 'unnamed_template',
+                description: template.description || 'No description',
+                mimeType: template.mimeType,
+                // Form fields for the template, e.g. ['table'] for db://{table}/rows
+                variables: new UriTemplate(template.uriTemplate).variableNames,
+                serverId: serverId
+            }];
+        } catch (templateError) {
+            console.warn(`[${serverId}] Skipping invalid resource template "${template.uriTemplate}":`, templateError.message);
+            return [];
+        }
+    });
+    console.log(`[${serverId}] Discovered ${serverTemplates.length} resource templates.`);
+    return serverTemplates;
+}
+
+// Listing function and state setter for each kind of list a server can report as changed
+const listChangedKinds = {
+    tools: {
+        list: listServerTools,
+        replace: (serverId, items) => { discoveredTools = assignModelToolNames([...discoveredTools.filter(t => t.serverId !== serverId), ...items]); }
+    },
+    resources: {
+        list: listServerResources,
+        replace: (serverId, items) => { discoveredResources = [...discoveredResources.filter(r => r.serverId !== serverId), ...items]; }
+    },
+    resourceTemplates: {
+        list: listServerResourceTemplates,
+        replace: (serverId, items) => { discoveredResourceTemplates = [...discoveredResourceTemplates.filter(t => t.serverId !== serverId), ...items]; }
+    },
+    prompts: {
+        list: listServerPrompts,
+        replace: (serverId, items) => { discoveredPrompts = [...discoveredPrompts.filter(p => p.serverId !== serverId), ...items]; }
+    }
+};
+
+/**
+ * Subscribe to the server's list_changed notifications so tools, resources and prompts added or
+ * removed mid-session reach the renderer and the model. Notifications that arrive while a re-list
+ * is running trigger one more re-list afterwards, so the last listing always wins.
+ */
+function setupListChangedHandlers(client, serverId, timeoutMs) {
+    const refreshState = {};
+
+    const refresh = async (kind) => {
+        if (refreshState[kind]) {
+            refreshState[kind].rerun = true;
+            return;
+        }
+        refreshState[kind] = { rerun: false };
+        try {
+            let items;
+            do {
+                refreshState[kind].rerun = false;
+                items = await listChangedKinds[kind].list(client, serverId, timeoutMs);
+            } while (refreshState[kind].rerun);
+
+            // The server may have been disconnected or replaced while listing
+            if (mcpClients[serverId] === client) {
+                listChangedKinds[kind].replace(serverId, items);
+                notifyMcpServerStatus();
+            }
+        } catch (error) {
+            console.warn(`[${serverId}] Failed to refresh ${kind} after list_changed:`, error.message);
+        } finally {
+            delete refreshState[kind];
+        }
+    };
+
+    const onListChanged = (...kinds) => () => {
+        if (mcpClients[serverId] !== client) return;
+        console.log(`[${serverId}] Server reported changed ${kinds.join(' and ')}, re-listing...`);
+        kinds.forEach(refresh);
+    };
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, onListChanged('tools'));
+    // Resource templates have no notification of their own
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, onListChanged('resources', 'resourceTemplates'));
+    client.setNotificationHandler(PromptListChangedNotificationSchema, onListChanged('prompts'));
+}
+
+/**
+ * Connection details for a server entry of `settings.mcpServers`, with the stdio command resolved.
+ * Throws if the entry is missing its command or URL.
+ */
+function buildConnectionDetails(serverId, serverConfig) {
+    const transportType = serverConfig.transport === 'sse' ? 'sse' :
+                          serverConfig.transport === 'streamableHttp' ? 'streamableHttp' : 'stdio';
+    const connectionDetails = { transport: transportType };
+
+    if (transportType === 'sse' || transportType === 'streamableHttp') {
+        if (!serverConfig.url) throw new Error(`Missing 'url' for ${transportType.toUpperCase()} server ${serverId}.`);
+        try { new URL(serverConfig.url); connectionDetails.url = serverConfig.url; } catch (e) { throw new Error(`Invalid 'url' for ${transportType.toUpperCase()} ${serverId}: ${e.message}`); }
+    } else { // stdio
+        if (!serverConfig.command) throw new Error(`Missing 'command' for stdio server ${serverId}.`);
+        connectionDetails.command = resolveCommandPathFunc(serverConfig.command);
+        connectionDetails.args = serverConfig.args || [];
+        connectionDetails.env = serverConfig.env || {};
+    }
+    return connectionDetails;
+}
+
 // --- connectMcpServerProcess (Refactored) ---
-async function connectMcpServerProcess(serverId, connectionDetails, authProviderInstance = null) {
+// With `willRetry`, a failure is left for the reconnect supervisor to report instead of showing as failed
+async function connectMcpServerProcess(serverId, connectionDetails, authProviderInstance = null, { willRetry = false } = {}) {
     // --- Pre-connection Cleanup ---
     if (mcpClients[serverId]) {
         console.log(`[${serverId}] Cleaning up existing client/connection before new attempt.`);
         const oldClient = mcpClients[serverId];
+        oldClient.closing = true; // Replaced on purpose, not lost
         if (oldClient.healthCheckInterval) clearInterval(oldClient.healthCheckInterval);
         if (oldClient.transport instanceof StdioClientTransport && oldClient.transport?.process?.stderr) {
             oldClient.transport.process.stderr.removeAllListeners();
         }
         try { await oldClient.close(); } catch (e) { console.warn(`Error closing previous client ${serverId}: ${e.message}`); }
         delete mcpClients[serverId];
-        discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
+        discoveredTools = assignModelToolNames(discoveredTools.filter(t => t.serverId !== serverId));
         discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
+        discoveredResourceTemplates = discoveredResourceTemplates.filter(t => t.serverId !== serverId);
         discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
         delete mcpServerLogs[serverId];
         notifyMcpServerStatus(); // Notify UI about cleanup
@@ -170,6 +450,8 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
     const healthCheckIntervalMs = 60000;
 
     console.log(`Attempting ${transportType.toUpperCase()} connection to ${serverId}... ${authProviderInstance ? '(with auth provider)' : '(without auth provider)'}`);
+    serverConnections[serverId] = { authenticated: Boolean(authProviderInstance) };
+    setServerState(serverId, { ...serverStates[serverId], state: 'connecting', nextRetryAt: null });
 
     // Store connection details ONLY on initial SSE or StreamableHTTP attempt without provider
     if (!authProviderInstance && (transportType === 'sse' || transportType === 'streamableHttp')) {
@@ -177,19 +459,14 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
     }
 
     // --- Create Client and Transport ---
-    const client = new Client({ 
-        name: "ollama-turbo-desktop", 
-        version: appInstance.getVersion(), 
-        capabilities: { 
-            tools: true,
-            resources: true,
-            prompts: true,
-            elicitations: true,
-            discovery: true,
-            sampling: true,
-            roots: true
-        }
-    });
+    // Capabilities go in the client options; only advertise those that have a request handler
+    const client = new Client(
+        { name: "ollama-turbo-desktop", version: appInstance.getVersion() },
+        { capabilities: { sampling: {}, roots: { listChanged: true } } }
+    );
+    // Servers may ask the host for LLM completions; each request is approved by the user
+    setupSamplingHandler(client, serverId, mainWindowInstance);
+    setupRootsHandler(client);
     let transport;
     mcpServerLogs[serverId] = [];
 
@@ -197,18 +474,29 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
         // --- Transport Creation ---
         if (transportType === 'sse') {
             const sseUrl = new URL(connectionDetails.url);
-            console.log(`Creating SSEClientTransport for ${sseUrl.toString()}`);
+            const headers = await getServerHeaders(serverId);
+            console.log(`Creating SSEClientTransport for ${sseUrl.toString()} with ${Object.keys(headers).length} custom header(s)`);
             // Pass the authProvider directly if provided (during retry)
-            // Omit requestInit/eventSourceInit with headers
+            // Custom headers go on the POSTed messages (requestInit) and on the event stream (eventSourceInit)
             transport = new SSEClientTransport(sseUrl, {
-                authProvider: authProviderInstance // Pass the static provider here
+                authProvider: authProviderInstance, // Pass the static provider here
+                requestInit: { headers },
+                eventSourceInit: {
+                    fetch: (url, init) => {
+                        const streamHeaders = new Headers(init?.headers);
+                        Object.entries(headers).forEach(([name, value]) => streamHeaders.set(name, value));
+                        return fetch(url, { ...init, headers: streamHeaders });
+                    }
+                }
             });
 
         } else if (transportType === 'streamableHttp') {
             const httpUrl = new URL(connectionDetails.url);
-            console.log(`Creating StreamableHTTPClientTransport for ${httpUrl.toString()}`);
+            const headers = await getServerHeaders(serverId);
+            console.log(`Creating StreamableHTTPClientTransport for ${httpUrl.toString()} with ${Object.keys(headers).length} custom header(s)`);
             transport = new StreamableHTTPClientTransport(httpUrl, {
-                authProvider: authProviderInstance
+                authProvider: authProviderInstance,
+                requestInit: { headers }
             });
 
         } else { // stdio
@@ -320,90 +608,46 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
             sendLogUpdate(serverId, warnLine);
         }
 
-        console.log(`[${serverId}] Listing tools (T/O: ${listToolsTimeout}ms)...`);
-        // --- List Tools with Timeout ---
-        const toolsResult = await Promise.race([
-            client.listTools(),
-            new Promise((_, reject) => setTimeout(() => reject(new Error(`listTools timed out`)), listToolsTimeout))
-        ]);
-
-        // --- Process Tools ---
-        let serverTools = [];
-        if (toolsResult && toolsResult.tools && Array.isArray(toolsResult.tools)) {
-             serverTools = toolsResult.tools.map(tool => ({
-                name: tool.name || 'unnamed_tool',
-                description: tool.description || 'No description',
-                input_schema: tool.inputSchema || {},
-                serverId: serverId
-            }));
-            console.log(`[${serverId}] Discovered ${serverTools.length} tools.`);
-        } else {
-            console.warn(`[${serverId}] listTools returned no tools or invalid format.`);
-        }
-
-        // --- List Resources ---
-        console.log(`[${serverId}] Listing resources...`);
-        let serverResources = [];
-        try {
-            const resourcesResult = await Promise.race([
-                client.listResources(),
-                new Promise((_, reject) => setTimeout(() => reject(new Error(`listResources timed out`)), listToolsTimeout))
-            ]);
-            
-            if (resourcesResult && resourcesResult.resources && Array.isArray(resourcesResult.resources)) {
-                serverResources = resourcesResult.resources.map(resource => ({
-                    uri: resource.uri || '',
-                    name: resource.name || 'unnamed_resource',
-                    description: resource.description || 'No description',
-                    mimeType: resource.mimeType,
-                    serverId: serverId
-                }));
-                console.log(`[${serverId}] Discovered ${serverResources.length} resources.`);
-            }
-        } catch (resourceError) {
+        // Tools are required; a server whose tools cannot be listed counts as failed
+        const serverTools = await listServerTools(client, serverId, listToolsTimeout);
+        const serverResources = await listServerResources(client, serverId, listToolsTimeout).catch(resourceError => {
             console.warn(`[${serverId}] Failed to list resources:`, resourceError.message);
-        }
-
-        // --- List Prompts ---
-        console.log(`[${serverId}] Listing prompts...`);
-        let serverPrompts = [];
-        try {
-            const promptsResult = await Promise.race([
-                client.listPrompts(),
-                new Promise((_, reject) => setTimeout(() => reject(new Error(`listPrompts timed out`)), listToolsTimeout))
-            ]);
-            
-            if (promptsResult && promptsResult.prompts && Array.isArray(promptsResult.prompts)) {
-                serverPrompts = promptsResult.prompts.map(prompt => ({
-                    name: prompt.name || 'unnamed_prompt',
-                    description: prompt.description || 'No description',
-                    arguments: prompt.arguments || [],
-                    serverId: serverId
-                }));
-                console.log(`[${serverId}] Discovered ${serverPrompts.length} prompts.`);
-            }
-        } catch (promptError) {
+            return [];
+        });
+        const serverResourceTemplates = await listServerResourceTemplates(client, serverId, listToolsTimeout).catch(templateError => {
+            console.warn(`[${serverId}] Failed to list resource templates:`, templateError.message);
+            return [];
+        });
+        const serverPrompts = await listServerPrompts(client, serverId, listToolsTimeout).catch(promptError => {
             console.warn(`[${serverId}] Failed to list prompts:`, promptError.message);
-        }
+            return [];
+        });
 
         // --- Update Global State and Notify ---
         const existingTools = discoveredTools.filter(t => t.serverId !== serverId);
         const existingResources = discoveredResources.filter(r => r.serverId !== serverId);
         const existingPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
         
-        discoveredTools = [...existingTools, ...serverTools]; // Combine existing from other servers + new
+        discoveredTools = assignModelToolNames([...existingTools, ...serverTools]); // Combine existing from other servers + new
         discoveredResources = [...existingResources, ...serverResources];
+        discoveredResourceTemplates = [...discoveredResourceTemplates.filter(t => t.serverId !== serverId), ...serverResourceTemplates];
         discoveredPrompts = [...existingPrompts, ...serverPrompts];
         
         // Set up elicitation handlers for bidirectional communication
         setupElicitationHandlers(client, serverId, mainWindowInstance);
         console.log(`[${serverId}] Elicitation handlers set up.`);
         
+        setupListChangedHandlers(client, serverId, listToolsTimeout);
+        setupResourceUpdateHandler(client, serverId, mainWindowInstance);
         setupServerHealthCheck(client, serverId, healthCheckIntervalMs);
-        notifyMcpServerStatus();
+        // A crashed stdio process or a dropped HTTP connection closes the transport
+        client.onclose = () => {
+            handleConnectionLost(client, serverId, 'Connection closed');
+        };
+        setServerState(serverId, { state: 'connected' });
 
         delete pendingAuthConnections[serverId]; // Clear pending on success
-        return { success: true, tools: serverTools };
+        return { success: true, tools: discoveredTools.filter(t => t.serverId === serverId) };
 
     } catch (error) {
          console.error(`[${serverId}] Failed to connect or initialize SDK client:`, error.message || error);
@@ -425,6 +669,7 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
          }
 
          // Cleanup
+         client.closing = true;
          if (mcpClients[serverId] === client) {
              try { await client.close(); } catch (e) { /* ignore */ }
              delete mcpClients[serverId];
@@ -432,11 +677,14 @@ async function connectMcpServerProcess(serverId, connectionDetails, authProvider
          if (transport instanceof StdioClientTransport && transport.stderr) {
              transport.stderr.removeAllListeners();
          }
-         discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
+         discoveredTools = assignModelToolNames(discoveredTools.filter(t => t.serverId !== serverId));
          discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
+         discoveredResourceTemplates = discoveredResourceTemplates.filter(t => t.serverId !== serverId);
          discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
          delete mcpServerLogs[serverId];
-         notifyMcpServerStatus();
+         if (requiresAuth || !willRetry) {
+             setServerState(serverId, { ...serverStates[serverId], state: 'failed', nextRetryAt: null, error: requiresAuth ? 'Authorization required' : (error.message || String(error)) });
+         }
 
          if (requiresAuth) {
              // Keep pending details if auth is needed
@@ -495,25 +743,15 @@ async function connectConfiguredMcpServers() {
     const connectionPromises = serverConfigs.map(async ([serverId, serverConfig]) => {
       try {
         console.log(`[MCP AUTO-CONNECT] Attempting to connect ${serverId}...`);
-        const transportType = serverConfig.transport === 'sse' ? 'sse' :
-                              serverConfig.transport === 'streamableHttp' ? 'streamableHttp' : 'stdio';
-        let connectionDetails = { transport: transportType };
-
-        console.log(`[MCP AUTO-CONNECT] ${serverId} transport type: ${transportType}`);
-
-        if (transportType === 'sse' || transportType === 'streamableHttp') {
-            if (!serverConfig.url) throw new Error(`Missing 'url' for ${transportType.toUpperCase()} server ${serverId}.`);
-            try { new URL(serverConfig.url); connectionDetails.url = serverConfig.url; } catch (e) { throw new Error(`Invalid 'url' for ${transportType.toUpperCase()} ${serverId}: ${e.message}`); }
-            console.log(`[MCP AUTO-CONNECT] ${serverId} URL: ${serverConfig.url}`);
-        } else { // stdio
-            if (!serverConfig.command) throw new Error(`Missing 'command' for stdio server ${serverId}.`);
-            connectionDetails.command = resolveCommandPathFunc(serverConfig.command);
-            connectionDetails.args = serverConfig.args || [];
-            connectionDetails.env = serverConfig.env || {};
+        const connectionDetails = buildConnectionDetails(serverId, serverConfig);
+        console.log(`[MCP AUTO-CONNECT] ${serverId} transport type: ${connectionDetails.transport}`);
+        if (connectionDetails.url) {
+            console.log(`[MCP AUTO-CONNECT] ${serverId} URL: ${connectionDetails.url}`);
+        } else {
             console.log(`[MCP AUTO-CONNECT] ${serverId} command: ${connectionDetails.command} ${connectionDetails.args.join(' ')}`);
         }
 
-        await connectMcpServerProcess(serverId, connectionDetails);
+        await connectMcpServerProcess(serverId, connectionDetails, null, { willRetry: true });
         console.log(`[MCP AUTO-CONNECT] ✅ Successfully connected to MCP server: ${serverId}`);
         return { status: 'fulfilled', serverId };
       } catch (error) {
@@ -525,6 +763,8 @@ async function connectConfiguredMcpServers() {
              return { status: 'rejected', serverId, reason: 'Authorization Required' };
          } else {
              console.error(`[MCP AUTO-CONNECT] ❌ Failed auto-connect ${serverId}:`, error.message || error);
+             // The server may just be restarting; keep trying in the background
+             scheduleReconnect(serverId, error.message || String(error));
              return { status: 'rejected', serverId, reason: error.message || error };
          }
       }
@@ -571,6 +811,7 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
 
       try {
         const { id, scriptPath, command, args, env, transport, url } = serverConfig;
+        cancelReconnect(id);
         const settings = loadSettingsFunc();
         if (settings.disabledMcpServers?.includes(id)) {
             settings.disabledMcpServers = settings.disabledMcpServers.filter(serverId => serverId !== id);
@@ -632,6 +873,7 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
         }
 
         try {
+            cancelReconnect(serverId);
             const settings = loadSettingsFunc();
             if (!settings.disabledMcpServers) settings.disabledMcpServers = [];
             if (!settings.disabledMcpServers.includes(serverId)) {
@@ -646,14 +888,16 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
 
             if (mcpClients[serverId]) {
                 const client = mcpClients[serverId];
+                client.closing = true;
                 if (client.healthCheckInterval) clearInterval(client.healthCheckInterval);
                 try { await client.close(); console.log(`Closed connection to ${serverId}`); } catch(e) { console.error(`Error closing client ${serverId}:`, e); }
                 delete mcpClients[serverId];
                 const initialToolCount = discoveredTools.length;
                 const initialResourceCount = discoveredResources.length;
                 const initialPromptCount = discoveredPrompts.length;
-                discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
+                discoveredTools = assignModelToolNames(discoveredTools.filter(t => t.serverId !== serverId));
                 discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
+                discoveredResourceTemplates = discoveredResourceTemplates.filter(t => t.serverId !== serverId);
                 discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
                 console.log(`Removed ${initialToolCount - discoveredTools.length} tools, ${initialResourceCount - discoveredResources.length} resources, ${initialPromptCount - discoveredPrompts.length} prompts for ${serverId}`);
                 delete mcpServerLogs[serverId]; // Clear logs on disconnect
@@ -661,8 +905,9 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
                 return { success: true, allTools: discoveredTools };
             } else {
                 console.log(`No active client found for ${serverId} to disconnect.`);
-                discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
+                discoveredTools = assignModelToolNames(discoveredTools.filter(t => t.serverId !== serverId));
                 discoveredResources = discoveredResources.filter(r => r.serverId !== serverId);
+                discoveredResourceTemplates = discoveredResourceTemplates.filter(t => t.serverId !== serverId);
                 discoveredPrompts = discoveredPrompts.filter(p => p.serverId !== serverId);
                 delete mcpServerLogs[serverId]; // Ensure logs are cleared even if client was lost
                 notifyMcpServerStatus();
@@ -681,7 +926,7 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
 
     // Handler for getting all discovered resources
     ipcMain.handle('get-mcp-resources', async () => {
-      return { resources: [...discoveredResources] }; // Return a copy
+      return { resources: [...discoveredResources], resourceTemplates: [...discoveredResourceTemplates] }; // Return a copy
     });
 
     // Handler for getting all discovered prompts
@@ -689,6 +934,11 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
       return { prompts: [...discoveredPrompts] }; // Return a copy  
     });
 
+    // Handler for getting the connection state of each server
+    ipcMain.handle('get-mcp-server-states', async () => {
+      return { serverStates: { ...serverStates } };
+    });
+
     // Handler for getting MCP server logs
     ipcMain.handle('get-mcp-server-logs', async (event, serverId) => {
         if (!serverId || typeof serverId !== 'string') {
@@ -707,6 +957,7 @@ function getMcpState() {
         mcpClients,
         discoveredTools,
         discoveredResources,
+        discoveredResourceTemplates,
         discoveredPrompts
     };
 }
@@ -728,6 +979,7 @@ async function retryConnectionAfterAuth(serverId /* removed accessToken */) {
         return;
     }
 
+    cancelReconnect(serverId);
     try {
         // Get the latest tokens and client info using the new getters
         const tokens = await getTokensForServer(serverId);
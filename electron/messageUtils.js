@@ -1,6 +1,11 @@
+const { countMessageTokens } = require('./tokenCounter');
+
+// Share of the context window the history may fill before it is summarized or truncated
+const COMPACTION_THRESHOLD_RATIO = 0.5;
+
 /**
- * Prunes message history to stay under 50% of model's context window
- * Always keeps the first two messages (if available) and the last message
+ * Prunes message history to stay under COMPACTION_THRESHOLD_RATIO of the model's context window
+ * Always keeps the first message and the last message (with its tool call, if it is a tool result)
  * Handles image filtering based on specified rules.
  * @param {Array} messages - Complete message history (should be cleaned format)
  * @param {String} model - Selected model name
@@ -16,7 +21,7 @@ function pruneMessageHistory(messages, model, modelContextSizes) {
   // Get context window size for the selected model, default if unknown
   const modelInfo = modelContextSizes[model] || modelContextSizes['default'] || { context: 8192 }; // Ensure default
   const contextWindow = modelInfo.context;
-  const targetTokenCount = Math.floor(contextWindow * 0.5); // Use 50% of context window
+  const targetTokenCount = Math.floor(contextWindow * COMPACTION_THRESHOLD_RATIO);
 
   // Create a copy to avoid modifying the original array
   let prunedMessages = [...messages];
@@ -63,7 +68,7 @@ function pruneMessageHistory(messages, model, modelContextSizes) {
   // --- End Image Pruning Logic ---
 
   // Recalculate tokens after potential image pruning
-  let currentTotalTokens = prunedMessages.reduce((sum, msg) => sum + estimateTokenCount(msg), 0);
+  let currentTotalTokens = prunedMessages.reduce((sum, msg) => sum + estimateTokenCount(msg, model), 0);
 
   // If we're already under the target, no text-based pruning needed
   if (currentTotalTokens <= targetTokenCount) {
@@ -73,94 +78,199 @@ function pruneMessageHistory(messages, model, modelContextSizes) {
 
   console.log(`Token count (${currentTotalTokens}) exceeds target (${targetTokenCount}). Starting text pruning...`);
 
-  // Keep track of text-based pruned messages
-  let messagesPrunedCount = 0;
+  // Drop the oldest messages after index 0, keeping each assistant tool call together with its
+  // results so no tool message is left without the call it answers
+  const span = selectDroppableSpan(prunedMessages, currentTotalTokens - targetTokenCount, model);
+  if (span) {
+    prunedMessages.splice(span.start, span.end - span.start);
+    currentTotalTokens -= span.tokens;
+    console.log(`Pruned ${span.end - span.start} messages based on token count. Final tokens: ${currentTotalTokens} (target: ${targetTokenCount})`);
+  }
 
-  // Start pruning from index 1 (second message, as index 0 is system/first user) and continue until we're under the target
-  // Preserve index 0 (system/first user) and the last message
-  while (prunedMessages.length > 2 && currentTotalTokens > targetTokenCount) {
-    // Index 1 is the candidate for removal (oldest non-system/first message)
-    const messageToRemove = prunedMessages[1];
+  return prunedMessages;
+}
 
-    // Don't remove the very last message
-    if (prunedMessages.length <= 2) break; // Should be caught by loop condition, but safety first
+/**
+ * Split messages into units that must be kept or dropped together: an assistant message with
+ * tool calls plus the tool messages answering it, or a single message.
+ * @param {Array} messages - Message history
+ * @returns {Array<{start: number, end: number}>} - Half-open index ranges, in order
+ */
+function groupMessages(messages) {
+  const groups = [];
+  let index = 0;
+  while (index < messages.length) {
+    const message = messages[index];
+    let end = index + 1;
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      const callIds = new Set(message.tool_calls.map(toolCall => toolCall.id));
+      while (end < messages.length && messages[end].role === 'tool' && callIds.has(messages[end].tool_call_id)) {
+        end++;
+      }
+    }
+    groups.push({ start: index, end });
+    index = end;
+  }
+  return groups;
+}
 
-    const tokensForMessage = estimateTokenCount(messageToRemove);
-    prunedMessages.splice(1, 1);
-    currentTotalTokens -= tokensForMessage;
-    messagesPrunedCount++;
-    // console.log(`Pruned message at index 1 (was role ${messageToRemove.role}). New count: ${prunedMessages.length}, Tokens: ${currentTotalTokens}`);
+/**
+ * Pick the oldest whole message groups to remove so that at least `tokensToFree` tokens are freed.
+ * The first message and the last group are never included, and the span stops before a branch point.
+ * @param {Array} messages - Message history
+ * @param {Number} tokensToFree - Estimated tokens that need to go
+ * @param {String} [model] - Model name used for token counting
+ * @returns {{start: number, end: number, tokens: number}|null} - Contiguous span, or null if nothing can be dropped
+ */
+function selectDroppableSpan(messages, tokensToFree, model) {
+  const groups = groupMessages(messages);
+  // groups[0] holds the first message; the last group holds the newest message
+  const candidates = groups.slice(1, -1);
+  if (candidates.length === 0 || tokensToFree <= 0) {
+    return null;
   }
 
-  if (messagesPrunedCount > 0) {
-    console.log(`Pruned ${messagesPrunedCount} messages based on token count. Final tokens: ${currentTotalTokens} (target: ${targetTokenCount})`);
+  let tokens = 0;
+  let end = candidates[0].start;
+  for (const group of candidates) {
+    // A message heading conversation branches is kept so its branch switcher survives
+    if (tokens >= tokensToFree || messages[group.start].branches) break;
+    for (let i = group.start; i < group.end; i++) {
+      tokens += estimateTokenCount(messages[i], model);
+    }
+    end = group.end;
   }
+  return end > candidates[0].start ? { start: candidates[0].start, end, tokens } : null;
+}
 
-  return prunedMessages;
+// Share of the token target left for the remaining history after compaction, so the next few
+// turns fit without summarizing again
+const COMPACTION_TARGET_RATIO = 0.6;
+const MAX_SUMMARY_INPUT_RATIO = 0.5;
+const MAX_TOOL_RESULT_CHARS = 2000;
+
+const SUMMARY_INSTRUCTIONS = "Summarize the conversation excerpt below so it can replace the original messages in the context of an ongoing chat. Keep the user's goals, decisions, facts, names, file paths, identifiers and numbers, which tools were called with which important arguments, and what their results showed. Note open questions and unfinished work. Write concise Markdown and do not add commentary.";
+
+/**
+ * Render messages as plain text for the summarization request, truncating long tool output.
+ * @param {Array} messages - Messages being summarized
+ * @param {Number} maxChars - Upper bound for the transcript length
+ * @returns {String}
+ */
+function formatMessagesForSummary(messages, maxChars) {
+  const lines = [];
+  for (const message of messages) {
+    let text = typeof message.content === 'string'
+      ? message.content
+      : Array.isArray(message.content)
+        ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+        : JSON.stringify(message.content ?? '');
+
+    if (message.role === 'tool' && text.length > MAX_TOOL_RESULT_CHARS) {
+      text = `${text.slice(0, MAX_TOOL_RESULT_CHARS)}… [truncated]`;
+    }
+    lines.push(`[${message.role}${message.role === 'tool' ? ` ${message.tool_call_id}` : ''}] ${text}`);
+
+    for (const toolCall of message.tool_calls || []) {
+      const args = typeof toolCall.function?.arguments === 'string'
+        ? toolCall.function.arguments
+        : JSON.stringify(toolCall.function?.arguments ?? {});
+      lines.push(`[tool call ${toolCall.id}] ${toolCall.function?.name}(${args})`);
+    }
+  }
+
+  const transcript = lines.join('\n\n');
+  // Keep the newest part if the span is too large to summarize in one request
+  return transcript.length > maxChars ? `… ${transcript.slice(transcript.length - maxChars)}` : transcript;
 }
 
 /**
- * Estimates token count for a single message (ignoring image tokens).
- * @param {Object} message - Message object with role and content.
- * @returns {Number} - Estimated token count.
+ * Summarize the oldest part of the history into one synthetic message once it passes
+ * COMPACTION_THRESHOLD_RATIO of the model's context window. Tool calls and their results are
+ * summarized or kept together.
+ * @param {Array} messages - Complete message history
+ * @param {String} model - Selected model name
+ * @param {object} modelContextSizes - Object containing context window sizes for models.
+ * @param {Function} summarize - async (summaryRequestMessages) => summary text, run by the active provider
+ * @returns {Promise<{start: number, end: number, message: object}|null>} - The span to replace and the
+ *   summary message replacing it, or null if the history fits
  */
-function estimateTokenCount(message) {
-  if (!message) return 0;
-
-  let tokenCount = 0;
-  let textContent = '';
-
-  // Handle different content structures (string or array)
-  if (typeof message.content === 'string') {
-    textContent = message.content;
-  } else if (Array.isArray(message.content)) {
-    // Sum text content length from text parts
-    textContent = message.content
-      .filter(part => part.type === 'text')
-      .map(part => part.text)
-      .join('\n'); // Join text parts for length calculation
+async function compactMessageHistory(messages, model, modelContextSizes, summarize) {
+  if (!Array.isArray(messages) || messages.length <= 2) {
+    return null;
   }
-  // NOTE: Ignoring non-text/image parts if the array format is extended.
 
-  // Basic approximation: characters / 4
-  if (textContent) {
-    // Add tokens based on character count (e.g., simple approximation)
-    tokenCount += Math.ceil(textContent.length / 4);
+  const modelInfo = modelContextSizes[model] || modelContextSizes['default'] || { context: 8192 };
+  const targetTokenCount = Math.floor(modelInfo.context * COMPACTION_THRESHOLD_RATIO);
+  const totalTokens = messages.reduce((sum, msg) => sum + estimateTokenCount(msg, model), 0);
+  if (totalTokens <= targetTokenCount) {
+    return null;
   }
 
-  // Account for tool calls in assistant messages
-  if (message.role === 'assistant' && message.tool_calls && Array.isArray(message.tool_calls)) {
-    message.tool_calls.forEach(toolCall => {
-      // Estimate tokens for the JSON representation of the tool call
-      try {
-          const serializedToolCall = JSON.stringify(toolCall);
-          tokenCount += Math.ceil(serializedToolCall.length / 4);
-      } catch (e) {
-          console.warn("Error serializing tool call for token estimation:", e);
-          tokenCount += 50; // Add arbitrary penalty if serialization fails
-      }
-    });
+  const span = selectDroppableSpan(messages, totalTokens - Math.floor(targetTokenCount * COMPACTION_TARGET_RATIO), model);
+  if (!span) {
+    return null;
   }
 
-  // Account for tool results in tool messages
-  if (message.role === 'tool') {
-      // Estimate tokens for the (potentially stringified) content of the tool result
-      const contentString = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
-      tokenCount += Math.ceil(contentString.length / 4);
-      // Add a small overhead for the tool role/id itself
-      tokenCount += 10; // Rough estimate for tool_call_id, role etc.
+  const compactedMessages = messages.slice(span.start, span.end);
+  // Context size is in tokens; the transcript is bounded in characters (~4 per token)
+  const transcript = formatMessagesForSummary(compactedMessages, Math.floor(modelInfo.context * MAX_SUMMARY_INPUT_RATIO * 4));
+  const summary = await summarize([
+    { role: 'system', content: SUMMARY_INSTRUCTIONS },
+    { role: 'user', content: transcript }
+  ]);
+  if (!summary || !summary.trim()) {
+    throw new Error('The model returned an empty summary.');
   }
 
-  // Add a small base token count per message for metadata (role, etc.)
-  tokenCount += 5; // Arbitrary small number
+  console.log(`Compacted ${compactedMessages.length} messages (~${span.tokens} tokens) into a summary.`);
+  return {
+    start: span.start,
+    end: span.end,
+    message: {
+      // Providers move it into the leading system prompt (see withSystemPrompt)
+      role: 'system',
+      content: `Summary of the earlier conversation (${compactedMessages.length} messages were compacted):\n\n${summary.trim()}`,
+      // Originals are kept for search and export; providers strip this field
+      compaction: {
+        messageCount: compactedMessages.length,
+        compactedAt: new Date().toISOString(),
+        messages: compactedMessages
+      }
+    }
+  };
+}
 
-  // NOTE: Image token cost is currently ignored in this estimation.
-  // A more accurate approach would require model-specific tokenization or heuristics.
+/**
+ * Prepend the system prompt to the history. Compaction summaries are stored as system messages
+ * where the span they replace was; they are folded into the leading system message because
+ * models expect a single system prompt at the start.
+ * @param {String} systemPrompt - System prompt for the request
+ * @param {Array} messages - Cleaned and pruned history
+ * @returns {Array} - Messages to send
+ */
+function withSystemPrompt(systemPrompt, messages) {
+  const summaries = messages.filter(msg => msg.role === 'system').map(msg => msg.content);
+  return [
+    { role: 'system', content: [systemPrompt, ...summaries].join('\n\n') },
+    ...messages.filter(msg => msg.role !== 'system')
+  ];
+}
 
-  return tokenCount;
+/**
+ * Estimates token count for a single message, including images and tool calls.
+ * @param {Object} message - Message object with role and content.
+ * @param {String} [model] - Model name; selects the tokenizer and calibration.
+ * @returns {Number} - Estimated token count.
+ */
+function estimateTokenCount(message, model) {
+  return countMessageTokens(message, model);
 }
 
 module.exports = {
+    COMPACTION_THRESHOLD_RATIO,
     pruneMessageHistory,
+    compactMessageHistory,
+    withSystemPrompt,
     estimateTokenCount
 }; 
\ No newline at end of file
@@ -8,7 +8,14 @@ function validateApiKey(settings) {
     }
 }
 
+// Abort controllers for in-flight chat streams, keyed by the requesting webContents id
+const activeStreams = new Map();
+
 async function handleChatStream(event, messages, model, settings, modelContextSizes, discoveredTools) {
+    const senderId = event.sender.id;
+    const abortController = new AbortController();
+    activeStreams.set(senderId, abortController);
+
     try {
         // Get the appropriate provider based on settings
         const providerId = settings.provider || 'ollama-turbo';
@@ -17,16 +24,53 @@ async function handleChatStream(event, messages, model, settings, modelContextSi
         console.log(`Using provider: ${provider.getDisplayName()}`);
         
         // Delegate to the provider's chat stream handler
-        await provider.handleChatStream(event, messages, model, modelContextSizes, discoveredTools);
+        await provider.handleChatStream(event, messages, model, modelContextSizes, discoveredTools, abortController.signal);
         
     } catch (error) {
         console.error('Chat handler error:', error);
         event.sender.send('chat-stream-error', { 
             error: error.message || `Chat error: ${error}` 
         });
+    } finally {
+        // Only clear the entry if a newer stream from the same window hasn't replaced it
+        if (activeStreams.get(senderId) === abortController) {
+            activeStreams.delete(senderId);
+        }
     }
 }
 
+/**
+ * Abort the chat stream currently running for a window.
+ * The provider finishes the stream with a 'chat-stream-complete' carrying finish_reason 'aborted'.
+ * @param {number} senderId - webContents id of the window that started the stream
+ * @returns {boolean} True if a stream was running and has been aborted
+ */
+function abortChatStream(senderId) {
+    const abortController = activeStreams.get(senderId);
+    if (!abortController) {
+        return false;
+    }
+    console.log(`Aborting chat stream for sender ${senderId}`);
+    abortController.abort();
+    activeStreams.delete(senderId);
+    return true;
+}
+
+/**
+ * Run a non-streaming completion with the provider selected in `settings`.
+ * @param {Array} messages - Chat messages
+ * @param {string} model - Model to use
+ * @param {Object} settings - Settings, including per-run overrides such as `provider`
+ * @param {Object} [options] - { maxTokens, temperature, stopSequences, withFinishReason, signal }
+ * @returns {Promise<string|{content: string, finishReason: string, stopSequence?: string}>} The reply
+ *   text, or with `withFinishReason` the text and why generation stopped
+ */
+async function completeChat(messages, model, settings, options = {}) {
+    const providerId = settings.provider || 'ollama-turbo';
+    const provider = await providerFactory.getProvider(providerId, settings);
+    return provider.complete(messages, model, options);
+}
+
 // New function to list available models for the current provider
 async function listModels(settings) {
     try {
@@ -53,6 +97,8 @@ async function validateProvider(settings) {
 
 module.exports = { 
     handleChatStream,
+    abortChatStream,
+    completeChat,
     listModels,
     validateProvider
 };
\ No newline at end of file
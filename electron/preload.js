@@ -7,6 +7,9 @@ contextBridge.exposeInMainWorld('electron', {
   reloadSettings: () => ipcRenderer.invoke('reload-settings'),
   // Chat API - streaming only
   executeToolCall: (toolCall) => ipcRenderer.invoke('execute-tool-call', toolCall),
+  extendToolTimeout: (toolCallId, seconds) => ipcRenderer.invoke('extend-tool-timeout', toolCallId, seconds),
+  clearToolTimeout: (toolCallId) => ipcRenderer.invoke('clear-tool-timeout', toolCallId),
+  cancelToolCall: (toolCallId) => ipcRenderer.invoke('cancel-tool-call', toolCallId),
   
   // Streaming API events
   startChatStream: (messages, model, options = {}) => {
@@ -43,6 +46,8 @@ contextBridge.exposeInMainWorld('electron', {
         ipcRenderer.on('chat-stream-error', (_, data) => callback(data));
         return () => ipcRenderer.removeListener('chat-stream-error', callback);
       },
+      // Stop this stream; a final onComplete arrives with finish_reason 'aborted'
+      abort: () => ipcRenderer.send('chat-stream-abort'),
       cleanup: () => {
         ipcRenderer.removeAllListeners('chat-stream-start');
         ipcRenderer.removeAllListeners('chat-stream-content');
@@ -54,6 +59,34 @@ contextBridge.exposeInMainWorld('electron', {
       }
     };
   },
+  // Stop the running chat stream and any in-flight tool calls for this window
+  abortChatStream: () => ipcRenderer.send('chat-stream-abort'),
+
+  // Conversation runner: the main process drives the turn -> tool -> turn loop
+  runConversation: (messages, model, options = {}) => ipcRenderer.send('conversation-run', messages, model, options),
+  respondToToolApproval: (toolCallId, choice) => ipcRenderer.send('conversation-approval-response', toolCallId, choice),
+  getConversationState: () => ipcRenderer.invoke('get-conversation-state'),
+  onConversationEvent: (callback) => {
+    const listener = (event, conversationEvent) => callback(conversationEvent);
+    ipcRenderer.on('conversation-event', listener);
+    // Return a function to remove the listener
+    return () => ipcRenderer.removeListener('conversation-event', listener);
+  },
+  setToolApprovalStatus: (toolName, choice) => ipcRenderer.invoke('set-tool-approval-status', toolName, choice),
+  resetToolApprovals: () => ipcRenderer.invoke('reset-tool-approvals'),
+  // Estimated tokens the next request will use (history, system prompt and tool definitions)
+  countContextTokens: (messages, model) => ipcRenderer.invoke('count-context-tokens', messages, model),
+  countToolTokens: (model) => ipcRenderer.invoke('count-tool-tokens', model),
+
+  // Saved conversations
+  listConversations: () => ipcRenderer.invoke('list-conversations'),
+  searchConversations: (query, options = {}) => ipcRenderer.invoke('search-conversations', query, options),
+  getConversation: (id) => ipcRenderer.invoke('get-conversation', id),
+  saveConversation: (conversation) => ipcRenderer.invoke('save-conversation', conversation),
+  renameConversation: (id, title) => ipcRenderer.invoke('rename-conversation', id, title),
+  deleteConversation: (id) => ipcRenderer.invoke('delete-conversation', id),
+  exportConversationFile: (fileName, content) => ipcRenderer.invoke('export-conversation-file', fileName, content),
+  importConversationFile: () => ipcRenderer.invoke('import-conversation-file'),
   
   // MCP related functions
   connectMcpServer: (serverConfig) => ipcRenderer.invoke('connect-mcp-server', serverConfig),
@@ -63,15 +96,39 @@ contextBridge.exposeInMainWorld('electron', {
   getMcpPrompts: () => ipcRenderer.invoke('get-mcp-prompts'),
   readMcpResource: (uri, serverId) => ipcRenderer.invoke('read-mcp-resource', uri, serverId),
   refreshMcpResources: () => ipcRenderer.invoke('refresh-mcp-resources'),
+  readMcpResourceTemplate: (uriTemplate, variables, serverId) => ipcRenderer.invoke('read-mcp-resource-template', uriTemplate, variables, serverId),
+  completeMcpArgument: (serverId, ref, argument, contextArguments) => ipcRenderer.invoke('complete-mcp-argument', serverId, ref, argument, contextArguments),
+  subscribeMcpResource: (uri, serverId) => ipcRenderer.invoke('subscribe-mcp-resource', uri, serverId),
+  unsubscribeMcpResource: (uri, serverId) => ipcRenderer.invoke('unsubscribe-mcp-resource', uri, serverId),
+  onMcpResourceUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('mcp-resource-updated', listener);
+    return () => ipcRenderer.removeListener('mcp-resource-updated', listener);
+  },
   getMcpPrompt: (promptName, promptArguments, serverId) => ipcRenderer.invoke('get-mcp-prompt', promptName, promptArguments, serverId),
   getPromptSuggestions: (context) => ipcRenderer.invoke('get-prompt-suggestions', context),
   getPendingElicitations: () => ipcRenderer.invoke('get-pending-elicitations'),
   cancelElicitation: (elicitationId) => ipcRenderer.invoke('cancel-elicitation', elicitationId),
+  // MCP sampling: servers asking for an LLM completion, pending user approval
+  onMcpSamplingRequest: (callback) => {
+    const listener = (event, request) => callback(request);
+    ipcRenderer.on('mcp-sampling-request', listener);
+    return () => ipcRenderer.removeListener('mcp-sampling-request', listener);
+  },
+  onMcpSamplingCancelled: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('mcp-sampling-cancelled', listener);
+    return () => ipcRenderer.removeListener('mcp-sampling-cancelled', listener);
+  },
+  respondToMcpSampling: (requestId, decision) => ipcRenderer.send('mcp-sampling-response', requestId, decision),
+  // MCP roots: workspace folders exposed to servers
+  selectWorkspaceFolders: () => ipcRenderer.invoke('select-workspace-folders'),
+  setConversationRoots: (roots) => ipcRenderer.invoke('set-conversation-roots', roots),
   // Function to get model configurations
   getModelConfigs: () => ipcRenderer.invoke('get-model-configs'),
   
   // Provider management functions
-  listProviderModels: () => ipcRenderer.invoke('list-provider-models'),
+  listProviderModels: (providerId) => ipcRenderer.invoke('list-provider-models', providerId),
   validateProvider: () => ipcRenderer.invoke('validate-provider'),
   getAvailableProviders: () => ipcRenderer.invoke('get-available-providers'),
   
@@ -83,6 +140,13 @@ contextBridge.exposeInMainWorld('electron', {
     return () => ipcRenderer.removeListener('mcp-server-status-changed', listener);
   },
   
+  getMcpServerStates: () => ipcRenderer.invoke('get-mcp-server-states'),
+  parseMcpConfig: (text) => ipcRenderer.invoke('parse-mcp-config', text),
+  importMcpConfigFile: () => ipcRenderer.invoke('import-mcp-config-file'),
+  getMcpHeaderEncryption: () => ipcRenderer.invoke('get-mcp-header-encryption'),
+  getMcpServerHeaders: (serverId) => ipcRenderer.invoke('get-mcp-server-headers', serverId),
+  saveMcpServerHeaders: (serverId, headers, options) => ipcRenderer.invoke('save-mcp-server-headers', serverId, headers, options),
+  
   // MCP Log Handling
   getMcpServerLogs: (serverId) => ipcRenderer.invoke('get-mcp-server-logs', serverId),
   onMcpLogUpdate: (callback) => {
@@ -6,9 +6,37 @@ const {
   validateServerConnection,
   createErrorResponse,
   handleClientDisconnection,
-  isClientDisconnectionError 
+  isClientDisconnectionError,
+  toResourcePart
 } = require('./utils');
 
+/**
+ * Converts the content of an MCP prompt message into chat message parts (`text` and `image_url`).
+ * Embedded resources keep a `resource` marker so the chat can show where they came from.
+ *
+ * @param {string|object|Array} content - A content block, an array of them, or plain text.
+ * @param {number} outputLimit - Maximum length of each text part.
+ * @returns {Array<object>} - The message parts.
+ */
+function toChatParts(content, outputLimit) {
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : [].concat(content || []);
+  return blocks.map(block => {
+    if (block.type === 'text') {
+      return { type: 'text', text: limitContentLength(block.text || '', outputLimit) };
+    }
+    if (block.type === 'image' && block.data) {
+      return { type: 'image_url', image_url: { url: `data:${block.mimeType || 'image/png'};base64,${block.data}` } };
+    }
+    if (block.type === 'resource' && block.resource) {
+      return toResourcePart(block.resource, { uri: block.resource.uri, name: block.resource.uri }, outputLimit);
+    }
+    if (block.type === 'resource_link') {
+      return { type: 'text', text: `[Resource: ${block.uri}]` };
+    }
+    return { type: 'text', text: limitContentLength(JSON.stringify(block), outputLimit) };
+  });
+}
+
 /**
  * Handles the 'get-mcp-prompt' IPC event.
  *
@@ -50,34 +78,19 @@ async function handleGetPrompt(event, promptName, promptArguments, serverId, mcp
 
       console.log(`Prompt "${promptName}" retrieved successfully.`);
 
-      // Process the prompt messages
+      // Process the prompt messages: `content` is display text, `parts` the chat message parts
+      const outputLimit = settings.toolOutputLimit || 50000;
       let messages = [];
       if (result?.messages && Array.isArray(result.messages)) {
         messages = result.messages.map(message => {
-          // Handle different content types in messages
-          let content;
-          if (typeof message.content === 'string') {
-            content = message.content;
-          } else if (Array.isArray(message.content)) {
-            // Handle multi-part content
-            content = message.content.map(part => {
-              if (part.type === 'text') {
-                return part.text || '';
-              } else if (part.type === 'image') {
-                return `[Image: ${part.source?.data ? 'embedded' : part.source?.url || 'unknown'}]`;
-              } else if (part.type === 'resource') {
-                return `[Resource: ${part.resource?.uri || 'unknown'}]`;
-              } else {
-                return JSON.stringify(part);
-              }
-            }).join('\n');
-          } else {
-            content = JSON.stringify(message.content);
-          }
-
+          const parts = toChatParts(message.content, outputLimit);
           return {
             role: message.role || 'user',
-            content: limitContentLength(content, settings.toolOutputLimit || 50000)
+            content: limitContentLength(
+              parts.map(part => (part.type === 'text' ? part.text : `[Image${part.resource ? `: ${part.resource.uri}` : ''}]`)).join('\n'),
+              outputLimit
+            ),
+            parts
           };
         });
       }
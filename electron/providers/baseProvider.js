@@ -40,12 +40,29 @@ class BaseProvider {
      * @param {string} model - Model to use
      * @param {Object} modelContextSizes - Model context configurations
      * @param {Array} discoveredTools - Available tools
+     * @param {AbortSignal} [signal] - Aborts the stream; providers then send 'chat-stream-complete'
+     *   with the partial content and finish_reason 'aborted'
      * @returns {Promise<void>}
      */
-    async handleChatStream(event, messages, model, modelContextSizes, discoveredTools) {
+    async handleChatStream(event, messages, model, modelContextSizes, discoveredTools, _signal) {
         throw new Error('handleChatStream() must be implemented by subclass');
     }
 
+    /**
+     * Run a single non-streaming completion without tools, for internal requests such as
+     * summarizing older messages
+     * @param {Array} messages - Chat messages
+     * @param {string} model - Model to use
+     * @param {Object} [options] - { maxTokens, temperature, stopSequences, withFinishReason, signal };
+     *   aborting `signal` rejects the request
+     * @returns {Promise<string|{content: string, finishReason: string, stopSequence?: string}>} The
+     *   assistant's reply text; with `withFinishReason`, also why generation stopped ('stop' or
+     *   'length') and the stop sequence that ended it, if the server names it
+     */
+    async complete(_messages, _model, _options) {
+        throw new Error('complete() must be implemented by subclass');
+    }
+
     /**
      * Get provider display name
      * @returns {string}
@@ -5,7 +5,9 @@ if (!global.fetch) {
 
 const { Ollama } = require('ollama');
 const BaseProvider = require('./baseProvider');
-const { pruneMessageHistory } = require('../messageUtils');
+const { pruneMessageHistory, withSystemPrompt } = require('../messageUtils');
+const { recordUsage } = require('../tokenCounter');
+const { getEnabledTools } = require('../utils');
 
 /**
  * Ollama Turbo Provider
@@ -124,7 +126,9 @@ class OllamaTurboProvider extends BaseProvider {
         return [];
     }
 
-    async handleChatStream(event, messages, model, modelContextSizes, discoveredTools) {
+    async handleChatStream(event, messages, model, modelContextSizes, discoveredTools, signal) {
+        let accumulatedData = null;
+
         try {
             if (!this.isInitialized) {
                 await this.initialize();
@@ -152,10 +156,10 @@ class OllamaTurboProvider extends BaseProvider {
             }
 
             // Prepare tools
-            const tools = (discoveredTools || []).map(tool => ({
+            const tools = getEnabledTools(discoveredTools, this.settings).map(tool => ({
                 type: "function",
                 function: {
-                    name: tool.name,
+                    name: tool.modelName || tool.name,
                     description: tool.description,
                     parameters: tool.input_schema || {}
                 }
@@ -172,10 +176,7 @@ class OllamaTurboProvider extends BaseProvider {
             }
 
             // Add system message at the beginning
-            const messagesWithSystem = [
-                { role: "system", content: systemPrompt },
-                ...prunedMessages
-            ];
+            const messagesWithSystem = withSystemPrompt(systemPrompt, prunedMessages);
 
             // Build API parameters
             const apiParams = {
@@ -222,7 +223,7 @@ class OllamaTurboProvider extends BaseProvider {
             }, null, 2));
 
             // Track accumulated data
-            const accumulatedData = {
+            accumulatedData = {
                 content: "",
                 toolCalls: [],
                 isFirstChunk: true,
@@ -238,6 +239,15 @@ class OllamaTurboProvider extends BaseProvider {
             // Start streaming chat
             const response = await this.client.chat(apiParams);
 
+            // Abort the underlying request when the user stops generation
+            if (signal) {
+                if (signal.aborted) {
+                    response.abort();
+                } else {
+                    signal.addEventListener('abort', () => response.abort(), { once: true });
+                }
+            }
+
             // Handle streaming response
             for await (const part of response) {
                 // Process message content
@@ -287,13 +297,24 @@ class OllamaTurboProvider extends BaseProvider {
                         content: accumulatedData.content,
                         role: "assistant",
                         tool_calls: accumulatedData.toolCalls.length > 0 ? accumulatedData.toolCalls : undefined,
-                        finish_reason: 'stop'
+                        finish_reason: 'stop',
+                        // Real token counts; also calibrates future estimates for this model
+                        usage: recordUsage(modelToUse, apiParams.messages, apiParams.tools, part.prompt_eval_count, part.eval_count)
                     });
                     return;
                 }
             }
 
+            if (signal?.aborted) {
+                this.sendAbortedCompletion(event, accumulatedData);
+            }
+
         } catch (error) {
+            if (signal?.aborted) {
+                this.sendAbortedCompletion(event, accumulatedData);
+                return;
+            }
+
             console.error('Ollama Turbo streaming error:', error);
             
             // Try to get more details about the error
@@ -313,12 +334,31 @@ class OllamaTurboProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Finish an aborted stream, keeping the content that arrived before the abort.
+     * Partial tool calls are dropped since they will never receive tool results.
+     * @param {Object} event - Electron IPC event
+     * @param {Object|null} accumulatedData - Data streamed so far, null if streaming never started
+     */
+    sendAbortedCompletion(event, accumulatedData) {
+        console.log('Chat stream aborted by user');
+        event.sender.send('chat-stream-complete', {
+            content: accumulatedData?.content || "",
+            role: "assistant",
+            finish_reason: 'aborted'
+        });
+    }
+
     cleanMessages(messages) {
         // Clean and prepare messages for the API
         return messages.map(msg => {
             const cleanMsg = { ...msg };
             delete cleanMsg.reasoning;
             delete cleanMsg.isStreaming;
+            delete cleanMsg.compaction;
+            delete cleanMsg.model;
+            delete cleanMsg.provider;
+            delete cleanMsg.usage;
 
             // Convert image URLs to base64 for Ollama
             if (cleanMsg.role === 'user') {
@@ -370,6 +410,39 @@ class OllamaTurboProvider extends BaseProvider {
         });
     }
 
+    async complete(messages, model, { maxTokens, temperature = 0.2, stopSequences, withFinishReason = false, signal } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const options = { temperature };
+        if (maxTokens) options.num_predict = maxTokens;
+        if (stopSequences?.length) options.stop = stopSequences;
+
+        // Streamed because only streamed requests of the Ollama client can be aborted
+        const response = await this.client.chat({
+            model: model || this.settings.model,
+            messages: this.cleanMessages(messages),
+            stream: true,
+            options
+        });
+        if (signal) {
+            if (signal.aborted) {
+                response.abort();
+            } else {
+                signal.addEventListener('abort', () => response.abort(), { once: true });
+            }
+        }
+
+        let content = '';
+        let finishReason = 'stop';
+        for await (const part of response) {
+            content += part.message?.content || '';
+            if (part.done_reason) finishReason = part.done_reason;
+        }
+        return withFinishReason ? { content, finishReason } : content;
+    }
+
     getDisplayName() {
         return 'Ollama Turbo';
     }
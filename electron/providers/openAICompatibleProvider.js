@@ -0,0 +1,363 @@
+// Polyfill fetch for Node.js environment
+if (!global.fetch) {
+    global.fetch = require('node-fetch');
+}
+
+const BaseProvider = require('./baseProvider');
+const { pruneMessageHistory, withSystemPrompt } = require('../messageUtils');
+const { prepareTools, cleanMessages, processStreamChunk, handleStreamCompletion } = require('../chatHandler');
+
+/**
+ * OpenAI-Compatible Provider
+ * Handles communication with any server exposing the OpenAI /v1/chat/completions API
+ * (vLLM, LM Studio, llama.cpp server, OpenRouter, LiteLLM, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(settings) {
+        super(settings);
+        this.baseUrl = this.normalizeBaseUrl(settings.openaiCompatibleBaseUrl || 'http://localhost:8000');
+        this.apiKey = settings.openaiCompatibleApiKey || '';
+        this.extraHeaders = settings.openaiCompatibleHeaders || {};
+    }
+
+    /**
+     * Strip trailing slashes and a trailing /v1 so endpoints can always be built as `${baseUrl}/v1/...`
+     * @param {string} url - Base URL as entered by the user
+     * @returns {string}
+     */
+    normalizeBaseUrl(url) {
+        return url.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+    }
+
+    /**
+     * Build request headers, merging the API key and any user-defined extra headers
+     * @returns {Object}
+     */
+    buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.extraHeaders
+        };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async initialize() {
+        if (!this.baseUrl) {
+            throw new Error("Base URL not configured. Please add the server URL in settings.");
+        }
+
+        this.isInitialized = true;
+    }
+
+    async validateConnection() {
+        try {
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const response = await fetch(`${this.baseUrl}/v1/models`, {
+                headers: this.buildHeaders()
+            });
+
+            if (!response.ok) {
+                return {
+                    success: false,
+                    error: `Server responded with ${response.status} ${response.statusText}`
+                };
+            }
+
+            return { success: true };
+        } catch (error) {
+            if (error.code === 'ECONNREFUSED' || error.cause?.code === 'ECONNREFUSED') {
+                return {
+                    success: false,
+                    error: `Cannot connect to ${this.baseUrl}. Please ensure the server is running.`
+                };
+            }
+
+            return {
+                success: false,
+                error: error.message || 'Failed to connect to OpenAI-compatible server'
+            };
+        }
+    }
+
+    async listModels() {
+        try {
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const response = await fetch(`${this.baseUrl}/v1/models`, {
+                headers: this.buildHeaders()
+            });
+
+            if (!response.ok) {
+                console.warn(`Failed to list models from ${this.baseUrl}: ${response.status}`);
+                return [];
+            }
+
+            const data = await response.json();
+            if (!data || !Array.isArray(data.data)) {
+                return [];
+            }
+
+            // The /v1/models payload carries no capability metadata, so capabilities come from a custom
+            // model entry with the same ID; without one a model gets neither images nor built-in tools
+            const customModels = this.settings.customModels || {};
+            return data.data.map(model => ({
+                id: model.id,
+                name: model.id,
+                context: customModels[model.id]?.context || model.context_length || model.max_model_len || 8192,
+                vision: Boolean(customModels[model.id]?.vision_supported),
+                builtin_tools: Boolean(customModels[model.id]?.builtin_tools_supported)
+            }));
+        } catch (error) {
+            console.error('Failed to list OpenAI-compatible models:', error);
+            return [];
+        }
+    }
+
+    async handleChatStream(event, messages, model, modelContextSizes, discoveredTools, signal) {
+        let accumulatedData = null;
+
+        try {
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const modelToUse = model || this.settings.model;
+            if (!modelToUse) {
+                event.sender.send('chat-stream-error', {
+                    error: 'No model selected. Please choose a model served by your OpenAI-compatible endpoint.'
+                });
+                return;
+            }
+
+            const modelInfo = modelContextSizes[modelToUse] || modelContextSizes['default'] || {
+                context: 8192,
+                vision_supported: false
+            };
+
+            // Check vision support
+            const hasImages = messages.some(msg =>
+                msg.role === 'user' &&
+                Array.isArray(msg.content) &&
+                msg.content.some(part => part.type === 'image_url')
+            );
+
+            if (hasImages && !modelInfo.vision_supported) {
+                console.warn(`Attempting to use images with non-vision model: ${modelToUse}`);
+                event.sender.send('chat-stream-error', {
+                    error: `The selected model (${modelToUse}) does not support image inputs. Please select a vision-capable model.`
+                });
+                return;
+            }
+
+            const tools = prepareTools(discoveredTools, this.settings);
+            const cleanedMessages = cleanMessages(messages);
+            const prunedMessages = pruneMessageHistory(cleanedMessages, modelToUse, modelContextSizes);
+
+            // Build system prompt
+            let systemPrompt = "You are a helpful assistant capable of using tools. Use tools only when necessary and relevant to the user's request. Format responses using Markdown.";
+            if (this.settings.customSystemPrompt && this.settings.customSystemPrompt.trim()) {
+                systemPrompt += `\n\n${this.settings.customSystemPrompt.trim()}`;
+            }
+
+            const apiParams = {
+                model: modelToUse,
+                messages: withSystemPrompt(systemPrompt, prunedMessages),
+                temperature: this.settings.temperature ?? 0.7,
+                top_p: this.settings.top_p ?? 0.95,
+                stream: true
+            };
+
+            if (tools.length > 0) {
+                apiParams.tools = tools;
+                apiParams.tool_choice = "auto";
+            }
+
+            console.log(`Starting OpenAI-compatible chat with model: ${modelToUse} at ${this.baseUrl}`);
+
+            const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+                method: 'POST',
+                headers: this.buildHeaders(),
+                body: JSON.stringify(apiParams),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorBody = await response.text().catch(() => '');
+                throw new Error(`Server responded with ${response.status} ${response.statusText}${errorBody ? `: ${errorBody}` : ''}`);
+            }
+
+            accumulatedData = {
+                content: "",
+                toolCalls: [],
+                reasoning: "",
+                executedTools: [],
+                isFirstChunk: true,
+                streamId: null
+            };
+
+            for await (const chunk of this.readServerSentEvents(response.body, signal)) {
+                const finishReason = processStreamChunk(chunk, event, accumulatedData);
+
+                if (finishReason) {
+                    handleStreamCompletion(event, accumulatedData, finishReason);
+                    return;
+                }
+            }
+
+            // Some servers close the stream with [DONE] and never set finish_reason
+            if (!accumulatedData.isFirstChunk) {
+                handleStreamCompletion(event, accumulatedData, accumulatedData.toolCalls.length > 0 ? 'tool_calls' : 'stop');
+                return;
+            }
+
+            event.sender.send('chat-stream-error', { error: "Stream ended unexpectedly." });
+        } catch (error) {
+            if (signal?.aborted) {
+                console.log('Chat stream aborted by user');
+                // Keep the partial text but drop tool calls that will never get results
+                handleStreamCompletion(event, {
+                    content: accumulatedData?.content || "",
+                    reasoning: accumulatedData?.reasoning || "",
+                    toolCalls: [],
+                    executedTools: accumulatedData?.executedTools || []
+                }, 'aborted');
+                return;
+            }
+
+            console.error('OpenAI-compatible streaming error:', error);
+
+            let errorMessage = error.message || 'Unknown error';
+            if (error.code === 'ECONNREFUSED' || error.cause?.code === 'ECONNREFUSED') {
+                errorMessage = `Cannot connect to ${this.baseUrl}. Please ensure the server is running.`;
+            }
+
+            event.sender.send('chat-stream-error', {
+                error: `Failed to get chat completion: ${errorMessage}`,
+                details: error
+            });
+        }
+    }
+
+    /**
+     * Parse an SSE response body into JSON chunks, stopping at the [DONE] sentinel
+     * @param {AsyncIterable<Uint8Array|Buffer>} body - Response body stream
+     * @param {AbortSignal} [signal] - Stops reading when aborted
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *readServerSentEvents(body, signal) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of body) {
+            if (signal?.aborted) {
+                throw new Error('Stream aborted');
+            }
+            buffer += decoder.decode(bytes, { stream: true });
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).trim();
+                buffer = buffer.slice(newlineIndex + 1);
+
+                if (!line.startsWith('data:')) continue;
+
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+
+                try {
+                    yield JSON.parse(data);
+                } catch (parseError) {
+                    console.warn('Skipping malformed stream chunk:', data.substring(0, 200));
+                }
+            }
+        }
+    }
+
+    async complete(messages, model, { maxTokens, temperature = 0.2, stopSequences, withFinishReason = false, signal } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const apiParams = {
+            model: model || this.settings.model,
+            messages: cleanMessages(messages),
+            temperature,
+            stream: false
+        };
+        if (maxTokens) apiParams.max_tokens = maxTokens;
+        if (stopSequences?.length) apiParams.stop = stopSequences;
+
+        const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(apiParams),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text().catch(() => '');
+            throw new Error(`Server responded with ${response.status} ${response.statusText}${errorBody ? `: ${errorBody}` : ''}`);
+        }
+
+        const data = await response.json();
+        const choice = data.choices?.[0];
+        const content = choice?.message?.content || '';
+        if (!withFinishReason) {
+            return content;
+        }
+        // vLLM reports the matched stop string in stop_reason; other servers only say 'stop'
+        return {
+            content,
+            finishReason: choice?.finish_reason || 'stop',
+            stopSequence: typeof choice?.stop_reason === 'string' ? choice.stop_reason : undefined
+        };
+    }
+
+    getDisplayName() {
+        return 'OpenAI-Compatible';
+    }
+
+    getId() {
+        return 'openai-compatible';
+    }
+
+    supportsFeature(feature) {
+        const supportedFeatures = ['streaming', 'tools'];
+        return supportedFeatures.includes(feature);
+    }
+
+    getConfigSchema() {
+        return {
+            openaiCompatibleBaseUrl: {
+                type: 'string',
+                label: 'Base URL',
+                placeholder: 'http://localhost:8000/v1',
+                required: true,
+                default: 'http://localhost:8000'
+            },
+            openaiCompatibleApiKey: {
+                type: 'password',
+                label: 'API Key',
+                placeholder: 'sk-...',
+                required: false,
+                default: ''
+            },
+            openaiCompatibleHeaders: {
+                type: 'object',
+                label: 'Extra Headers',
+                required: false,
+                default: {}
+            }
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
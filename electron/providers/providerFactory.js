@@ -1,5 +1,6 @@
 const OllamaTurboProvider = require('./ollamaTurboProvider');
 const LocalOllamaProvider = require('./localOllamaProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
 
 /**
  * Provider Factory
@@ -21,6 +22,11 @@ class ProviderFactory {
                 class: LocalOllamaProvider,
                 name: 'Local Ollama',
                 description: 'Locally running Ollama server'
+            },
+            'openai-compatible': {
+                class: OpenAICompatibleProvider,
+                name: 'OpenAI-Compatible',
+                description: 'Any server exposing the OpenAI /v1/chat/completions API'
             }
         };
     }
@@ -7,8 +7,11 @@ const {
   createErrorResponse,
   detectMimeType,
   handleClientDisconnection,
-  isClientDisconnectionError 
+  isClientDisconnectionError,
+  toResourcePart
 } = require('./utils');
+const { ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { UriTemplate } = require('@modelcontextprotocol/sdk/shared/uriTemplate.js');
 
 /**
  * Handles the 'read-mcp-resource' IPC event.
@@ -50,6 +53,7 @@ async function handleReadResource(event, uri, serverId, mcpClients, settings) {
       console.log(`Resource "${uri}" read successfully. Content length: ${JSON.stringify(result?.contents)?.length}`);
 
       // Process the resource contents
+      const outputLimit = settings.toolOutputLimit || MCP_CONFIG.LIMITS.DEFAULT_OUTPUT_LIMIT;
       let resourceContents = [];
       if (result?.contents && Array.isArray(result.contents)) {
         resourceContents = result.contents.map(content => {
@@ -70,17 +74,31 @@ async function handleReadResource(event, uri, serverId, mcpClients, settings) {
             detectedMimeType = 'application/json';
           }
 
-          return {
+          const processed = {
             type: content.type || 'text',
-            text: limitContentLength(contentString, settings.toolOutputLimit || MCP_CONFIG.LIMITS.DEFAULT_OUTPUT_LIMIT),
+            text: limitContentLength(contentString, outputLimit),
             mimeType: detectedMimeType || content.mimeType || 'text/plain'
           };
+          // Keep image data so it can be attached to a chat message
+          if (content.blob !== undefined && processed.mimeType.startsWith('image/')) {
+            processed.blob = Buffer.isBuffer(content.blob) ? content.blob.toString('base64') : content.blob;
+          }
+          return processed;
         });
       }
 
+      // The same contents as message parts, for attaching the resource to a chat message
+      const parts = resourceContents.map((processed, index) => toResourcePart({
+        uri: result.contents[index].uri || uri,
+        mimeType: processed.mimeType,
+        text: result.contents[index].text,
+        blob: processed.blob
+      }, { uri, name: uri, serverId }, outputLimit));
+
       return {
         uri: uri,
         contents: resourceContents,
+        parts,
         serverId: serverId
       };
     } catch (readError) {
@@ -109,6 +127,29 @@ async function handleReadResource(event, uri, serverId, mcpClients, settings) {
   }
 }
 
+/**
+ * Handles the 'read-mcp-resource-template' IPC event: fills in the template variables and reads
+ * the resulting URI.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object.
+ * @param {string} uriTemplate - RFC 6570 URI template, e.g. `db://{table}/rows`.
+ * @param {object} variables - Values for the template variables.
+ * @param {string} serverId - The server ID that provides the template.
+ * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
+ * @param {object} settings - The current application settings.
+ * @returns {Promise<object>} - The resource content (with the expanded `uri`) or an error.
+ */
+async function handleReadResourceTemplate(event, uriTemplate, variables, serverId, mcpClients, settings) {
+  let uri;
+  try {
+    uri = new UriTemplate(uriTemplate).expand(variables || {});
+  } catch (error) {
+    console.error(`Error expanding resource template "${uriTemplate}":`, error.message);
+    return createErrorResponse(`Invalid resource template "${uriTemplate}": ${error.message}`, settings);
+  }
+  return handleReadResource(event, uri, serverId, mcpClients, settings);
+}
+
 /**
  * Refreshes the list of resources from all connected MCP servers.
  *
@@ -222,10 +263,137 @@ function clearResourceCache() {
   console.log('Resource cache cleared');
 }
 
+/**
+ * Resources the renderer subscribed to, as `${serverId}:${uri}` keys. Kept across reconnects so
+ * subscriptions are renewed when a server comes back.
+ */
+const resourceSubscriptions = new Set();
+
+/**
+ * Last subscribe or unsubscribe call per `${serverId}:${uri}` key. Calls for the same resource run
+ * one after another, so an unsubscribe made while the subscribe is still in flight (e.g. a resource
+ * opened and closed quickly) is not skipped and does not reach the server first.
+ */
+const subscriptionQueues = new Map();
+
+function enqueueSubscriptionChange(key, change) {
+  const previous = subscriptionQueues.get(key) || Promise.resolve();
+  const next = previous.then(change);
+  subscriptionQueues.set(key, next);
+  const forget = () => {
+    if (subscriptionQueues.get(key) === next) subscriptionQueues.delete(key);
+  };
+  next.then(forget, forget);
+  return next;
+}
+
+/**
+ * Subscribes to updates of a resource, for servers that support resources/subscribe.
+ *
+ * @param {string} uri - The resource URI.
+ * @param {string} serverId - The server ID.
+ * @param {object} mcpClients - MCP clients object.
+ * @returns {Promise<object>} - { success: true } or { success: false, error }.
+ */
+async function handleSubscribeResource(uri, serverId, mcpClients) {
+  const uriValidation = validateStringParam(uri, 'resource URI');
+  if (!uriValidation.isValid) {
+    return { success: false, error: ERROR_MESSAGES.INVALID_URI };
+  }
+  const serverValidation = validateServerConnection(serverId, mcpClients);
+  if (!serverValidation.isValid) {
+    return { success: false, error: serverValidation.error };
+  }
+
+  const client = serverValidation.client;
+  if (!client.getServerCapabilities()?.resources?.subscribe) {
+    return { success: false, error: `Server ${serverId} does not support resource subscriptions` };
+  }
+
+  const key = `${serverId}:${uri}`;
+  return enqueueSubscriptionChange(key, async () => {
+    if (resourceSubscriptions.has(key)) {
+      return { success: true };
+    }
+    try {
+      await client.subscribeResource({ uri });
+      resourceSubscriptions.add(key);
+      console.log(`Subscribed to resource "${uri}" on server ${serverId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error subscribing to resource "${uri}":`, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Ends a subscription started with handleSubscribeResource.
+ *
+ * @param {string} uri - The resource URI.
+ * @param {string} serverId - The server ID.
+ * @param {object} mcpClients - MCP clients object.
+ * @returns {Promise<object>} - { success: true } or { success: false, error }.
+ */
+async function handleUnsubscribeResource(uri, serverId, mcpClients) {
+  const key = `${serverId}:${uri}`;
+  return enqueueSubscriptionChange(key, async () => {
+    if (!resourceSubscriptions.delete(key)) {
+      return { success: true };
+    }
+    const client = mcpClients[serverId];
+    if (!client) {
+      // Nothing to tell a disconnected server
+      return { success: true };
+    }
+
+    try {
+      await client.unsubscribeResource({ uri });
+      console.log(`Unsubscribed from resource "${uri}" on server ${serverId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error unsubscribing from resource "${uri}":`, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Listens for notifications/resources/updated on a freshly connected client: cached contents are
+ * dropped and the renderer is told to re-read. Subscriptions from an earlier connection are renewed.
+ *
+ * @param {object} client - The connected MCP client.
+ * @param {string} serverId - The server ID.
+ * @param {Electron.BrowserWindow} mainWindow - Window that shows resource views.
+ */
+function setupResourceUpdateHandler(client, serverId, mainWindow) {
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+    const { uri } = notification.params;
+    console.log(`Resource "${uri}" on server ${serverId} was updated`);
+    resourceCache.delete(`${serverId}:${uri}`);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('mcp-resource-updated', { serverId, uri });
+    }
+  });
+
+  const prefix = `${serverId}:`;
+  for (const key of resourceSubscriptions) {
+    if (!key.startsWith(prefix)) continue;
+    const uri = key.slice(prefix.length);
+    client.subscribeResource({ uri }).catch(error => {
+      console.warn(`Could not renew subscription to "${uri}" on server ${serverId}:`, error.message);
+    });
+  }
+}
+
 module.exports = {
   handleReadResource,
+  handleReadResourceTemplate,
   handleRefreshResources,
   getCachedResource,
   clearResourceCache,
-  stopCacheCleanup
+  stopCacheCleanup,
+  handleSubscribeResource,
+  handleUnsubscribeResource,
+  setupResourceUpdateHandler
 };
\ No newline at end of file
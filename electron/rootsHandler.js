@@ -0,0 +1,91 @@
+/**
+ * Handler for MCP Roots
+ * Exposes the workspace folders to connected servers through roots/list, so filesystem and git
+ * servers can scope themselves to the current project. The folders come from settings, unless the
+ * active conversation sets its own.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { dialog, BrowserWindow } = require('electron');
+const { ListRootsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+let loadSettingsFunc = null;
+let getMcpStateFunc = null;
+
+// Roots of the active conversation; null means the workspace roots from settings apply
+let conversationRoots = null;
+// Roots servers were last told about, to skip notifications when nothing changed
+let announcedRootsKey = null;
+
+function getWorkspaceRoots() {
+  if (conversationRoots) return conversationRoots;
+  return loadSettingsFunc?.().workspaceRoots || [];
+}
+
+function toRoot(folderPath) {
+  return {
+    uri: pathToFileURL(folderPath).href,
+    name: path.basename(folderPath) || folderPath
+  };
+}
+
+/**
+ * Tell every connected server to re-fetch roots, if the effective roots changed.
+ */
+function notifyRootsChanged() {
+  const rootsKey = JSON.stringify(getWorkspaceRoots());
+  if (rootsKey === announcedRootsKey) return;
+  announcedRootsKey = rootsKey;
+
+  const { mcpClients } = getMcpStateFunc();
+  for (const [serverId, client] of Object.entries(mcpClients)) {
+    client.sendRootsListChanged().catch(error => {
+      console.warn(`[RootsHandler] Could not notify ${serverId} of changed roots:`, error.message);
+    });
+  }
+}
+
+/**
+ * Register the roots/list handler on an MCP client. The client must advertise the `roots`
+ * capability.
+ */
+function setupRootsHandler(client) {
+  client.setRequestHandler(ListRootsRequestSchema, () => {
+    const roots = getWorkspaceRoots();
+    announcedRootsKey = JSON.stringify(roots);
+    return { roots: roots.map(toRoot) };
+  });
+}
+
+function initializeRootsHandlers(ipcMain, loadSettings, getMcpState, onSettingsSaved) {
+  loadSettingsFunc = loadSettings;
+  getMcpStateFunc = getMcpState;
+
+  onSettingsSaved(() => notifyRootsChanged());
+
+  ipcMain.handle('select-workspace-folders', async (event) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Add Workspace Folders',
+        properties: ['openDirectory', 'multiSelections', 'createDirectory']
+      });
+      return { success: true, canceled, paths: canceled ? [] : filePaths };
+    } catch (error) {
+      console.error('[RootsHandler] Error selecting workspace folders:', error);
+      return { success: false, error: error.message, paths: [] };
+    }
+  });
+
+  // The renderer reports the roots of the conversation it shows (null to use settings)
+  ipcMain.handle('set-conversation-roots', async (event, roots) => {
+    conversationRoots = Array.isArray(roots) ? roots : null;
+    notifyRootsChanged();
+    return { success: true, roots: getWorkspaceRoots() };
+  });
+}
+
+module.exports = {
+  initializeRootsHandlers,
+  setupRootsHandler
+};
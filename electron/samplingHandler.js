@@ -0,0 +1,162 @@
+/**
+ * Handler for MCP Sampling
+ * Answers sampling/createMessage requests from connected servers with the active provider.
+ * Every request is shown to the user first, who can edit, approve or reject it.
+ */
+
+const { CreateMessageRequestSchema, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const ollamaHandler = require('./ollamaHandler');
+
+// Error code the MCP spec uses for a sampling request the user declined
+const USER_REJECTED_ERROR_CODE = -1;
+
+// Requests waiting for the user, keyed by request id
+const pendingSamplingRequests = new Map();
+
+let loadSettingsFunc = null;
+let nextRequestId = 1;
+
+/**
+ * Convert a sampling message to the chat message format used by the providers.
+ */
+function toChatMessage(samplingMessage) {
+  const { role, content } = samplingMessage;
+  if (content.type === 'text') {
+    return { role, content: content.text };
+  }
+  if (content.type === 'image') {
+    return {
+      role,
+      content: [{ type: 'image_url', image_url: { url: `data:${content.mimeType};base64,${content.data}` } }]
+    };
+  }
+  return { role, content: `[${content.type} content omitted]` };
+}
+
+/**
+ * Pick a model for the request: the first model hint that matches an available model, else the
+ * model selected in settings. Priorities (cost/speed/intelligence) have no counterpart in our model
+ * metadata and are only shown to the user.
+ */
+function selectModel(modelPreferences, availableModels, defaultModel) {
+  for (const hint of modelPreferences?.hints || []) {
+    if (!hint?.name) continue;
+    const match = availableModels.find(model => model.toLowerCase().includes(hint.name.toLowerCase()));
+    if (match) return match;
+  }
+  return defaultModel;
+}
+
+async function listModelIds(settings) {
+  try {
+    const models = await ollamaHandler.listModels(settings);
+    return (models || []).map(model => model.id);
+  } catch (error) {
+    console.warn('[SamplingHandler] Could not list models:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Show a sampling request in the main window and wait for the user's decision.
+ * @returns {Promise<{action: 'approve'|'reject', systemPrompt?: string, messages?: Array, model?: string, maxTokens?: number}>}
+ */
+function requestApproval(request, mainWindow, signal) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return Promise.reject(new McpError(USER_REJECTED_ERROR_CODE, 'No window is available to approve the sampling request'));
+  }
+
+  return new Promise((resolve, reject) => {
+    pendingSamplingRequests.set(request.id, { resolve });
+    mainWindow.webContents.send('mcp-sampling-request', request);
+
+    // The server cancelled the request (or timed out) before the user answered
+    signal?.addEventListener('abort', () => {
+      if (!pendingSamplingRequests.has(request.id)) return;
+      pendingSamplingRequests.delete(request.id);
+      if (!mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('mcp-sampling-cancelled', { id: request.id });
+      }
+      reject(new Error('Sampling request was cancelled by the server'));
+    }, { once: true });
+  });
+}
+
+// Providers report OpenAI-style finish reasons; MCP names them differently
+function toStopReason({ finishReason, stopSequence }) {
+  if (finishReason === 'length') return 'maxTokens';
+  if (stopSequence) return 'stopSequence';
+  return finishReason === 'stop' ? 'endTurn' : finishReason;
+}
+
+async function handleSamplingRequest(serverId, params, mainWindow, signal) {
+  const settings = loadSettingsFunc();
+  const availableModels = await listModelIds(settings);
+
+  const request = {
+    id: `sampling_${nextRequestId++}`,
+    serverId,
+    messages: params.messages.map(toChatMessage),
+    systemPrompt: params.systemPrompt || '',
+    maxTokens: params.maxTokens,
+    temperature: params.temperature,
+    modelPreferences: params.modelPreferences || null,
+    model: selectModel(params.modelPreferences, availableModels, settings.model),
+    availableModels
+  };
+  console.log(`[SamplingHandler] ${serverId} requested a completion (${request.messages.length} messages, model ${request.model})`);
+
+  const decision = await requestApproval(request, mainWindow, signal);
+  if (decision.action !== 'approve') {
+    throw new McpError(USER_REJECTED_ERROR_CODE, 'User rejected sampling request');
+  }
+
+  const model = decision.model || request.model;
+  const systemPrompt = decision.systemPrompt ?? request.systemPrompt;
+  const messages = [
+    ...(systemPrompt.trim() ? [{ role: 'system', content: systemPrompt }] : []),
+    ...(decision.messages || request.messages)
+  ];
+
+  const completion = await ollamaHandler.completeChat(messages, model, settings, {
+    maxTokens: decision.maxTokens || request.maxTokens,
+    temperature: request.temperature ?? settings.temperature,
+    stopSequences: params.stopSequences,
+    withFinishReason: true
+  });
+
+  return {
+    role: 'assistant',
+    content: { type: 'text', text: completion.content },
+    model,
+    stopReason: toStopReason(completion)
+  };
+}
+
+/**
+ * Register the sampling/createMessage handler on an MCP client. The client must advertise the
+ * `sampling` capability.
+ */
+function setupSamplingHandler(client, serverId, mainWindow) {
+  client.setRequestHandler(CreateMessageRequestSchema, (request, extra) =>
+    handleSamplingRequest(serverId, request.params, mainWindow, extra?.signal));
+}
+
+function initializeSamplingHandlers(ipcMain, loadSettings) {
+  loadSettingsFunc = loadSettings;
+
+  ipcMain.on('mcp-sampling-response', (event, requestId, decision) => {
+    const pending = pendingSamplingRequests.get(requestId);
+    if (!pending) {
+      console.warn(`[SamplingHandler] No pending sampling request ${requestId}`);
+      return;
+    }
+    pendingSamplingRequests.delete(requestId);
+    pending.resolve(decision || { action: 'reject' });
+  });
+}
+
+module.exports = {
+  initializeSamplingHandlers,
+  setupSamplingHandler
+};
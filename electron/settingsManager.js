@@ -5,6 +5,8 @@ const path = require('path');
 require('dotenv').config();
 
 let appInstance; // To store app instance for userData path
+// Called with the new settings after every successful save
+const settingsSavedListeners = [];
 
 // Helper function to load settings with defaults and validation
 function loadSettings() {
@@ -15,15 +17,23 @@ function loadSettings() {
             provider: 'ollama-turbo', // Default provider
             OLLAMA_API_KEY: process.env.OLLAMA_API_KEY || "<replace me>",
             localOllamaUrl: 'http://localhost:11434', // Local Ollama URL
+            openaiCompatibleBaseUrl: '', // OpenAI-compatible server URL
+            openaiCompatibleApiKey: '',
+            openaiCompatibleHeaders: {},
             model: process.env.OLLAMA_DEFAULT_MODEL || "gpt-oss:120b",
             temperature: 0.7,
             top_p: 0.95,
             mcpServers: {},
             disabledMcpServers: [],
+            disabledToolServers: [],
+            disabledTools: [],
             customSystemPrompt: '',
             popupEnabled: true,
             customCompletionUrl: '',
             toolOutputLimit: 8000,
+            toolCallTimeout: 300,
+            contextCompaction: 'summarize',
+            workspaceRoots: [],
             customApiBaseUrl: '',
             customModels: {}
         };
@@ -34,15 +44,23 @@ function loadSettings() {
         provider: 'ollama-turbo', // Default provider
         OLLAMA_API_KEY: process.env.OLLAMA_API_KEY || "<replace me>",
         localOllamaUrl: 'http://localhost:11434', // Local Ollama URL
+        openaiCompatibleBaseUrl: '', // OpenAI-compatible server URL
+        openaiCompatibleApiKey: '',
+        openaiCompatibleHeaders: {},
         model: process.env.OLLAMA_DEFAULT_MODEL || "gpt-oss:120b",
         temperature: 0.7,
         top_p: 0.95,
         mcpServers: {},
         disabledMcpServers: [],
+        disabledToolServers: [], // Servers whose tools are not offered to the model
+        disabledTools: [], // Namespaced names of tools not offered to the model
         customSystemPrompt: '',
         popupEnabled: true,
         customCompletionUrl: '',
         toolOutputLimit: 8000,
+        toolCallTimeout: 300, // Seconds before a tool call is aborted; 0 for no limit
+        contextCompaction: 'summarize', // 'summarize' older messages, or 'truncate' them
+        workspaceRoots: [], // Folders exposed to MCP servers as roots
         customApiBaseUrl: '',
         customModels: {}
     };
@@ -69,6 +87,8 @@ function loadSettings() {
             settings.top_p = settings.top_p ?? defaultSettings.top_p;
             settings.mcpServers = settings.mcpServers || defaultSettings.mcpServers;
             settings.disabledMcpServers = settings.disabledMcpServers || defaultSettings.disabledMcpServers;
+            settings.disabledToolServers = Array.isArray(settings.disabledToolServers) ? settings.disabledToolServers : defaultSettings.disabledToolServers;
+            settings.disabledTools = Array.isArray(settings.disabledTools) ? settings.disabledTools : defaultSettings.disabledTools;
             settings.customSystemPrompt = settings.customSystemPrompt || defaultSettings.customSystemPrompt;
             settings.popupEnabled = settings.popupEnabled ?? defaultSettings.popupEnabled;
 
@@ -81,10 +101,16 @@ function loadSettings() {
             }
             settings.customCompletionUrl = settings.customCompletionUrl || defaultSettings.customCompletionUrl;
             settings.toolOutputLimit = settings.toolOutputLimit ?? defaultSettings.toolOutputLimit;
+            settings.toolCallTimeout = settings.toolCallTimeout ?? defaultSettings.toolCallTimeout;
+            settings.contextCompaction = settings.contextCompaction || defaultSettings.contextCompaction;
+            settings.workspaceRoots = Array.isArray(settings.workspaceRoots) ? settings.workspaceRoots : defaultSettings.workspaceRoots;
             settings.customApiBaseUrl = settings.customApiBaseUrl || defaultSettings.customApiBaseUrl;
             settings.customModels = settings.customModels || defaultSettings.customModels;
             settings.provider = settings.provider || defaultSettings.provider;
             settings.localOllamaUrl = settings.localOllamaUrl || defaultSettings.localOllamaUrl;
+            settings.openaiCompatibleBaseUrl = settings.openaiCompatibleBaseUrl || defaultSettings.openaiCompatibleBaseUrl;
+            settings.openaiCompatibleApiKey = settings.openaiCompatibleApiKey || defaultSettings.openaiCompatibleApiKey;
+            settings.openaiCompatibleHeaders = settings.openaiCompatibleHeaders || defaultSettings.openaiCompatibleHeaders;
 
             // Optional: Persist the potentially updated settings back to file if defaults were applied
             // fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
@@ -156,6 +182,7 @@ function initializeSettingsHandlers(ipcMain, app) {
             }
             // Optionally add more validation here
             fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+            settingsSavedListeners.forEach(listener => listener(settings));
             return { success: true };
         } catch (error) {
             console.error('Error saving settings:', error);
@@ -164,7 +191,16 @@ function initializeSettingsHandlers(ipcMain, app) {
     });
 }
 
+/**
+ * Run a callback whenever settings are saved from the renderer.
+ * @param {(settings: object) => void} listener
+ */
+function onSettingsSaved(listener) {
+    settingsSavedListeners.push(listener);
+}
+
 module.exports = {
     loadSettings,
-    initializeSettingsHandlers
+    initializeSettingsHandlers,
+    onSettingsSaved
 }; 
\ No newline at end of file
@@ -0,0 +1,342 @@
+/**
+ * Token Counter
+ * Counts tokens for messages and tool definitions so history pruning and the context meter work
+ * from the same numbers. Counting is pluggable: counters are matched against the model name, with
+ * the real tokenizers of known model families (loaded offline, on first use) and a heuristic
+ * estimate for unknown models. Counts are then scaled per model by a factor calibrated from the
+ * prompt_eval_count Ollama reports when a stream is done, which also covers chat template tokens.
+ */
+
+const storage = require('electron-json-storage');
+const { promisify } = require('util');
+const { TokenizerLoader } = require('@lenml/tokenizers');
+const { getEnabledTools } = require('./utils');
+
+const storageGet = promisify(storage.get);
+const storageSet = promisify(storage.set);
+
+// Factors stored under the old key were calibrated against heuristic counts
+const CALIBRATION_KEY = 'tokenizerCalibration';
+// Weight of a new sample in the per-model moving average
+const CALIBRATION_SMOOTHING = 0.3;
+// Ollama only evaluates the uncached part of a prompt, so small counts are not comparable
+const MIN_CALIBRATION_RATIO = 0.5;
+const MAX_CALIBRATION_RATIO = 2.0;
+
+const MESSAGE_OVERHEAD_TOKENS = 5;
+const TOOL_MESSAGE_OVERHEAD_TOKENS = 10;
+const DEFAULT_IMAGE_TOKENS = 768;
+// Built-in system prompt the providers prepend to every request
+const BUILTIN_SYSTEM_PROMPT_TOKENS = 35;
+
+// --- Tokenizers of known model families --- //
+
+// Texts counted per tokenizer (history is recounted on every change) before the cache is reset
+const TOKEN_CACHE_SIZE = 2000;
+
+/**
+ * Build a counter from a tokenizer that is only loaded when a model of its family is first counted,
+ * as the vocabularies take a few hundred MB of memory.
+ * @param {() => (text: string) => number} load - Loads the tokenizer and returns its count function
+ * @returns {(text: string) => number}
+ */
+function createLazyCount(load) {
+    let count = null;
+    const cache = new Map();
+    return (text) => {
+        if (!count) {
+            count = load();
+        }
+        let tokens = cache.get(text);
+        if (tokens === undefined) {
+            if (cache.size >= TOKEN_CACHE_SIZE) cache.clear();
+            tokens = count(text);
+            cache.set(text, tokens);
+        }
+        return tokens;
+    };
+}
+
+// Hugging Face tokenizer of a family, from the tokenizer.json bundled in its @lenml/tokenizer-* package
+function loadHuggingFaceTokenizer(packageName) {
+    const tokenizer = TokenizerLoader.fromPreTrained({
+        tokenizerJSON: require(`${packageName}/models/tokenizer.json`),
+        tokenizerConfig: require(`${packageName}/models/tokenizer_config.json`)
+    });
+    return (text) => tokenizer.encode(text, { add_special_tokens: false }).length;
+}
+
+// --- Estimate for unknown models --- //
+
+// Word pieces, digit runs, punctuation runs and whitespace, roughly how BPE pre-tokenizers split text
+const PRE_TOKENIZE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+|\s+/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+// Average letters per token within a word, and digits merged into one token, of common BPE vocabularies
+const ESTIMATE_CHARS_PER_WORD_TOKEN = 5.5;
+const ESTIMATE_DIGITS_PER_TOKEN = 3;
+
+function estimateTextTokens(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PRE_TOKENIZE_PATTERN)) {
+        if (CJK_PATTERN.test(piece)) {
+            tokens += 1;
+        } else if (/^\s+$/.test(piece)) {
+            // A single space merges into the next word; line breaks and indentation do not
+            if (piece !== ' ') tokens += Math.ceil(piece.length / 4);
+        } else if (/^\p{N}+$/u.test(piece)) {
+            tokens += Math.ceil(piece.length / ESTIMATE_DIGITS_PER_TOKEN);
+        } else if (/^\p{L}+$/u.test(piece)) {
+            tokens += Math.ceil(piece.length / ESTIMATE_CHARS_PER_WORD_TOKEN);
+        } else {
+            // Punctuation such as '":' or '},' is usually merged in pairs
+            tokens += Math.ceil(piece.length / 2);
+        }
+    }
+    return tokens;
+}
+
+const fallbackCounter = {
+    name: 'estimate',
+    tokenizer: false,
+    imageTokens: DEFAULT_IMAGE_TOKENS,
+    countText: estimateTextTokens
+};
+
+// Newer registrations take precedence, so custom counters override the built-in families
+const tokenCounters = [];
+
+/**
+ * Register a token counter, e.g. one backed by a real tokenizer.
+ * @param {{name: string, matches: (model: string) => boolean, countText: (text: string) => number, imageTokens?: number, tokenizer?: boolean}} counter
+ *   `tokenizer` is false for counters that only estimate.
+ */
+function registerTokenCounter(counter) {
+    tokenCounters.unshift({ imageTokens: DEFAULT_IMAGE_TOKENS, tokenizer: true, ...counter });
+}
+
+function getTokenCounter(model) {
+    return (model && tokenCounters.find(counter => counter.matches(model))) || fallbackCounter;
+}
+
+// gpt-oss uses o200k_harmony, which is o200k_base plus chat format tokens
+registerTokenCounter({
+    name: 'o200k',
+    matches: (model) => /gpt-oss/i.test(model),
+    countText: createLazyCount(() => require('gpt-tokenizer/encoding/o200k_base').countTokens)
+});
+registerTokenCounter({
+    name: 'llama 3',
+    matches: (model) => /llama/i.test(model),
+    imageTokens: 1601,
+    countText: createLazyCount(() => loadHuggingFaceTokenizer('@lenml/tokenizer-llama3'))
+});
+registerTokenCounter({
+    name: 'deepseek v3',
+    matches: (model) => /deepseek/i.test(model),
+    countText: createLazyCount(() => loadHuggingFaceTokenizer('@lenml/tokenizer-deepseek_v3'))
+});
+// Qwen 3 kept the Qwen 2.5 vocabulary
+registerTokenCounter({
+    name: 'qwen 2.5',
+    matches: (model) => /qwen|qwq/i.test(model),
+    countText: createLazyCount(() => loadHuggingFaceTokenizer('@lenml/tokenizer-qwen2_5'))
+});
+registerTokenCounter({
+    name: 'gemma 3',
+    matches: (model) => /gemma/i.test(model),
+    imageTokens: 256,
+    countText: createLazyCount(() => loadHuggingFaceTokenizer('@lenml/tokenizer-gemma3'))
+});
+// Tekken, used by Mistral models since Nemo (including Small 3, Devstral and Magistral)
+registerTokenCounter({
+    name: 'mistral tekken',
+    matches: (model) => /mistral|mixtral|devstral|magistral/i.test(model),
+    countText: createLazyCount(() => loadHuggingFaceTokenizer('@lenml/tokenizer-mistral_nemo'))
+});
+
+// --- Calibration --- //
+
+// model -> { factor, samples }
+let calibrations = {};
+
+async function loadCalibrations() {
+    try {
+        calibrations = (await storageGet(CALIBRATION_KEY)) || {};
+    } catch (error) {
+        console.error('[TokenCounter] Error loading calibrations:', error);
+    }
+}
+
+function getCalibrationFactor(model) {
+    return calibrations[model]?.factor || 1;
+}
+
+// --- Counting --- //
+
+function getMessageText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.filter(part => part.type === 'text').map(part => part.text || '').join('\n');
+    }
+    return content == null ? '' : JSON.stringify(content);
+}
+
+function countImages(message) {
+    const imageParts = Array.isArray(message.content) ? message.content.filter(part => part.type === 'image_url').length : 0;
+    // Ollama providers move images into an `images` array
+    return imageParts + (Array.isArray(message.images) ? message.images.length : 0);
+}
+
+// Count before calibration, which is what calibration samples are compared against
+function countMessageTokensRaw(message, counter) {
+    if (!message) return 0;
+
+    let tokens = counter.countText(getMessageText(message.content));
+    tokens += countImages(message) * counter.imageTokens;
+
+    for (const toolCall of message.tool_calls || []) {
+        try {
+            tokens += counter.countText(JSON.stringify(toolCall));
+        } catch (e) {
+            console.warn("Error serializing tool call for token counting:", e);
+            tokens += 50;
+        }
+    }
+
+    tokens += message.role === 'tool' ? TOOL_MESSAGE_OVERHEAD_TOKENS : MESSAGE_OVERHEAD_TOKENS;
+    return tokens;
+}
+
+function countRequestTokensRaw(messages, tools, counter) {
+    const messageTokens = (messages || []).reduce((sum, message) => sum + countMessageTokensRaw(message, counter), 0);
+    const toolTokens = tools?.length > 0 ? counter.countText(JSON.stringify(tools)) : 0;
+    return messageTokens + toolTokens;
+}
+
+/**
+ * Count tokens for a single message (text, tool calls and images).
+ * @param {object} message - Chat message
+ * @param {string} [model] - Model name, selects the counter and calibration
+ * @returns {number}
+ */
+function countMessageTokens(message, model) {
+    return Math.ceil(countMessageTokensRaw(message, getTokenCounter(model)) * getCalibrationFactor(model));
+}
+
+/**
+ * Count tokens for a whole request: messages plus tool definitions.
+ * @param {Array<object>} messages - Chat messages
+ * @param {Array<object>} [tools] - Tool definitions in the function-calling format
+ * @param {string} [model] - Model name
+ * @returns {number}
+ */
+function countRequestTokens(messages, tools, model) {
+    return Math.ceil(countRequestTokensRaw(messages, tools, getTokenCounter(model)) * getCalibrationFactor(model));
+}
+
+/**
+ * Feed the token counts a provider reported for a finished request back into the calibration.
+ * @param {string} model - Model that served the request
+ * @param {Array<object>} messages - Messages exactly as sent (including the system prompt)
+ * @param {Array<object>} [tools] - Tool definitions as sent
+ * @param {number} [promptEvalCount] - Prompt tokens reported by the server
+ * @param {number} [evalCount] - Generated tokens reported by the server
+ * @returns {{prompt_tokens: number, completion_tokens: number}|undefined} Usage for the completion event
+ */
+function recordUsage(model, messages, tools, promptEvalCount, evalCount) {
+    if (!Number.isFinite(promptEvalCount)) {
+        return undefined;
+    }
+
+    const estimate = countRequestTokensRaw(messages, tools, getTokenCounter(model));
+    const ratio = estimate > 0 ? promptEvalCount / estimate : 0;
+    const previousFactor = getCalibrationFactor(model);
+
+    if (ratio / previousFactor >= MIN_CALIBRATION_RATIO && ratio / previousFactor <= MAX_CALIBRATION_RATIO) {
+        const samples = calibrations[model]?.samples || 0;
+        const factor = samples === 0 ? ratio : previousFactor + CALIBRATION_SMOOTHING * (ratio - previousFactor);
+        calibrations[model] = { factor, samples: samples + 1 };
+        storageSet(CALIBRATION_KEY, calibrations).catch(error => {
+            console.error('[TokenCounter] Error saving calibrations:', error);
+        });
+    }
+
+    return { prompt_tokens: promptEvalCount, completion_tokens: evalCount || 0 };
+}
+
+/**
+ * Describe how counts for a model are produced, for display.
+ * @param {string} model
+ * @returns {{counter: string, tokenizer: boolean, calibrated: boolean, samples: number}}
+ */
+function getCountingInfo(model) {
+    const counter = getTokenCounter(model);
+    return {
+        counter: counter.name,
+        tokenizer: counter.tokenizer,
+        calibrated: Boolean(calibrations[model]),
+        samples: calibrations[model]?.samples || 0
+    };
+}
+
+// Tool definition in the function-calling format, as the providers send it
+function toToolDefinition(tool) {
+    return {
+        type: 'function',
+        function: { name: tool.modelName || tool.name, description: tool.description, parameters: tool.input_schema || {} }
+    };
+}
+
+function initializeTokenCounter(ipcMain, loadSettings, getMcpState) {
+    loadCalibrations();
+
+    // Context used by the next request: system prompt, tool definitions and history
+    ipcMain.handle('count-context-tokens', async (event, messages, model) => {
+        try {
+            const settings = loadSettings();
+            const { discoveredTools } = getMcpState();
+            const tools = getEnabledTools(discoveredTools, settings).map(toToolDefinition);
+            const systemMessages = settings.customSystemPrompt?.trim()
+                ? [{ role: 'system', content: settings.customSystemPrompt.trim() }]
+                : [];
+
+            const tokens = BUILTIN_SYSTEM_PROMPT_TOKENS + countRequestTokens([...systemMessages, ...(messages || [])], tools, model);
+            // Required here: messageUtils requires this module while it loads
+            const { COMPACTION_THRESHOLD_RATIO } = require('./messageUtils');
+            return {
+                success: true,
+                tokens,
+                ...getCountingInfo(model),
+                compaction: { mode: settings.contextCompaction || 'summarize', threshold: COMPACTION_THRESHOLD_RATIO }
+            };
+        } catch (error) {
+            console.error('[TokenCounter] Error counting context tokens:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Cost of each discovered tool's definition, enabled or not, so toggling can be previewed
+    ipcMain.handle('count-tool-tokens', async (event, model) => {
+        try {
+            const modelToCount = model || loadSettings().model;
+            const { discoveredTools } = getMcpState();
+            const tools = {};
+            for (const tool of discoveredTools || []) {
+                tools[tool.modelName || tool.name] = countRequestTokens([], [toToolDefinition(tool)], modelToCount);
+            }
+            return { success: true, tools, ...getCountingInfo(modelToCount) };
+        } catch (error) {
+            console.error('[TokenCounter] Error counting tool tokens:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeTokenCounter,
+    registerTokenCounter,
+    countMessageTokens,
+    countRequestTokens,
+    recordUsage,
+    getCountingInfo
+};
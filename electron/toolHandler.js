@@ -1,4 +1,60 @@
-const { limitContentLength } = require('./utils');
+const { limitContentLength, findToolByModelName, getEnabledTools } = require('./utils');
+
+// Abort controllers for in-flight tool calls, keyed by the requesting webContents id
+const activeToolCalls = new Map();
+
+// Deadlines of in-flight tool calls, keyed by tool call id
+const toolCallTimeouts = new Map();
+
+const DEFAULT_TOOL_CALL_TIMEOUT_SECONDS = 300;
+// The SDK enforces its own request timeout; keep it out of the way of ours (max setTimeout delay)
+const SDK_REQUEST_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Start the user-adjustable timeout of a tool call. The call is aborted when the deadline passes.
+ * @returns {object} Timeout state: { startedAt, deadline, timedOut, cancelled, timer, abortController, publish }
+ */
+function startToolCallTimeout(toolCallId, timeoutSeconds, abortController, publish) {
+  const state = { startedAt: Date.now(), deadline: null, timedOut: false, cancelled: false, timer: null, abortController, publish };
+  toolCallTimeouts.set(toolCallId, state);
+  setToolCallDeadline(state, timeoutSeconds > 0 ? Date.now() + timeoutSeconds * 1000 : null);
+  return state;
+}
+
+function setToolCallDeadline(state, deadline) {
+  clearTimeout(state.timer);
+  state.deadline = deadline;
+  state.timer = deadline === null ? null : setTimeout(() => {
+    state.timedOut = true;
+    state.abortController.abort();
+  }, Math.max(0, deadline - Date.now()));
+  state.publish({ deadline });
+}
+
+/**
+ * Give a running tool call more time.
+ * @param {string} toolCallId - Id of the tool call
+ * @param {number} seconds - Seconds added to the current deadline (or to now, if it has none)
+ * @returns {boolean} True if the tool call is still running
+ */
+function extendToolCallTimeout(toolCallId, seconds) {
+  const state = toolCallTimeouts.get(toolCallId);
+  if (!state) return false;
+  setToolCallDeadline(state, Math.max(state.deadline ?? Date.now(), Date.now()) + seconds * 1000);
+  return true;
+}
+
+/**
+ * Let a running tool call run without a deadline.
+ * @param {string} toolCallId - Id of the tool call
+ * @returns {boolean} True if the tool call is still running
+ */
+function clearToolCallTimeout(toolCallId) {
+  const state = toolCallTimeouts.get(toolCallId);
+  if (!state) return false;
+  setToolCallDeadline(state, null);
+  return true;
+}
 
 /**
  * Handles the 'execute-tool-call' IPC event.
@@ -8,9 +64,12 @@ const { limitContentLength } = require('./utils');
  * @param {Array<object>} discoveredTools - List of available MCP tools.
  * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
  * @param {object} settings - The current application settings.
+ * @param {object} [options]
+ * @param {Function} [options.onStatus] - Called with `{ progress, total, message }` for progress notifications
+ *   from the server and `{ deadline }` whenever the timeout changes (epoch ms, null for no limit).
  * @returns {Promise<object>} - A promise resolving to the tool result or error.
  */
-async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients, settings) {
+async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients, settings, { onStatus } = {}) {
   console.log(`Handling execute-tool-call for: ${toolCall?.function?.name} (ID: ${toolCall?.id})`);
 
   // Basic validation of the tool call object
@@ -23,9 +82,17 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
   const toolCallId = toolCall.id;
 
   try {
-    // Find the MCP tool configuration matching the requested tool name
-    const mcpTool = discoveredTools.find(t => t.name === toolName);
+    // Find the MCP tool configuration matching the requested (server-namespaced) tool name. Only
+    // tools offered to the model can run, so a switched-off tool named in an older turn is refused.
+    const mcpTool = findToolByModelName(getEnabledTools(discoveredTools, settings), toolName);
 
+    if (!mcpTool && findToolByModelName(discoveredTools, toolName)) {
+      console.warn(`Tool "${toolName}" is switched off in the Tools panel; not running it.`);
+      return {
+        error: `Tool ${toolName} is switched off in the Tools panel and cannot be called.`,
+        tool_call_id: toolCallId
+      };
+    }
     if (!mcpTool) {
       console.error(`Tool "${toolName}" not found among discovered tools.`);
       return {
@@ -89,10 +156,27 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
 
     // Execute the tool call via the MCP client
     console.log(`Executing MCP tool "${toolName}" on server ${clientId} with args:`, args);
+    const senderId = event.sender.id;
+    const abortController = new AbortController();
+    if (!activeToolCalls.has(senderId)) {
+      activeToolCalls.set(senderId, new Set());
+    }
+    activeToolCalls.get(senderId).add(abortController);
+
+    const publish = (status) => onStatus?.(status);
+    const timeoutSeconds = settings.toolCallTimeout ?? DEFAULT_TOOL_CALL_TIMEOUT_SECONDS;
+    const timeout = startToolCallTimeout(toolCallId, timeoutSeconds, abortController, publish);
+
     try {
+      // The SDK sends notifications/cancelled to the server when the signal aborts. Passing
+      // onprogress makes it attach a progress token to the request.
       const result = await client.callTool({
-        name: toolName,
+        name: mcpTool.name, // The server's own name, without the namespace
         arguments: args
+      }, undefined, {
+        signal: abortController.signal,
+        timeout: SDK_REQUEST_TIMEOUT_MS,
+        onprogress: ({ progress, total, message }) => publish({ progress, total, message })
       });
 
        console.log(`MCP tool "${toolName}" executed successfully. Result content length: ${JSON.stringify(result?.content)?.length}`);
@@ -118,6 +202,29 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
         tool_call_id: toolCallId
       };
     } catch (executionError) {
+      if (timeout.timedOut) {
+        const seconds = Math.round((Date.now() - timeout.startedAt) / 1000);
+        console.log(`MCP tool "${toolName}" timed out after ${seconds}s.`);
+        return {
+          error: `Tool "${toolName}" timed out after ${seconds} seconds.`,
+          tool_call_id: toolCallId
+        };
+      }
+      if (timeout.cancelled) {
+        console.log(`MCP tool "${toolName}" was cancelled by user.`);
+        return {
+          error: `Tool "${toolName}" was cancelled by the user before it finished.`,
+          cancelled: true,
+          tool_call_id: toolCallId
+        };
+      }
+      if (abortController.signal.aborted) {
+        console.log(`MCP tool "${toolName}" was aborted by user.`);
+        return {
+          error: `Execution of tool "${toolName}" was stopped by the user.`,
+          tool_call_id: toolCallId
+        };
+      }
       console.error(`Error executing MCP tool call for "${toolName}": ${executionError.message}`);
       // Log the execution error stack if available
       if (executionError.stack) {
@@ -128,6 +235,17 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
         error: limitContentLength(`Error during execution of tool "${toolName}": ${executionError.message}`, settings.toolOutputLimit),
         tool_call_id: toolCallId
       };
+    } finally {
+      clearTimeout(timeout.timer);
+      toolCallTimeouts.delete(toolCallId);
+      // The set is already gone if abortToolCalls() cleared it
+      const senderCalls = activeToolCalls.get(senderId);
+      if (senderCalls) {
+        senderCalls.delete(abortController);
+        if (senderCalls.size === 0) {
+          activeToolCalls.delete(senderId);
+        }
+      }
     }
 
   } catch (handlerError) {
@@ -140,6 +258,42 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
   }
 }
 
+/**
+ * Aborts every in-flight tool call started by a window.
+ *
+ * @param {number} senderId - webContents id of the window that requested the tool calls.
+ * @returns {number} - The number of tool calls that were aborted.
+ */
+function abortToolCalls(senderId) {
+  const senderCalls = activeToolCalls.get(senderId);
+  if (!senderCalls) {
+    return 0;
+  }
+  const count = senderCalls.size;
+  console.log(`Aborting ${count} in-flight tool call(s) for sender ${senderId}`);
+  senderCalls.forEach(abortController => abortController.abort());
+  activeToolCalls.delete(senderId);
+  return count;
+}
+
+/**
+ * Cancel one running tool call. The SDK sends notifications/cancelled for the request, and the
+ * call resolves with a "cancelled by user" result so the conversation can continue.
+ * @param {string} toolCallId - Id of the tool call
+ * @returns {boolean} True if the tool call was still running
+ */
+function cancelToolCall(toolCallId) {
+  const state = toolCallTimeouts.get(toolCallId);
+  if (!state) return false;
+  state.cancelled = true;
+  state.abortController.abort('Cancelled by user');
+  return true;
+}
+
 module.exports = {
-    handleExecuteToolCall
+    handleExecuteToolCall,
+    abortToolCalls,
+    extendToolCallTimeout,
+    clearToolCallTimeout,
+    cancelToolCall
 }; 
\ No newline at end of file
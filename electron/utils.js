@@ -1,4 +1,5 @@
 const path = require('path');
+const crypto = require('crypto');
 
 /**
  * Limits the length of a string, adding an ellipsis if truncated.
@@ -213,6 +214,92 @@ function isClientDisconnectionError(error) {
   );
 }
 
+/**
+ * Converts one item of a resource's contents into a chat message part: text as text, image blobs
+ * as images and any other binary content as a placeholder. Shared by prompt messages that embed
+ * resources and by resources attached to a message.
+ * @param {{uri: string, mimeType?: string, text?: string, blob?: string}} content - Item of a resource's `contents`
+ * @param {object} resource - Where the part came from (`uri`, `name`, optionally `serverId`), kept on the part for display
+ * @param {number} outputLimit - Maximum length of a text part
+ * @returns {object} The message part
+ */
+function toResourcePart({ uri, mimeType, text, blob }, resource, outputLimit) {
+  if (blob !== undefined && mimeType?.startsWith('image/')) {
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${blob}` }, resource };
+  }
+  if (text !== undefined) {
+    const label = resource.name && resource.name !== uri ? `Resource "${resource.name}" (${uri})` : `Resource ${uri}`;
+    return { type: 'text', text: limitContentLength(`${label}:\n\n${text}`, outputLimit), resource };
+  }
+  return { type: 'text', text: `[Resource: ${uri} (${mimeType || 'binary'})]`, resource };
+}
+
+// Function names accepted by the model APIs: up to 64 of [a-zA-Z0-9_-]
+const MAX_TOOL_NAME_LENGTH = 64;
+const TOOL_NAME_SEPARATOR = '__';
+
+/**
+ * Builds the name a tool is offered to the model under, prefixed with its server so that tools
+ * with the same name on different servers stay apart (e.g. `github__search`).
+ * @param {string} serverId - The server providing the tool
+ * @param {string} toolName - The tool's name on that server
+ * @returns {string} The namespaced tool name
+ */
+function getModelToolName(serverId, toolName) {
+  const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${sanitize(serverId)}${TOOL_NAME_SEPARATOR}${sanitize(toolName)}`.slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+/**
+ * Gives every tool a distinct `modelName`. Sanitizing and truncating can map different tools to the
+ * same name (e.g. `get.file` and `get_file` on one server); those get a short hash of their server
+ * and tool name appended, which stays the same across reconnects.
+ * @param {Array<object>} tools - Discovered tools of all servers
+ * @returns {Array<object>} The tools with `modelName` set, and `modelNameSuffixed` where a hash was added
+ */
+function assignModelToolNames(tools) {
+  const baseNames = tools.map(tool => getModelToolName(tool.serverId, tool.name));
+  const counts = baseNames.reduce((acc, name) => acc.set(name, (acc.get(name) || 0) + 1), new Map());
+  return tools.map((tool, index) => {
+    const { modelNameSuffixed: _modelNameSuffixed, ...rest } = tool;
+    const baseName = baseNames[index];
+    if (counts.get(baseName) === 1) {
+      return { ...rest, modelName: baseName };
+    }
+    const hash = crypto.createHash('sha1').update(`${tool.serverId}\0${tool.name}`).digest('hex').slice(0, 6);
+    return { ...rest, modelName: `${baseName.slice(0, MAX_TOOL_NAME_LENGTH - hash.length - 1)}_${hash}`, modelNameSuffixed: true };
+  });
+}
+
+/**
+ * Finds the discovered tool a model tool call refers to
+ * @param {Array<object>} discoveredTools - Tools with their `modelName`
+ * @param {string} name - The function name from the tool call
+ * @returns {object|null} The tool, or null if none (or more than one) matches
+ */
+function findToolByModelName(discoveredTools, name) {
+  const tool = discoveredTools.find(t => t.modelName === name);
+  if (tool) return tool;
+  // Conversations from before tools were namespaced call them by their bare name
+  const matches = discoveredTools.filter(t => t.name === name);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Filters the discovered tools down to the ones offered to the model, leaving out servers and
+ * tools switched off in the Tools panel. This is separate from approving individual calls.
+ * @param {Array<object>} discoveredTools - All tools of the connected servers
+ * @param {object} settings - Settings with `disabledToolServers` and `disabledTools`
+ * @returns {Array<object>} The enabled tools
+ */
+function getEnabledTools(discoveredTools, settings = {}) {
+  const disabledServers = settings.disabledToolServers || [];
+  const disabledTools = settings.disabledTools || [];
+  return (discoveredTools || []).filter(tool =>
+    !disabledServers.includes(tool.serverId) && !disabledTools.includes(tool.modelName)
+  );
+}
+
 module.exports = {
   limitContentLength,
   MCP_CONFIG,
@@ -222,5 +309,10 @@ module.exports = {
   createErrorResponse,
   detectMimeType,
   handleClientDisconnection,
-  isClientDisconnectionError
+  isClientDisconnectionError,
+  toResourcePart,
+  getModelToolName,
+  assignModelToolNames,
+  findToolByModelName,
+  getEnabledTools
 };
\ No newline at end of file
@@ -4,71 +4,50 @@ import MessageList from './components/MessageList';
 import ChatInput from './components/ChatInput';
 import ToolsPanel from './components/ToolsPanel';
 import ToolApprovalModal from './components/ToolApprovalModal';
+import SamplingApprovalModal from './components/SamplingApprovalModal';
+import WorkspaceRootsPicker from './components/WorkspaceRootsPicker';
+import ConversationSidebar from './components/ConversationSidebar';
 import { useChat } from './context/ChatContext'; // Import useChat hook
+import { useConversationRunner } from './hooks/useConversationRunner';
+import { useContextUsage } from './hooks/useContextUsage';
+import { EXPORT_FORMATS, exportConversation, parseConversationImport } from './lib/conversationExport';
+import { editUserMessage, regenerateResponse, switchBranch } from './lib/conversationBranches';
 // Import shared model definitions - REMOVED
 // import { MODEL_CONTEXT_SIZES } from '../../shared/models';
-import { Settings, Zap, MessageSquare } from 'lucide-react';
+import { Settings, Zap, MessageSquare, PanelLeft, Download } from 'lucide-react';
 import { Button } from './components/ui/button';
 import { Badge } from './components/ui/badge';
 
-// LocalStorage keys
+// LocalStorage keys used before tool approvals moved to the main process
 const TOOL_APPROVAL_PREFIX = 'tool_approval_';
 const YOLO_MODE_KEY = 'tool_approval_yolo_mode';
 
-// --- LocalStorage Helper Functions ---
-const getToolApprovalStatus = (toolName) => {
+// --- One-time migration of tool approvals from localStorage ---
+const migrateToolApprovals = async () => {
   try {
-    const yoloMode = localStorage.getItem(YOLO_MODE_KEY);
-    if (yoloMode === 'true') {
-      return 'yolo';
-    }
-    const toolStatus = localStorage.getItem(`${TOOL_APPROVAL_PREFIX}${toolName}`);
-    if (toolStatus === 'always') {
-      return 'always';
-    }
-    // Default: prompt the user
-    return 'prompt';
-  } catch (error) {
-    console.error("Error reading tool approval status from localStorage:", error);
-    return 'prompt'; // Fail safe: prompt user if localStorage fails
-  }
-};
+    const approvedTools = Object.keys(localStorage)
+      .filter(key => key.startsWith(TOOL_APPROVAL_PREFIX) && key !== YOLO_MODE_KEY && localStorage.getItem(key) === 'always')
+      .map(key => key.slice(TOOL_APPROVAL_PREFIX.length));
 
-const setToolApprovalStatus = (toolName, status) => {
-  try {
-    if (status === 'yolo') {
-      localStorage.setItem(YOLO_MODE_KEY, 'true');
-      // Optionally clear specific tool settings when YOLO is enabled?
-      // Object.keys(localStorage).forEach(key => {
-      //   if (key.startsWith(TOOL_APPROVAL_PREFIX)) {
-      //     localStorage.removeItem(key);
-      //   }
-      // });
-    } else if (status === 'always') {
-      localStorage.setItem(`${TOOL_APPROVAL_PREFIX}${toolName}`, 'always');
-      // Ensure YOLO mode is off if a specific tool is set to always
-      localStorage.removeItem(YOLO_MODE_KEY);
-    } else if (status === 'once') {
-      // 'once' doesn't change persistent storage, just allows current execution
-      // Ensure YOLO mode is off if 'once' is chosen for a specific tool
+    for (const toolName of approvedTools) {
+      await window.electron.setToolApprovalStatus(toolName, 'always');
+      localStorage.removeItem(`${TOOL_APPROVAL_PREFIX}${toolName}`);
+    }
+    if (localStorage.getItem(YOLO_MODE_KEY) === 'true') {
+      await window.electron.setToolApprovalStatus(null, 'yolo');
       localStorage.removeItem(YOLO_MODE_KEY);
-    } else if (status === 'deny') {
-       // 'deny' also doesn't change persistent storage by default.
-       // Could potentially add a 'never' status if needed.
-       // Ensure YOLO mode is off if 'deny' is chosen
-       localStorage.removeItem(YOLO_MODE_KEY);
     }
   } catch (error) {
-    console.error("Error writing tool approval status to localStorage:", error);
+    console.error("Error migrating tool approvals from localStorage:", error);
   }
 };
-// --- End LocalStorage Helper Functions ---
+// --- End Migration ---
+
 
 
 function App() {
   // const [messages, setMessages] = useState([]); // Remove local state
-  const { messages, setMessages } = useChat(); // Use context state
-  const [loading, setLoading] = useState(false);
+  const { messages, setMessages, conversationId, setConversationId, workspaceRoots, setWorkspaceRoots } = useChat(); // Use context state
   const [selectedModel, setSelectedModel] = useState('gpt-oss:120b');
   const [mcpTools, setMcpTools] = useState([]);
   const [isToolsPanelOpen, setIsToolsPanelOpen] = useState(false);
@@ -85,21 +64,46 @@ function App() {
   // const models = Object.keys(MODEL_CONTEXT_SIZES).filter(key => key !== 'default'); // Old way
   const [modelConfigs, setModelConfigs] = useState({}); // State for model configurations
   const [models, setModels] = useState([]); // State for model list
+  // Providers offered when regenerating a response, and the one selected in settings
+  const [providers, setProviders] = useState([]);
+  const [currentProvider, setCurrentProvider] = useState('ollama-turbo');
 
   // State for current model's vision capability
   const [visionSupported, setVisionSupported] = useState(false);
   // Add state to track if initial model/settings load is complete
   const [initialLoadComplete, setInitialLoadComplete] = useState(false);
 
-  // --- State for Tool Approval Flow ---
-  const [pendingApprovalCall, setPendingApprovalCall] = useState(null); // Holds the tool call object needing approval
-  const [pausedChatState, setPausedChatState] = useState(null); // Holds { currentMessages, finalAssistantMessage, accumulatedResponses }
-  // --- End Tool Approval State ---
+  // --- Conversation loop (turns, tool calls and approvals) runs in the main process ---
+  const {
+    loading,
+    pendingApprovalCall,
+    toolStatuses,
+    runConversation,
+    respondToApproval,
+    stop: handleStopGeneration
+  } = useConversationRunner(setMessages, setConversationId);
+
+  const contextUsage = useContextUsage(messages, selectedModel, (modelConfigs[selectedModel] || modelConfigs.default)?.context);
+
+  // --- Saved Conversations State ---
+  const [conversations, setConversations] = useState([]);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(true);
+  // Message index (in `messages`) opened from a search hit
+  const [highlightedMessageIndex, setHighlightedMessageIndex] = useState(null);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const wasLoadingRef = useRef(false);
+  // --- End Saved Conversations State ---
+
 
   // --- Context Sharing State ---
   const [externalContext, setExternalContext] = useState(null);
   // --- End Context Sharing State ---
 
+  // Sampling requests from MCP servers, answered one at a time
+  const [samplingRequests, setSamplingRequests] = useState([]);
+  // Workspace roots from settings, used by conversations without their own
+  const [defaultWorkspaceRoots, setDefaultWorkspaceRoots] = useState([]);
+
   const handleRemoveLastMessage = () => {
     setMessages(prev => {
       if (prev.length === 0) return prev;
@@ -167,6 +171,9 @@ function App() {
         // Set loading status
         setMcpServersStatus({ loading: true, message: "Connecting to MCP servers..." });
 
+        // Approvals saved by older versions live in localStorage
+        await migrateToolApprovals();
+
         // Load model configurations first
         const configs = await window.electron.getModelConfigs(); // Await configs
         setModelConfigs(configs);
@@ -196,6 +203,7 @@ function App() {
         }
 
         setSelectedModel(effectiveModel); // Set the final selected model state
+        setDefaultWorkspaceRoots(settings?.workspaceRoots || []);
 
 
         // Initial load of MCP tools (can happen after model/settings)
@@ -246,9 +254,11 @@ function App() {
       try {
         const settings = await window.electron.getSettings();
         const provider = settings.provider || 'ollama-turbo';
+        setCurrentProvider(provider);
+        setProviders(await window.electron.getAvailableProviders());
         
-        // For local ollama, fetch available models from the server
-        if (provider === 'local-ollama') {
+        // For local ollama and OpenAI-compatible servers, fetch available models from the server
+        if (provider === 'local-ollama' || provider === 'openai-compatible') {
           const localModels = await window.electron.listProviderModels();
           
           if (localModels && localModels.length > 0) {
@@ -354,9 +364,195 @@ function App() {
   };
 
   useEffect(() => {
-    scrollToBottom();
+    // Don't pull the view away from a message opened from search
+    if (highlightedMessageIndex === null) {
+      scrollToBottom();
+    }
   }, [messages]);
 
+  // --- Saved Conversations ---
+  const loadConversations = async () => {
+    try {
+      const result = await window.electron.listConversations();
+      setConversations(result.conversations || []);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  };
+
+  const persistConversation = async (conversationMessages, id, details = {}) => {
+    try {
+      const result = await window.electron.saveConversation({ id, messages: conversationMessages, model: selectedModel, workspaceRoots, ...details });
+      if (!result.success) {
+        console.error('Error saving conversation:', result.error);
+        return;
+      }
+      loadConversations();
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadConversations();
+  }, []);
+
+  // MCP servers see the roots of the conversation on screen
+  useEffect(() => {
+    window.electron.setConversationRoots(workspaceRoots).catch(error => {
+      console.error('Error updating workspace roots:', error);
+    });
+  }, [workspaceRoots]);
+
+  const handleWorkspaceRootsChange = (roots) => {
+    setWorkspaceRoots(roots);
+    if (conversationId) {
+      persistConversation(messages, conversationId, { workspaceRoots: roots });
+    }
+  };
+
+  // --- MCP Sampling ---
+  useEffect(() => {
+    const removeRequestListener = window.electron.onMcpSamplingRequest((request) => {
+      setSamplingRequests(prev => [...prev, request]);
+    });
+    const removeCancelListener = window.electron.onMcpSamplingCancelled(({ id }) => {
+      setSamplingRequests(prev => prev.filter(request => request.id !== id));
+    });
+    return () => {
+      removeRequestListener();
+      removeCancelListener();
+    };
+  }, []);
+
+  const respondToSampling = (requestId, decision) => {
+    window.electron.respondToMcpSampling(requestId, decision);
+    setSamplingRequests(prev => prev.filter(request => request.id !== requestId));
+  };
+
+  // Save when a run ends; a run re-attached after a reload brings back the id it was saved under
+  useEffect(() => {
+    if (wasLoadingRef.current && !loading && messages.length > 0) {
+      const id = conversationId || crypto.randomUUID();
+      if (!conversationId) {
+        setConversationId(id);
+      }
+      persistConversation(messages, id);
+    }
+    wasLoadingRef.current = loading;
+  }, [loading]);
+
+  const handleNewChat = () => {
+    setMessages([]);
+    setConversationId(null);
+    setWorkspaceRoots(null);
+    setHighlightedMessageIndex(null);
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (loading || id === conversationId) return;
+    setHighlightedMessageIndex(null);
+    try {
+      const result = await window.electron.getConversation(id);
+      if (!result.success) {
+        console.error('Error opening conversation:', result.error);
+        return;
+      }
+      setMessages(result.conversation.messages);
+      setConversationId(id);
+      setWorkspaceRoots(result.conversation.workspaceRoots || null);
+      if (result.conversation.model && models.includes(result.conversation.model)) {
+        setSelectedModel(result.conversation.model);
+      }
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  };
+
+  const handleOpenSearchHit = async (hit) => {
+    if (loading) return;
+    await handleSelectConversation(hit.conversationId);
+    // Hits on an inactive branch are shown by switching to it, like the branch arrows do
+    if (hit.branchPath?.length) {
+      setMessages(prev => hit.branchPath.reduce(
+        (branchedMessages, { messageIndex, branchIndex }) => switchBranch(branchedMessages, messageIndex, branchIndex),
+        prev
+      ));
+    }
+    setHighlightedMessageIndex(hit.messageIndex);
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    const result = await window.electron.renameConversation(id, title);
+    if (!result.success) {
+      console.error('Error renaming conversation:', result.error);
+    }
+    loadConversations();
+  };
+
+  const handleDeleteConversation = async (id) => {
+    const result = await window.electron.deleteConversation(id);
+    if (!result.success) {
+      console.error('Error deleting conversation:', result.error);
+      return;
+    }
+    if (id === conversationId) {
+      handleNewChat();
+    }
+    loadConversations();
+  };
+
+  const handleExportConversation = async (format) => {
+    setIsExportMenuOpen(false);
+    const summary = conversations.find(c => c.id === conversationId);
+    try {
+      const { fileName, content } = exportConversation({
+        title: summary?.title,
+        model: summary?.model || selectedModel,
+        provider: summary?.provider,
+        createdAt: summary?.createdAt,
+        updatedAt: summary?.updatedAt,
+        messages
+      }, format);
+      const result = await window.electron.exportConversationFile(fileName, content);
+      if (!result.success && !result.canceled) {
+        window.alert(`Export failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      window.alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleImportConversation = async () => {
+    if (loading) return;
+    try {
+      const result = await window.electron.importConversationFile();
+      if (result.canceled) return;
+      if (!result.success) throw new Error(result.error);
+
+      const imported = parseConversationImport(result.content);
+      const id = crypto.randomUUID();
+      setMessages(imported.messages);
+      setConversationId(id);
+      setWorkspaceRoots(null);
+      setHighlightedMessageIndex(null);
+      if (imported.model && models.includes(imported.model)) {
+        setSelectedModel(imported.model);
+      }
+      await persistConversation(imported.messages, id, {
+        title: imported.title,
+        model: imported.model,
+        provider: imported.provider,
+        workspaceRoots: null
+      });
+    } catch (error) {
+      console.error('Error importing conversation:', error);
+      window.alert(`Import failed: ${error.message}`);
+    }
+  };
+  // --- End Saved Conversations ---
+
   const executeToolCall = async (toolCall) => {
     try {
       const response = await window.electron.executeToolCall(toolCall);
@@ -377,56 +573,6 @@ function App() {
     }
   };
 
-  // Refactored processToolCalls to handle sequential checking and pausing
-  const processToolCalls = async (assistantMessage, currentMessagesBeforeAssistant) => {
-    if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
-      return { status: 'completed', toolResponseMessages: [] };
-    }
-
-    const toolResponseMessages = [];
-    let needsPause = false;
-
-    for (const toolCall of assistantMessage.tool_calls) {
-      const toolName = toolCall.function.name;
-      const approvalStatus = getToolApprovalStatus(toolName);
-
-      if (approvalStatus === 'always' || approvalStatus === 'yolo') {
-        console.log(`Tool '${toolName}' automatically approved (${approvalStatus}). Executing...`);
-        try {
-          const resultMsg = await executeToolCall(toolCall);
-          toolResponseMessages.push(resultMsg);
-          // Update UI immediately for executed tool calls
-          setMessages(prev => [...prev, resultMsg]);
-        } catch (error) {
-            console.error(`Error executing automatically approved tool call '${toolName}':`, error);
-            const errorMsg = {
-                role: 'tool',
-                content: JSON.stringify({ error: `Error executing tool '${toolName}': ${error.message}` }),
-                tool_call_id: toolCall.id
-            };
-            toolResponseMessages.push(errorMsg);
-           setMessages(prev => [...prev, errorMsg]); // Show error in UI
-        }
-      } else { // status === 'prompt'
-        console.log(`Tool '${toolName}' requires user approval.`);
-        setPendingApprovalCall(toolCall);
-        setPausedChatState({
-          currentMessages: currentMessagesBeforeAssistant, // History before this assistant message
-          finalAssistantMessage: assistantMessage,
-          accumulatedResponses: toolResponseMessages // Responses gathered *before* this pause
-        });
-        needsPause = true;
-        break; // Stop processing further tools for this turn
-      }
-    }
-
-    if (needsPause) {
-      return { status: 'paused', toolResponseMessages };
-    } else {
-      return { status: 'completed', toolResponseMessages };
-    }
-  };
-
   // Update vision support when selectedModel or modelConfigs changes
   useEffect(() => {
     if (modelConfigs && selectedModel && modelConfigs[selectedModel]) {
@@ -438,232 +584,8 @@ function App() {
     }
   }, [selectedModel, modelConfigs]);
 
-  // Core function to execute a chat turn (fetch response, handle tools)
-  // Refactored from the main loop of handleSendMessage
-  const executeChatTurn = async (turnMessages) => {
-    let currentTurnStatus = 'processing'; // processing, completed, paused, error
-    let turnAssistantMessage = null;
-    let turnToolResponses = [];
-
-    try {
-        // Create a streaming assistant message placeholder
-        const assistantPlaceholder = {
-            role: 'assistant',
-            content: '',
-            isStreaming: true
-        };
-        setMessages(prev => [...prev, assistantPlaceholder]);
-
-        // Start streaming chat with reasoning options
-        let reasoningOptions = {};
-        
-        // Determine reasoning parameters based on model
-        if (selectedModel?.toLowerCase().includes('deepseek')) {
-            // DeepSeek uses boolean think parameter
-            reasoningOptions.thinkMode = reasoningMode.deepseek;
-        } else if (selectedModel?.toLowerCase().includes('gpt-oss')) {
-            // gpt-oss uses reasoning_effort parameter
-            reasoningOptions.reasoningEffort = reasoningMode.gptoss;
-        }
-        
-        const streamHandler = window.electron.startChatStream(turnMessages, selectedModel, reasoningOptions);
-
-        // Collect the final message data
-        let finalAssistantData = {
-            role: 'assistant',
-            content: '',
-            tool_calls: undefined,
-            reasoning: undefined,
-            executed_tools: undefined,
-            liveReasoning: '',
-            liveExecutedTools: []
-        };
-
-        // Setup event handlers for streaming
-        streamHandler.onStart(() => { /* Placeholder exists */ });
-
-        streamHandler.onContent(({ content }) => {
-            finalAssistantData.content += content;
-            setMessages(prev => {
-                const newMessages = [...prev];
-                const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                if (idx !== -1) {
-                    newMessages[idx] = { ...newMessages[idx], content: finalAssistantData.content };
-                }
-                return newMessages;
-            });
-        });
-
-        streamHandler.onToolCalls(({ tool_calls }) => {
-            finalAssistantData.tool_calls = tool_calls;
-            setMessages(prev => {
-                const newMessages = [...prev];
-                const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                if (idx !== -1) {
-                    newMessages[idx] = { ...newMessages[idx], tool_calls: finalAssistantData.tool_calls };
-                }
-                return newMessages;
-            });
-        });
-
-        // Handle compound-beta reasoning streaming
-        streamHandler.onReasoning(({ reasoning, accumulated }) => {
-            finalAssistantData.liveReasoning = accumulated;
-            setMessages(prev => {
-                const newMessages = [...prev];
-                const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                if (idx !== -1) {
-                    newMessages[idx] = { ...newMessages[idx], liveReasoning: accumulated };
-                }
-                return newMessages;
-            });
-        });
-
-        // Handle compound-beta tool execution streaming
-        streamHandler.onToolExecution(({ type, tool }) => {
-            if (type === 'start') {
-                // Add or update tool in live list
-                const updatedLiveTools = [...finalAssistantData.liveExecutedTools];
-                const existingIndex = updatedLiveTools.findIndex(t => t.index === tool.index);
-                
-                if (existingIndex === -1) {
-                    updatedLiveTools.push(tool);
-                } else {
-                    // Merge tool data to preserve any existing properties
-                    updatedLiveTools[existingIndex] = { ...updatedLiveTools[existingIndex], ...tool };
-                }
-                
-                finalAssistantData.liveExecutedTools = updatedLiveTools;
-            } else if (type === 'complete') {
-                // Update tool with complete data including output
-                const updatedLiveTools = [...finalAssistantData.liveExecutedTools];
-                const existingIndex = updatedLiveTools.findIndex(t => t.index === tool.index);
-                
-                if (existingIndex !== -1) {
-                    // Replace with complete tool data from backend
-                    updatedLiveTools[existingIndex] = tool;
-                    finalAssistantData.liveExecutedTools = updatedLiveTools;
-                } else {
-                    // Handle case where complete event arrives before start (shouldn't happen but defensive)
-                    console.warn(`Received complete event for tool index ${tool.index} without corresponding start event`);
-                    updatedLiveTools.push(tool);
-                    finalAssistantData.liveExecutedTools = updatedLiveTools;
-                }
-            }
-            
-            setMessages(prev => {
-                const newMessages = [...prev];
-                const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                if (idx !== -1) {
-                    newMessages[idx] = { ...newMessages[idx], liveExecutedTools: [...finalAssistantData.liveExecutedTools] };
-                }
-                return newMessages;
-            });
-        });
-
-        // Handle stream completion
-        await new Promise((resolve, reject) => {
-            streamHandler.onComplete((data) => {
-                finalAssistantData = {
-                    role: 'assistant',
-                    content: data.content || '',
-                    tool_calls: data.tool_calls,
-                    reasoning: data.reasoning,
-                    executed_tools: data.executed_tools,
-                    // Clear live streaming data on completion
-                    liveReasoning: undefined,
-                    liveExecutedTools: undefined
-                };
-                turnAssistantMessage = finalAssistantData; // Store the completed message
-
-                setMessages(prev => {
-                    const newMessages = [...prev];
-                    const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                    if (idx !== -1) {
-                        newMessages[idx] = finalAssistantData; // Replace placeholder
-                    } else {
-                        // Should not happen if placeholder logic is correct
-                        console.warn("Streaming placeholder not found for replacement.");
-                        newMessages.push(finalAssistantData);
-                    }
-                    return newMessages;
-                });
-                resolve();
-            });
-
-            streamHandler.onError(({ error }) => {
-                console.error('Stream error received:', error);
-                console.log('Error details:', { error });
-                // Replace placeholder with error
-                setMessages(prev => {
-                    const newMessages = [...prev];
-                    const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-                    const errorMsg = { role: 'assistant', content: `Error: ${error}`, isStreaming: false };
-                    if (idx !== -1) {
-                        newMessages[idx] = errorMsg;
-                    } else {
-                        newMessages.push(errorMsg);
-                    }
-                    return newMessages;
-                });
-                reject(new Error(error));
-            });
-        });
-
-        // Clean up stream handlers
-        streamHandler.cleanup();
-
-        // Check and process tool calls if any
-        if (turnAssistantMessage && turnAssistantMessage.tool_calls?.length > 0) {
-            // IMPORTANT: Pass the messages *before* this assistant message was added
-            const { status: toolProcessingStatus, toolResponseMessages } = await processToolCalls(
-                turnAssistantMessage,
-                turnMessages // Pass the input messages for this turn
-            );
-
-            turnToolResponses = toolResponseMessages; // Store responses from this turn
-
-            if (toolProcessingStatus === 'paused') {
-                currentTurnStatus = 'paused'; // Signal pause to the caller
-            } else if (toolProcessingStatus === 'completed') {
-                 // If tools completed, the caller might loop
-                currentTurnStatus = 'completed_with_tools';
-            } else { // Handle potential errors from processToolCalls if added
-                currentTurnStatus = 'error';
-            }
-        } else {
-             // No tools, this turn is complete
-            currentTurnStatus = 'completed_no_tools';
-        }
-
-    } catch (error) {
-      console.error('Error in executeChatTurn:', error);
-      // Ensure placeholder is replaced or an error message is added
-      setMessages(prev => {
-          const newMessages = [...prev];
-          const idx = newMessages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
-          const errorMsg = { role: 'assistant', content: `Error: ${error.message}`, isStreaming: false };
-            if (idx !== -1) {
-                newMessages[idx] = errorMsg;
-            } else {
-                // If streaming never started, add the error message
-                newMessages.push(errorMsg);
-            }
-          return newMessages;
-      });
-      currentTurnStatus = 'error';
-    }
-
-    // Return the outcome of the turn
-    return {
-        status: currentTurnStatus, // 'completed_no_tools', 'completed_with_tools', 'paused', 'error'
-        assistantMessage: turnAssistantMessage,
-        toolResponseMessages: turnToolResponses,
-    };
-  };
-
   // Handle sending message (text or structured content with images)
-  const handleSendMessage = async (content) => {
+  const handleSendMessage = (content) => {
     // Check if content is structured (array) or just text (string)
     const isStructuredContent = Array.isArray(content);
     const hasContent = isStructuredContent ? content.some(part => (part.type === 'text' && part.text.trim()) || part.type === 'image_url') : content.trim();
@@ -676,220 +598,78 @@ function App() {
       content: content // Assumes ChatInput now sends the correct structured format
     };
     // Add user message optimistically BEFORE the API call
-    const initialMessages = [...messages, userMessage];
-    setMessages(initialMessages);
+    startConversationRun([...messages, userMessage]);
+  };
 
-    setLoading(true);
+  // Add the messages of an MCP prompt to the conversation; the model answers if the last one is the user's
+  const handleInsertPromptMessages = (promptMessages) => {
+    if (loading || promptMessages.length === 0) return;
 
-    let currentApiMessages = initialMessages; // Start with messages including the new user one
-    let conversationStatus = 'processing'; // Start the conversation flow
+    const inserted = promptMessages.map(message => (message.role === 'user'
+      ? { role: 'user', content: message.parts || [{ type: 'text', text: message.content }] }
+      : { role: 'assistant', content: message.content }));
+    const conversationMessages = [...messages, ...inserted];
 
-    try {
-        while (conversationStatus === 'processing' || conversationStatus === 'completed_with_tools') {
-            const { status, assistantMessage, toolResponseMessages } = await executeChatTurn(currentApiMessages);
-
-            conversationStatus = status; // Update status for loop condition
-
-            if (status === 'paused') {
-                 // Pause initiated by executeChatTurn/processToolCalls
-                 // Loading state remains true, waiting for modal interaction
-                 break; // Exit the loop
-            } else if (status === 'error') {
-                 // Error occurred, stop the loop
-                  break;
-            } else if (status === 'completed_with_tools') {
-                  // Prepare messages for the next turn ONLY if tools were completed
-                  if (assistantMessage && toolResponseMessages.length > 0) {
-                      // Format tool responses for the API
-                      const formattedToolResponses = toolResponseMessages.map(msg => ({
-                          role: 'tool',
-                          content: msg.content, // Ensure this is a string
-                          tool_call_id: msg.tool_call_id
-                      }));
-                      // Append assistant message and tool responses for the next API call
-                      currentApiMessages = [
-                          ...currentApiMessages,
-                          { // Assistant message that included the tool calls
-                            role: assistantMessage.role,
-                            content: assistantMessage.content,
-                            tool_calls: assistantMessage.tool_calls
-                          },
-                          ...formattedToolResponses
-                      ];
-                      // Loop continues as conversationStatus is 'completed_with_tools'
-                  } else {
-                      // Should not happen if status is completed_with_tools, but safety break
-                      console.warn("Status 'completed_with_tools' but no assistant message or tool responses found.");
-                      conversationStatus = 'error'; // Treat as error
-                      break;
-                  }
-            } else if (status === 'completed_no_tools') {
-                  // Conversation turn finished without tools, stop the loop
-                  break;
-            }
-        } // End while loop
-
-    } catch (error) {
-        // Catch errors originating directly in handleSendMessage loop (unlikely with refactor)
-        console.error('Error in handleSendMessage conversation flow:', error);
-        setMessages(prev => [...prev, { role: 'assistant', content: `Error: ${error.message}` }]);
-        conversationStatus = 'error'; // Ensure loading state is handled
-    } finally {
-        // Only set loading false if the conversation is not paused
-        if (conversationStatus !== 'paused') {
-            setLoading(false);
-        }
+    if (inserted[inserted.length - 1].role === 'user') {
+      startConversationRun(conversationMessages);
+      return;
+    }
+    setMessages(conversationMessages);
+    const id = conversationId || crypto.randomUUID();
+    if (!conversationId) {
+      setConversationId(id);
     }
+    persistConversation(conversationMessages, id);
   };
 
-  // --- Placeholder for resuming chat after modal interaction ---
-  const resumeChatFlow = async (handledToolResponse) => {
-      if (!pausedChatState) {
-          console.error("Attempted to resume chat flow without paused state.");
-          setLoading(false); // Ensure loading indicator stops
-          return;
-      }
-
-      const { currentMessages, finalAssistantMessage, accumulatedResponses } = pausedChatState;
-      setPausedChatState(null); // Clear the paused state
-
-      const allResponsesForTurn = [...accumulatedResponses, handledToolResponse];
+  // Show `conversationMessages` (ending with a user message), save them and start the loop.
+  // `provider` overrides the provider from settings for this run only.
+  const startConversationRun = (conversationMessages, { model = selectedModel, provider } = {}) => {
+    setMessages(conversationMessages);
+    setHighlightedMessageIndex(null);
 
-      // Find the index of the tool that caused the pause
-      const pausedToolIndex = finalAssistantMessage.tool_calls.findIndex(
-          tc => tc.id === handledToolResponse.tool_call_id // Match based on ID
-      );
+    // Save right away so the conversation shows up in the sidebar while the model answers
+    const id = conversationId || crypto.randomUUID();
+    if (!conversationId) {
+      setConversationId(id);
+    }
+    persistConversation(conversationMessages, id);
+
+    // Determine reasoning parameters based on model
+    let runOptions = { conversationId: id };
+    if (model?.toLowerCase().includes('deepseek')) {
+      // DeepSeek uses boolean think parameter
+      runOptions.thinkMode = reasoningMode.deepseek;
+    } else if (model?.toLowerCase().includes('gpt-oss')) {
+      // gpt-oss uses reasoning_effort parameter
+      runOptions.reasoningEffort = reasoningMode.gptoss;
+    }
+    if (provider) {
+      runOptions.provider = provider;
+    }
 
-      if (pausedToolIndex === -1) {
-          console.error("Could not find the paused tool call in the original message.");
-          setLoading(false);
-          return; // Cannot proceed
-      }
+    runConversation(conversationMessages, model, runOptions);
+  };
 
-      const remainingTools = finalAssistantMessage.tool_calls.slice(pausedToolIndex + 1);
-      let needsPauseAgain = false;
-
-      // Process remaining tools
-      for (const nextToolCall of remainingTools) {
-        const toolName = nextToolCall.function.name;
-        const approvalStatus = getToolApprovalStatus(toolName);
-
-        if (approvalStatus === 'always' || approvalStatus === 'yolo') {
-            console.log(`Resuming: Tool '${toolName}' automatically approved (${approvalStatus}). Executing...`);
-            try {
-                const resultMsg = await executeToolCall(nextToolCall);
-                allResponsesForTurn.push(resultMsg);
-                setMessages(prev => [...prev, resultMsg]); // Update UI immediately
-            } catch (error) {
-                console.error(`Resuming: Error executing tool call '${toolName}':`, error);
-                const errorMsg = { role: 'tool', content: JSON.stringify({ error: `Error executing tool '${toolName}': ${error.message}` }), tool_call_id: nextToolCall.id };
-                allResponsesForTurn.push(errorMsg);
-                setMessages(prev => [...prev, errorMsg]);
-            }
-        } else { // Needs prompt again
-            console.log(`Resuming: Tool '${toolName}' requires user approval.`);
-            setPendingApprovalCall(nextToolCall);
-            // Save state again, including the responses gathered *during* this resume attempt
-            setPausedChatState({
-                currentMessages: currentMessages, // Original messages before assistant response
-                finalAssistantMessage: finalAssistantMessage,
-                accumulatedResponses: allResponsesForTurn // All responses UP TO this new pause
-            });
-            needsPauseAgain = true;
-            break; // Stop processing remaining tools
-        }
-      }
+  // Edit an earlier user message and regenerate from it; the old continuation stays as a branch
+  const handleEditMessage = (messageIndex, content) => {
+    if (loading) return;
+    startConversationRun(editUserMessage(messages, messageIndex, content));
+  };
 
-      if (needsPauseAgain) {
-        // Loading state remains true, waiting for the next modal interaction
-        console.log("Chat flow paused again for the next tool.");
-      } else {
-        // All remaining tools were processed. Prepare for the next API call.
-        console.log("All tools for the turn processed. Continuing conversation.");
-        setLoading(true); // Show loading for the next API call
-
-        const nextApiMessages = [
-            ...currentMessages, // History BEFORE the assistant message with tools
-            { // The assistant message itself
-                role: finalAssistantMessage.role,
-                content: finalAssistantMessage.content,
-                tool_calls: finalAssistantMessage.tool_calls,
-            },
-            // Map ALL tool responses for the completed turn
-            ...allResponsesForTurn.map(msg => ({
-                role: 'tool',
-                content: msg.content,
-                tool_call_id: msg.tool_call_id
-            }))
-        ];
-
-        // Continue the conversation loop by executing the next turn
-        // This recursively calls the main logic, effectively continuing the loop
-        // Pass the fully prepared message list for the *next* API call
-        // We need to handle the loading state correctly after this returns
-        try {
-             // Start the next turn
-              const { status: nextTurnStatus } = await executeChatTurn(nextApiMessages);
-              // If the *next* turn also pauses, loading state remains true
-              if (nextTurnStatus !== 'paused') {
-                  setLoading(false);
-              }
-        } catch (error) {
-            console.error("Error during resumed chat turn:", error);
-            setMessages(prev => [...prev, { role: 'assistant', content: `Error after resuming: ${error.message}` }]);
-            setLoading(false); // Stop loading on error
-        }
-      }
+  // Answer the turn again with another model/provider; earlier answers stay as sibling branches
+  const handleRegenerate = (messageIndex, { model, provider }) => {
+    if (loading) return;
+    startConversationRun(regenerateResponse(messages, messageIndex), { model, provider });
   };
 
-  // --- Placeholder for handling modal choice ---
-  const handleToolApproval = async (choice, toolCall) => {
-      if (!toolCall || !toolCall.id) {
-          console.error("handleToolApproval called with invalid toolCall:", toolCall);
-          return;
-      }
-      console.log(`User choice for tool '${toolCall.function.name}': ${choice}`);
-
-      // Update localStorage based on choice
-      setToolApprovalStatus(toolCall.function.name, choice);
-
-      // Clear the pending call *before* executing/resuming
-      setPendingApprovalCall(null);
-
-      let handledToolResponse;
-
-      if (choice === 'deny') {
-          handledToolResponse = {
-              role: 'tool',
-              content: JSON.stringify({ error: 'Tool execution denied by user.' }),
-              tool_call_id: toolCall.id
-          };
-          setMessages(prev => [...prev, handledToolResponse]); // Show denial in UI
-          // Resume processing potential subsequent tools
-          await resumeChatFlow(handledToolResponse);
-      } else { // 'once', 'always', 'yolo' -> Execute the tool
-          setLoading(true); // Show loading specifically for tool execution phase
-          try {
-              console.log(`Executing tool '${toolCall.function.name}' after user approval...`);
-              handledToolResponse = await executeToolCall(toolCall);
-              setMessages(prev => [...prev, handledToolResponse]); // Show result in UI
-              // Resume processing potential subsequent tools
-              await resumeChatFlow(handledToolResponse);
-          } catch (error) {
-              console.error(`Error executing approved tool call '${toolCall.function.name}':`, error);
-              handledToolResponse = {
-                  role: 'tool',
-                  content: JSON.stringify({ error: `Error executing tool '${toolCall.function.name}' after approval: ${error.message}` }),
-                  tool_call_id: toolCall.id
-              };
-              setMessages(prev => [...prev, handledToolResponse]); // Show error in UI
-              // Still try to resume processing subsequent tools even if this one failed
-              await resumeChatFlow(handledToolResponse);
-          } finally {
-              // Loading state will be handled by resumeChatFlow or set to false if it errors/completes fully
-              // setLoading(false); // Don't set false here, resumeChatFlow handles it
-          }
-      }
+  const handleSwitchBranch = (messageIndex, branchIndex) => {
+    if (loading) return;
+    const branchedMessages = switchBranch(messages, messageIndex, branchIndex);
+    setMessages(branchedMessages);
+    if (conversationId) {
+      persistConversation(branchedMessages, conversationId);
+    }
   };
 
   // Disconnect from an MCP server
@@ -985,6 +765,15 @@ function App() {
       <header className="sticky top-0 z-50 border-b bg-background/95 backdrop-blur-sm supports-[backdrop-filter]:bg-background/80 shadow-sm">
         <div className="flex h-16 items-center justify-between px-6 max-w-full">
           <div className="flex items-center space-x-4">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setIsSidebarOpen(open => !open)}
+              className="text-foreground hover:text-foreground"
+              title={isSidebarOpen ? "Hide history" : "Show history"}
+            >
+              <PanelLeft className="h-5 w-5" />
+            </Button>
             <div className="flex items-center space-x-2">
               <img 
                 src="./ollama.svg" 
@@ -1003,12 +792,50 @@ function App() {
           </div>
 
           <div className="flex items-center space-x-2">
+            <WorkspaceRootsPicker
+              roots={workspaceRoots}
+              defaultRoots={defaultWorkspaceRoots}
+              onChange={handleWorkspaceRootsChange}
+              disabled={loading}
+            />
+
+            {/* Export Menu - only show when there are messages */}
+            {messages.length > 0 && (
+              <div className="relative">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setIsExportMenuOpen(open => !open)}
+                  disabled={loading}
+                  className="text-foreground hover:text-foreground"
+                >
+                  <Download className="h-4 w-4 mr-2" />
+                  Export
+                </Button>
+                {isExportMenuOpen && (
+                  <div className="absolute right-0 mt-1 w-36 rounded-md border bg-background shadow-lg z-50 py-1">
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        type="button"
+                        className="w-full px-3 py-1.5 text-left text-sm hover:bg-accent"
+                        onClick={() => handleExportConversation(format)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* New Chat Button - only show when there are messages */}
             {messages.length > 0 && (
               <Button 
                 variant="outline" 
                 size="sm" 
-                onClick={() => setMessages([])}
+                onClick={handleNewChat}
+                disabled={loading}
                 className="text-foreground hover:text-foreground"
               >
                 <MessageSquare className="h-4 w-4 mr-2" />
@@ -1027,6 +854,19 @@ function App() {
 
       {/* Main Content */}
       {/* TODO: Make the scroll area the entire width instead of the container while keeping the input at the bottom*/}
+      <div className="flex-1 flex overflow-hidden">
+      {isSidebarOpen && (
+        <ConversationSidebar
+          conversations={conversations}
+          activeConversationId={conversationId}
+          onSelect={handleSelectConversation}
+          onOpenSearchHit={handleOpenSearchHit}
+          onImport={handleImportConversation}
+          onRename={handleRenameConversation}
+          onDelete={handleDeleteConversation}
+          disabled={loading}
+        />
+      )}
       <div className="flex-1 flex flex-col overflow-hidden">
         <div className="flex-1 overflow-y-auto">
           <div className="container py-8 h-full">
@@ -1039,6 +879,7 @@ function App() {
                 <div className="w-full max-w-2xl">
                   <ChatInput
                     onSendMessage={handleSendMessage}
+                    onStop={handleStopGeneration}
                     loading={loading}
                     visionSupported={visionSupported}
                     models={models}
@@ -1048,6 +889,8 @@ function App() {
                     modelConfigs={modelConfigs}
                     reasoningMode={reasoningMode}
                     onReasoningModeChange={setReasoningMode}
+                    contextUsage={contextUsage}
+                    onRunPrompt={handleInsertPromptMessages}
                   />
                 </div>
               </div>
@@ -1058,7 +901,19 @@ function App() {
                   <MessageList 
                     messages={messages} 
                     onToolCallExecute={executeToolCall} 
+                    toolStatuses={toolStatuses}
                     onRemoveLastMessage={handleRemoveLastMessage} 
+                    highlightedMessageIndex={highlightedMessageIndex}
+                    onEditMessage={handleEditMessage}
+                    onSwitchBranch={handleSwitchBranch}
+                    onRegenerate={handleRegenerate}
+                    regenerateOptions={{
+                      providers,
+                      defaultProvider: currentProvider,
+                      defaultModel: selectedModel,
+                      currentModels: models
+                    }}
+                    editingDisabled={loading}
                   />
                   <div ref={messagesEndRef} />
                 </div>
@@ -1066,6 +921,7 @@ function App() {
                 <div className="flex-shrink-0 border-t bg-background/95 backdrop-blur pt-6">
                   <ChatInput
                     onSendMessage={handleSendMessage}
+                    onStop={handleStopGeneration}
                     loading={loading}
                     visionSupported={visionSupported}
                     models={models}
@@ -1075,6 +931,8 @@ function App() {
                     modelConfigs={modelConfigs}
                     reasoningMode={reasoningMode}
                     onReasoningModeChange={setReasoningMode}
+                    contextUsage={contextUsage}
+                    onRunPrompt={handleInsertPromptMessages}
                   />
                 </div>
               </div>
@@ -1083,6 +941,7 @@ function App() {
           </div>
         </div>
       </div>
+      </div>
 
       {/* Modals */}
       {isToolsPanelOpen && (
@@ -1091,13 +950,24 @@ function App() {
           onClose={() => setIsToolsPanelOpen(false)}
                     onDisconnectServer={disconnectMcpServer}
           onReconnectServer={reconnectMcpServer}
+          onInsertPrompt={(promptMessages) => {
+            handleInsertPromptMessages(promptMessages);
+            setIsToolsPanelOpen(false);
+          }}
         />
       )}
 
       {pendingApprovalCall && (
         <ToolApprovalModal
           toolCall={pendingApprovalCall}
-                    onApprove={handleToolApproval}
+                    onApprove={respondToApproval}
+        />
+      )}
+
+      {!pendingApprovalCall && samplingRequests.length > 0 && (
+        <SamplingApprovalModal
+          request={samplingRequests[0]}
+          onRespond={respondToSampling}
         />
       )}
     </div>
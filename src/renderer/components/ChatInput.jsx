@@ -1,4 +1,4 @@
-import { ArrowUp, Loader2, ImagePlus, Hammer, Upload, Lightbulb, LightbulbOff } from "lucide-react";
+import { ArrowUp, Loader2, ImagePlus, Hammer, Upload, Lightbulb, LightbulbOff, Square, AtSign, Braces, MessageSquare } from "lucide-react";
 import React, { useContext, useEffect, useRef, useState } from "react";
 import TextAreaAutosize from "react-textarea-autosize";
 import { 
@@ -11,9 +11,73 @@ import {
 import { Button } from "./ui/button";
 import { cn } from "../lib/utils";
 import { ChatContext } from "../context/ChatContext";
+import ResourceTemplateForm from "./ResourceTemplateForm";
+import PromptArgumentsForm from "./PromptArgumentsForm";
+
+const MAX_MENU_OPTIONS = 8;
+
+// The `/command` that starts the message or the `@query` being typed just before the caret, if any
+const findTrigger = (text, caret) => {
+	const before = text.slice(0, caret);
+	const command = /^\/(\S*)$/.exec(before);
+	if (command) return { kind: "command", query: command[1], start: 0 };
+	const mention = /(^|\s)@([^\s@]*)$/.exec(before);
+	return mention ? { kind: "mention", query: mention[2], start: caret - mention[2].length - 1 } : null;
+};
+
+const promptCommand = (prompt) => `/${prompt.serverId}:${prompt.name}`;
+
+// Resources and templates in one list; templates are matched and keyed by their URI template
+const toMentionable = ({ resources = [], resourceTemplates = [] }) => [
+	...resources,
+	...resourceTemplates.map(template => ({ ...template, uri: template.uriTemplate, isTemplate: true })),
+];
+
+// Message parts of a read resource, built in the main process; shown under the name it was picked by
+const toResourceParts = (result, name) => (result.parts || []).map(part => ({ ...part, resource: { ...part.resource, name } }));
+
+const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens));
+
+// What happens to older messages once the history passes the threshold, per `contextCompaction`
+const describeCompaction = ({ mode, threshold }) => {
+	const percent = Math.round(threshold * 100);
+	return mode === "truncate"
+		? `Older messages are left out of requests past ${percent}%.`
+		: `Older messages are summarized past ${percent}%.`;
+};
+
+// Live context usage with a tick where compaction starts
+function ContextMeter({ usage }) {
+	const ratio = Math.min(usage.tokens / usage.contextWindow, 1);
+	const { threshold } = usage.compaction;
+	const barColor = ratio >= 0.85 ? "bg-red-500" : ratio >= threshold ? "bg-amber-500" : "bg-emerald-500";
+	// Unknown models are only estimated until server counts calibrate them
+	const estimated = !usage.tokenizer && !usage.calibrated;
+	const counted = usage.tokenizer ? `counted with the ${usage.counter} tokenizer` : "heuristic estimate";
+	const source = usage.calibrated
+		? `${counted}, calibrated from ${usage.samples} server count${usage.samples === 1 ? "" : "s"}`
+		: `${counted}, not yet calibrated against server counts`;
+
+	return (
+		<div
+			className="flex items-center gap-2 text-xs text-muted-foreground"
+			title={`${usage.tokens.toLocaleString()} of ${usage.contextWindow.toLocaleString()} tokens (${Math.round(ratio * 100)}%) · ${source}. ${describeCompaction(usage.compaction)}`}
+		>
+			<div className="relative w-20 h-1.5 rounded-full bg-muted overflow-hidden">
+				<div className={cn("h-full rounded-full transition-all", barColor)} style={{ width: `${ratio * 100}%` }} />
+				<div className="absolute top-0 h-full w-px bg-foreground/40" style={{ left: `${threshold * 100}%` }} />
+			</div>
+			<span className="tabular-nums">
+				{estimated ? "~" : ""}{formatTokens(usage.tokens)} / {formatTokens(usage.contextWindow)}
+			</span>
+			{estimated && <span>estimate</span>}
+		</div>
+	);
+}
 
 function ChatInput({
 	onSendMessage,
+	onStop,
 	loading = false,
 	visionSupported = false,
 	models = [],
@@ -23,6 +87,8 @@ function ChatInput({
 	modelConfigs = {},
 	reasoningMode = { deepseek: true, gptoss: 'medium' },
 	onReasoningModeChange,
+	contextUsage = null,
+	onRunPrompt,
 }) {
 	const [message, setMessage] = useState("");
 	const [suggestion, setSuggestion] = useState("");
@@ -31,6 +97,15 @@ function ChatInput({
 	const { messages, activeContext } = useContext(ChatContext);
 
 	const [files, setFiles] = useState([]); // Changed from images to files to handle all file types
+	const [mentionableResources, setMentionableResources] = useState([]);
+	const [prompts, setPrompts] = useState([]);
+	const [trigger, setTrigger] = useState(null); // Open `@` or `/` menu
+	const [menuIndex, setMenuIndex] = useState(0);
+	const [resourceAttachments, setResourceAttachments] = useState([]);
+	const [pendingTemplate, setPendingTemplate] = useState(null); // Template whose variables are being filled in
+	const [pendingPrompt, setPendingPrompt] = useState(null); // Slash command whose arguments are being filled in
+	const [promptRunning, setPromptRunning] = useState(false);
+	const [promptError, setPromptError] = useState(null);
 	const [textareaHeight, setTextareaHeight] = useState(null);
 	const [rowHeight, setRowHeight] = useState(null);
 
@@ -163,6 +238,124 @@ function ChatInput({
 
 
 
+	// Keep the @-mention and slash command lists in sync with what the MCP servers offer
+	useEffect(() => {
+		window.electron?.getMcpResources?.()
+			.then(result => setMentionableResources(toMentionable(result || {})))
+			.catch(error => console.error("Error loading MCP resources:", error));
+		window.electron?.getMcpPrompts?.()
+			.then(result => setPrompts(result?.prompts || []))
+			.catch(error => console.error("Error loading MCP prompts:", error));
+
+		const unsubscribe = window.electron?.onMcpServerStatusChanged?.((status) => {
+			if (status.resources) {
+				setMentionableResources(toMentionable(status));
+			}
+			if (status.prompts) {
+				setPrompts(status.prompts);
+			}
+		});
+		return () => unsubscribe?.();
+	}, []);
+
+	const triggerQuery = trigger?.query.toLowerCase();
+	let menuOptions = [];
+	if (trigger?.kind === "mention") {
+		menuOptions = mentionableResources.filter(resource =>
+			resource.name?.toLowerCase().includes(triggerQuery) || resource.uri?.toLowerCase().includes(triggerQuery)
+		);
+	} else if (trigger?.kind === "command" && onRunPrompt) {
+		menuOptions = prompts.filter(prompt => promptCommand(prompt).slice(1).toLowerCase().includes(triggerQuery));
+	}
+	menuOptions = menuOptions.slice(0, MAX_MENU_OPTIONS);
+
+	const updateTrigger = (textarea) => {
+		const next = findTrigger(textarea.value, textarea.selectionStart);
+		if (next?.kind !== trigger?.kind || next?.query !== trigger?.query) setMenuIndex(0);
+		setTrigger(next);
+	};
+
+	const attachResource = async (resource, read) => {
+		const id = `${resource.serverId}:${resource.uri}:${Date.now()}`;
+		const updateAttachment = (changes) => setResourceAttachments(prev => prev.map(attachment => (attachment.id === id ? { ...attachment, ...changes } : attachment)));
+		setResourceAttachments(prev => [...prev, { id, name: resource.name, uri: resource.uri, serverId: resource.serverId, loading: true }]);
+
+		try {
+			const result = await read();
+			if (result?.error) throw new Error(result.error);
+			const parts = toResourceParts(result, resource.name);
+			if (parts.some(part => part.type === "image_url") && !visionSupported) {
+				throw new Error("The selected model does not support image inputs.");
+			}
+			updateAttachment({ loading: false, uri: result.uri, parts });
+		} catch (error) {
+			console.error(`Error reading resource ${resource.uri}:`, error);
+			updateAttachment({ loading: false, error: error.message });
+		}
+	};
+
+	const selectMention = (resource) => {
+		const end = trigger.start + 1 + trigger.query.length;
+		setMessage(`${message.slice(0, trigger.start)}@${resource.name} ${message.slice(end)}`);
+		setTrigger(null);
+
+		if (resource.isTemplate) {
+			setPendingTemplate(resource);
+		} else {
+			attachResource(resource, () => window.electron.readMcpResource(resource.uri, resource.serverId));
+		}
+		textareaRef.current?.focus();
+	};
+
+	const handleTemplateRead = (template, variables) => {
+		setPendingTemplate(null);
+		attachResource(template, () => window.electron.readMcpResourceTemplate(template.uriTemplate, variables, template.serverId));
+	};
+
+	const runPrompt = async (prompt, promptArguments) => {
+		setPromptRunning(true);
+		setPromptError(null);
+		try {
+			const result = await window.electron.getMcpPrompt(prompt.name, promptArguments, prompt.serverId);
+			if (result?.error) throw new Error(result.error);
+			setPendingPrompt(null);
+			onRunPrompt(result.messages || []);
+		} catch (error) {
+			console.error(`Error running prompt ${promptCommand(prompt)}:`, error);
+			// Keep the arguments open so they can be corrected
+			setPendingPrompt(prompt);
+			setPromptError(error.message);
+		} finally {
+			setPromptRunning(false);
+		}
+	};
+
+	const selectCommand = (prompt) => {
+		setMessage("");
+		setTrigger(null);
+		setPromptError(null);
+		if (prompt.arguments?.length > 0) {
+			setPendingPrompt(prompt);
+		} else {
+			runPrompt(prompt, {});
+		}
+	};
+
+	const selectMenuOption = (option) => {
+		if (trigger.kind === "command") {
+			selectCommand(option);
+		} else {
+			selectMention(option);
+		}
+	};
+
+	const removeResourceAttachment = (id) => {
+		setResourceAttachments(prev => prev.filter(attachment => attachment.id !== id));
+	};
+
+	const readyResourceParts = resourceAttachments.flatMap(attachment => attachment.parts || []);
+	const resourcesLoading = resourceAttachments.some(attachment => attachment.loading);
+
 	// Focus the textarea after component mounts
 	useEffect(() => {
 		if (textareaRef.current) {
@@ -204,10 +397,11 @@ function ChatInput({
 		const textContent = message.trim();
 		const hasText = textContent.length > 0;
 		const hasFiles = files.length > 0;
+		const hasResources = readyResourceParts.length > 0;
 
-		if ((hasText || hasFiles) && !loading) {
+		if ((hasText || hasFiles || hasResources) && !loading && !resourcesLoading) {
 			let contentToSend;
-			if (hasFiles) {
+			if (hasFiles || hasResources) {
 				// Format content as array with text and file parts
 				const contentParts = [];
 				
@@ -232,6 +426,8 @@ function ChatInput({
 						});
 					}
 				});
+
+				contentParts.push(...readyResourceParts);
 				
 				contentToSend = contentParts;
 			} else {
@@ -242,11 +438,33 @@ function ChatInput({
 			onSendMessage(contentToSend);
 			setMessage("");
 			setFiles([]); // Clear files after sending
+			setResourceAttachments([]);
+			setPendingTemplate(null);
 			setSuggestion(""); // Clear suggestion on send
 		}
 	};
 
 	const handleKeyDown = (e) => {
+		// Navigate the @-mention or slash command list while it is open
+		if (menuOptions.length > 0) {
+			if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+				e.preventDefault();
+				const step = e.key === "ArrowDown" ? 1 : -1;
+				setMenuIndex(index => (index + step + menuOptions.length) % menuOptions.length);
+				return;
+			}
+			if (e.key === "Enter" || e.key === "Tab") {
+				e.preventDefault();
+				selectMenuOption(menuOptions[Math.min(menuIndex, menuOptions.length - 1)]);
+				return;
+			}
+			if (e.key === "Escape") {
+				e.preventDefault();
+				setTrigger(null);
+				return;
+			}
+		}
+
 		// Accept suggestion on Tab (only if autocomplete is enabled)
 		if (e.key === "Tab" && autocompleteEnabled && suggestion) {
 			e.preventDefault();
@@ -306,6 +524,40 @@ function ChatInput({
 			onDragLeave={handleDragLeave}
 			onDrop={handleDrop}
 		>
+		{/* Variables for a mentioned resource template (outside the chat form, since it is a form itself) */}
+		{pendingTemplate && (
+			<div className="relative border border-border/30 rounded-xl bg-muted/20 p-3">
+				<button
+					type="button"
+					onClick={() => setPendingTemplate(null)}
+					className="absolute top-2 right-3 text-muted-foreground hover:text-destructive transition-colors"
+					aria-label="Cancel resource template"
+				>
+					✕
+				</button>
+				<ResourceTemplateForm template={pendingTemplate} onRead={handleTemplateRead} />
+			</div>
+		)}
+
+		{/* Arguments for a slash command */}
+		{pendingPrompt && (
+			<div className="border border-border/30 rounded-xl bg-muted/20 p-3">
+				<PromptArgumentsForm
+					prompt={pendingPrompt}
+					onRun={runPrompt}
+					onCancel={() => setPendingPrompt(null)}
+					running={promptRunning}
+					error={promptError}
+				/>
+			</div>
+		)}
+		{!pendingPrompt && (promptRunning || promptError) && (
+			<div className={cn("flex items-center gap-2 text-sm px-2", promptError ? "text-destructive" : "text-muted-foreground")}>
+				{promptRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : null}
+				{promptRunning ? "Running prompt..." : promptError}
+			</div>
+		)}
+
 		<form onSubmit={handleSubmit} className="flex flex-col gap-4">
 			{/* File Previews Area */}
 			{files.length > 0 && (
@@ -360,6 +612,33 @@ function ChatInput({
 				</div>
 			)}
 
+			{/* Resources attached with @-mentions */}
+			{resourceAttachments.length > 0 && (
+				<div className="flex flex-wrap gap-2">
+					{resourceAttachments.map(attachment => (
+						<div
+							key={attachment.id}
+							className={cn(
+								"flex items-center gap-2 rounded-lg border px-2 py-1 text-sm bg-background/80 max-w-xs",
+								attachment.error ? "border-destructive/50 text-destructive" : "border-border/50"
+							)}
+							title={attachment.error || attachment.uri}
+						>
+							{attachment.loading ? <Loader2 className="w-3 h-3 animate-spin flex-shrink-0" /> : <AtSign className="w-3 h-3 flex-shrink-0" />}
+							<span className="truncate">{attachment.name}</span>
+							<button
+								type="button"
+								onClick={() => removeResourceAttachment(attachment.id)}
+								className="text-muted-foreground hover:text-destructive transition-colors"
+								aria-label={`Remove resource ${attachment.name}`}
+							>
+								✕
+							</button>
+						</div>
+					))}
+				</div>
+			)}
+
 			<div className="flex flex-col gap-3">
 				{/* Input Area with Submit Button */}
 				<div className="flex items-center gap-3">
@@ -368,10 +647,12 @@ function ChatInput({
 							ref={textareaRef}
 							value={message}
 							onChange={(e) => setMessage(e.target.value)}
+							onSelect={(e) => updateTrigger(e.target)}
+							onBlur={() => setTrigger(null)}
 							onKeyDown={handleKeyDown}
 							onPaste={handlePaste}
 							onHeightChange={handleHeightChange}
-							placeholder={isDragOver ? "Drop files here..." : "Ask Ollama anything..."}
+							placeholder={isDragOver ? "Drop files here..." : (onRunPrompt ? "Ask Ollama anything... (@ to attach a resource, / for prompts)" : "Ask Ollama anything... (@ to attach a resource)")}
 							className={cn(
 								"w-full px-4 py-3 bg-background/80 backdrop-blur-sm resize-none border rounded-2xl text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring/50 focus:border-ring/50 transition-all duration-200",
 								isDragOver 
@@ -390,6 +671,40 @@ function ChatInput({
 							cacheMeasurements={true}
 							disabled={loading}
 						/>
+						{/* @-mention resource list or slash command list */}
+						{menuOptions.length > 0 && (
+							<ul className="absolute left-0 right-0 bottom-full mb-2 max-h-64 overflow-y-auto rounded-xl border border-border/50 bg-background shadow-lg z-50 py-1">
+								{menuOptions.map((option, index) => (
+									<li
+										key={trigger.kind === "command" ? promptCommand(option) : `${option.serverId}:${option.uri}`}
+										className={cn("px-3 py-2 cursor-pointer flex items-start gap-2", index === menuIndex ? "bg-accent" : "hover:bg-accent")}
+										// Keep focus in the textarea so the blur does not close the list first
+										onMouseDown={(e) => {
+											e.preventDefault();
+											selectMenuOption(option);
+										}}
+									>
+										{trigger.kind === "command" ? (
+											<>
+												<MessageSquare className="w-4 h-4 mt-0.5 flex-shrink-0" />
+												<div className="min-w-0">
+													<div className="text-sm font-medium font-mono text-foreground truncate">{promptCommand(option)}</div>
+													{option.description && <div className="text-xs text-muted-foreground truncate">{option.description}</div>}
+												</div>
+											</>
+										) : (
+											<>
+												{option.isTemplate ? <Braces className="w-4 h-4 mt-0.5 flex-shrink-0" /> : <AtSign className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+												<div className="min-w-0">
+													<div className="text-sm font-medium text-foreground truncate">{option.name}</div>
+													<div className="text-xs text-muted-foreground truncate">{option.serverId} · {option.uri}</div>
+												</div>
+											</>
+										)}
+									</li>
+								))}
+							</ul>
+						)}
 						{/* Drag overlay */}
 						{isDragOver && (
 							<div className="absolute inset-0 bg-primary/10 border-2 border-dashed border-primary rounded-2xl flex items-center justify-center pointer-events-none">
@@ -401,18 +716,31 @@ function ChatInput({
 						)}
 					</div>
 					<div className="self-start">
-						<Button
-							type="submit"
-							size="icon"
-							className="h-12 w-12 rounded-2xl bg-primary hover:bg-primary/90 shadow-lg hover:shadow-xl transition-all duration-200 hover:scale-105"
-							disabled={loading || (!message.trim() && files.length === 0)}
-						>
-							{loading ? (
-								<Loader2 className="w-5 h-5 animate-spin" />
-							) : (
-								<ArrowUp className="w-5 h-5" aria-hidden="true" />
-							)}
-						</Button>
+						{loading && onStop ? (
+							<Button
+								type="button"
+								size="icon"
+								onClick={onStop}
+								className="h-12 w-12 rounded-2xl bg-primary hover:bg-primary/90 shadow-lg hover:shadow-xl transition-all duration-200 hover:scale-105"
+								title="Stop generating"
+								aria-label="Stop generating"
+							>
+								<Square className="w-4 h-4 fill-current" aria-hidden="true" />
+							</Button>
+						) : (
+							<Button
+								type="submit"
+								size="icon"
+								className="h-12 w-12 rounded-2xl bg-primary hover:bg-primary/90 shadow-lg hover:shadow-xl transition-all duration-200 hover:scale-105"
+								disabled={loading || resourcesLoading || (!message.trim() && files.length === 0 && readyResourceParts.length === 0)}
+							>
+								{loading ? (
+									<Loader2 className="w-5 h-5 animate-spin" />
+								) : (
+									<ArrowUp className="w-5 h-5" aria-hidden="true" />
+								)}
+							</Button>
+						)}
 					</div>
 				</div>
 
@@ -470,6 +798,8 @@ function ChatInput({
 							</div>
 						)}
 						
+						{contextUsage && <ContextMeter usage={contextUsage} />}
+
 						{/* Model Selector with Think Mode Toggle */}
 						<div className="flex items-center gap-1">
 							{/* Reasoning Mode Toggle - Positioned left of model selector */}
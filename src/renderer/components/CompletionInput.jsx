@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Input } from './ui/input';
+
+const SUGGESTION_DEBOUNCE_MS = 200;
+
+/**
+ * Text input with suggestions from an MCP server's completion/complete, for prompt arguments and
+ * resource template variables. Suggestions are fetched while the input has focus.
+ *
+ * @param {object} props
+ * @param {string} props.value
+ * @param {(value: string) => void} props.onChange
+ * @param {(value: string) => Promise<string[]>} props.fetchSuggestions - Suggestions for the typed value
+ */
+function CompletionInput({ value, onChange, fetchSuggestions, ...inputProps }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!isFocused) return;
+
+    const requestId = ++requestIdRef.current;
+    const timeout = setTimeout(async () => {
+      try {
+        const values = await fetchSuggestions(value);
+        // Ignore answers to keystrokes that have been superseded
+        if (requestId !== requestIdRef.current) return;
+        setSuggestions((values || []).filter(suggestion => suggestion !== value));
+        setHighlightedIndex(-1);
+      } catch (error) {
+        console.error('Failed to fetch suggestions:', error);
+      }
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [value, isFocused]);
+
+  const pick = (suggestion) => {
+    onChange(suggestion);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightedIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightedIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && highlightedIndex >= 0) {
+      e.preventDefault();
+      pick(suggestions[highlightedIndex]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        {...inputProps}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        onKeyDown={handleKeyDown}
+        autoComplete="off"
+      />
+      {isFocused && suggestions.length > 0 && (
+        <ul className="absolute left-0 right-0 top-full mt-1 max-h-48 overflow-y-auto rounded-md border bg-background shadow-lg z-50 py-1">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion}
+              className={`px-3 py-1.5 text-sm font-mono cursor-pointer truncate ${index === highlightedIndex ? 'bg-accent' : 'hover:bg-accent'}`}
+              // Keep focus in the input so the blur does not hide the list before the click lands
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(suggestion);
+              }}
+            >
+              {suggestion}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CompletionInput;
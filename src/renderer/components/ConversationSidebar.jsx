@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Pencil, Trash2, Check, X, Search, Wrench, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { cn } from '../lib/utils';
+
+const formatUpdatedAt = (isoString) => {
+  const date = new Date(isoString);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const HIT_FIELD_LABELS = {
+  content: null,
+  'tool-call': 'Tool call',
+  'tool-result': 'Tool result'
+};
+
+// Render a search snippet with the matched ranges highlighted
+const HighlightedSnippet = ({ snippet, highlights = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start < cursor) return; // Skip overlapping ranges
+    if (start > cursor) parts.push(snippet.slice(cursor, start));
+    parts.push(<mark key={index} className="bg-yellow-200 dark:bg-yellow-700/60 text-foreground rounded-sm">{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+};
+
+function ConversationSidebar({ conversations = [], activeConversationId, onSelect, onOpenSearchHit, onImport, onRename, onDelete, disabled = false }) {
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchHits, setSearchHits] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  // Debounced search; re-run when the saved conversations change
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchHits([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const result = await window.electron.searchConversations(query);
+        if (!cancelled) setSearchHits(result.hits || []);
+      } catch (error) {
+        console.error('Error searching conversations:', error);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery, conversations]);
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditingTitle('');
+  };
+
+  const commitEditing = async () => {
+    if (editingTitle.trim()) {
+      await onRename(editingId, editingTitle.trim());
+    }
+    cancelEditing();
+  };
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <aside className="w-64 shrink-0 border-r bg-muted/30 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between pl-4 pr-2 py-2">
+        <span className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">History</span>
+        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={onImport} disabled={disabled} title="Import conversation (JSON)">
+          <Upload className="h-3 w-3" />
+        </Button>
+      </div>
+      <div className="px-2 pb-2 relative">
+        <Search className="absolute left-4 top-2 h-3 w-3 text-muted-foreground" />
+        <Input
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setSearchQuery('');
+          }}
+          placeholder="Search messages and tool results"
+          className="h-7 pl-7 pr-2 text-xs"
+        />
+      </div>
+      {searchQuery.trim() ? (
+        <div className="flex-1 overflow-y-auto px-2 pb-4 space-y-1">
+          {!searching && searchHits.length === 0 && (
+            <p className="px-2 text-sm text-muted-foreground">No matches</p>
+          )}
+          {searchHits.map(hit => (
+            <button
+              key={`${hit.conversationId}-${(hit.branchPath || []).map(step => `${step.messageIndex}.${step.branchIndex}`).join('/')}-${hit.messageIndex}-${hit.field}`}
+              type="button"
+              className="w-full text-left rounded-md px-2 py-2 text-sm hover:bg-accent/50 disabled:cursor-not-allowed disabled:opacity-60"
+              onClick={() => onOpenSearchHit(hit)}
+              disabled={disabled}
+            >
+              <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                <span className="truncate font-medium text-foreground">{hit.title}</span>
+                {hit.branchPath?.length > 0 && <span className="shrink-0">· other branch</span>}
+              </div>
+              {HIT_FIELD_LABELS[hit.field] && (
+                <div className="mt-0.5 flex items-center gap-1 text-xs text-muted-foreground">
+                  <Wrench className="h-3 w-3" />
+                  <span className="truncate">{HIT_FIELD_LABELS[hit.field]}{hit.toolName ? ` · ${hit.toolName}` : ''}</span>
+                </div>
+              )}
+              <div className="mt-1 text-xs text-muted-foreground break-words line-clamp-3">
+                <HighlightedSnippet snippet={hit.snippet} highlights={hit.highlights} />
+              </div>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="flex-1 overflow-y-auto px-2 pb-4 space-y-1">
+          {conversations.length === 0 && (
+            <p className="px-2 text-sm text-muted-foreground">No saved conversations yet</p>
+          )}
+          {conversations.map(conversation => (
+            <div
+              key={conversation.id}
+              className={cn(
+                "group flex items-center gap-2 rounded-md px-2 py-2 text-sm",
+                conversation.id === activeConversationId ? "bg-accent text-accent-foreground" : "hover:bg-accent/50",
+                disabled && "opacity-60"
+              )}
+            >
+              {editingId === conversation.id ? (
+                <>
+                  <Input
+                    value={editingTitle}
+                    onChange={(e) => setEditingTitle(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitEditing();
+                      if (e.key === 'Escape') cancelEditing();
+                    }}
+                    className="h-7 px-2 text-sm"
+                    autoFocus
+                  />
+                  <Button variant="ghost" size="icon" className="h-6 w-6 shrink-0" onClick={commitEditing} title="Save title">
+                    <Check className="h-3 w-3" />
+                  </Button>
+                  <Button variant="ghost" size="icon" className="h-6 w-6 shrink-0" onClick={cancelEditing} title="Cancel">
+                    <X className="h-3 w-3" />
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <button
+                    type="button"
+                    className="flex-1 min-w-0 text-left disabled:cursor-not-allowed"
+                    onClick={() => onSelect(conversation.id)}
+                    disabled={disabled}
+                    title={conversation.title}
+                  >
+                    <div className="flex items-center gap-2">
+                      <MessageSquare className="h-3 w-3 shrink-0 text-muted-foreground" />
+                      <span className="truncate">{conversation.title}</span>
+                    </div>
+                    <div className="mt-0.5 pl-5 text-xs text-muted-foreground truncate">
+                      {formatUpdatedAt(conversation.updatedAt)}{conversation.model ? ` · ${conversation.model}` : ''}
+                    </div>
+                  </button>
+                  <div className="flex shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => startEditing(conversation)} title="Rename">
+                      <Pencil className="h-3 w-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 hover:text-destructive"
+                      onClick={() => handleDelete(conversation)}
+                      disabled={disabled && conversation.id === activeConversationId}
+                      title="Delete"
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </aside>
+  );
+}
+
+export default ConversationSidebar;
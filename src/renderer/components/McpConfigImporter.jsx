@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Upload, FileJson, AlertCircle } from 'lucide-react';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import Switch from './ui/Switch';
+import { cn } from '../lib/utils';
+
+const TRANSPORT_LABELS = { stdio: 'Stdio', sse: 'SSE', streamableHttp: 'Streamable HTTP' };
+
+const describeConfig = (config) => (
+  config.transport === 'stdio'
+    ? `$ ${config.command} ${(config.args || []).join(' ')}`.trim()
+    : `URL: ${config.url}`
+);
+
+// Configs saved from the form leave out fields that do not apply, so compare only what matters
+const isSameConfig = (existing, imported) => {
+  const normalize = (config) => JSON.stringify({
+    transport: config.transport || 'stdio',
+    command: config.command || '',
+    args: config.args || [],
+    env: config.env || {},
+    url: config.url || ''
+  });
+  return normalize(existing) === normalize(imported);
+};
+
+/**
+ * Imports MCP servers from claude_desktop_config.json, .vscode/mcp.json or .cursor/mcp.json, picked
+ * as a file or pasted. Servers are previewed first; ones that would replace an existing server with
+ * a different config are only imported when ticked.
+ *
+ * @param {object} props
+ * @param {object} props.existingServers - The current `settings.mcpServers`.
+ * @param {(servers: object, headers: object) => void} props.onImport - Called with the chosen servers and
+ *   the HTTP headers of the remote ones, both keyed by ID.
+ */
+function McpConfigImporter({ existingServers = {}, onImport }) {
+  const [pastedText, setPastedText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const showPreview = (result) => {
+    if (!result?.success) {
+      if (!result?.canceled) setError(result?.error || 'Could not read the config');
+      return;
+    }
+    setError(null);
+    setPreview(result);
+    // New servers are ticked; replacing an existing one is left to the user
+    setSelected(Object.fromEntries(result.servers
+      .filter(server => server.config && !existingServers[server.id])
+      .map(server => [server.id, true])));
+  };
+
+  const handlePickFile = async () => {
+    setIsLoading(true);
+    try {
+      showPreview(await window.electron.importMcpConfigFile());
+    } catch (pickError) {
+      setError(pickError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleParsePasted = async () => {
+    setIsLoading(true);
+    try {
+      showPreview(await window.electron.parseMcpConfig(pastedText));
+    } catch (parseError) {
+      setError(parseError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const resetPreview = () => {
+    setPreview(null);
+    setSelected({});
+  };
+
+  const handleImport = () => {
+    const chosenServers = preview.servers.filter(server => server.config && selected[server.id]);
+    onImport(
+      Object.fromEntries(chosenServers.map(server => [server.id, server.config])),
+      Object.fromEntries(chosenServers.filter(server => server.headers).map(server => [server.id, server.headers]))
+    );
+    resetPreview();
+    setPastedText('');
+  };
+
+  const selectedCount = preview ? preview.servers.filter(server => server.config && selected[server.id]).length : 0;
+
+  if (!preview) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-muted-foreground">
+          Pick or paste the MCP config of Claude Desktop (claude_desktop_config.json), VS Code (.vscode/mcp.json) or Cursor (.cursor/mcp.json).
+        </p>
+        <Textarea
+          value={pastedText}
+          onChange={(e) => {
+            setPastedText(e.target.value);
+            setError(null);
+          }}
+          rows={5}
+          placeholder='{ "mcpServers": { ... } }'
+          className="font-mono text-sm"
+        />
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400 flex items-center gap-1">
+            <AlertCircle className="h-4 w-4" />
+            {error}
+          </p>
+        )}
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" size="sm" onClick={handlePickFile} disabled={isLoading}>
+            <Upload className="h-4 w-4 mr-2" />
+            Choose File...
+          </Button>
+          <Button type="button" size="sm" onClick={handleParsePasted} disabled={isLoading || !pastedText.trim()}>
+            <FileJson className="h-4 w-4 mr-2" />
+            Preview Pasted Config
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        {preview.servers.length} server{preview.servers.length === 1 ? '' : 's'} found in {preview.filePath || 'the pasted config'} ({preview.source})
+      </p>
+      <div className="space-y-2">
+        {preview.servers.map(server => {
+          const existing = existingServers[server.id];
+          const hasHeaders = Object.keys(server.headers || {}).length > 0;
+          // Stored headers are not compared, so a server that brings headers can always be imported again
+          const unchanged = Boolean(existing && server.config && !hasHeaders && isSameConfig(existing, server.config));
+          return (
+            <div
+              key={server.id}
+              className={cn('rounded-md border p-3 space-y-1', (server.error || unchanged) && 'opacity-60')}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <Badge variant="secondary">{server.id}</Badge>
+                  {server.config && (
+                    <Badge variant="outline" className="text-xs">{TRANSPORT_LABELS[server.config.transport]}</Badge>
+                  )}
+                  {server.error ? (
+                    <Badge variant="destructive" className="text-xs">Cannot import</Badge>
+                  ) : unchanged ? (
+                    <Badge variant="outline" className="text-xs">Already configured</Badge>
+                  ) : existing ? (
+                    <Badge variant="outline" className="text-xs border-yellow-400 text-yellow-700 dark:text-yellow-400">Replaces existing</Badge>
+                  ) : (
+                    <Badge variant="outline" className="text-xs">New</Badge>
+                  )}
+                </div>
+                {server.config && !unchanged && (
+                  <Switch
+                    id={`import-${server.id}`}
+                    checked={Boolean(selected[server.id])}
+                    onChange={() => setSelected(prev => ({ ...prev, [server.id]: !prev[server.id] }))}
+                  />
+                )}
+              </div>
+              {server.error ? (
+                <p className="text-xs text-red-600 dark:text-red-400">{server.error}</p>
+              ) : (
+                <>
+                  <p className="text-sm text-muted-foreground font-mono break-all">{describeConfig(server.config)}</p>
+                  {server.resolvedCommand && (
+                    <p className="text-xs text-muted-foreground font-mono break-all">Runs as {server.resolvedCommand}</p>
+                  )}
+                  {server.config.env && Object.keys(server.config.env).length > 0 && (
+                    <p className="text-xs text-muted-foreground">
+                      Environment variables: {Object.keys(server.config.env).join(', ')}
+                    </p>
+                  )}
+                  {hasHeaders && (
+                    <p className="text-xs text-muted-foreground">
+                      HTTP headers: {Object.keys(server.headers).join(', ')}
+                    </p>
+                  )}
+                  {existing && !unchanged && (
+                    <p className="text-xs text-muted-foreground font-mono break-all">Currently: {describeConfig({ transport: 'stdio', ...existing })}</p>
+                  )}
+                </>
+              )}
+              {server.warnings.map(warning => (
+                <p key={warning} className="text-xs text-yellow-700 dark:text-yellow-400">{warning}</p>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" size="sm" onClick={handleImport} disabled={selectedCount === 0}>
+          Import {selectedCount} Server{selectedCount === 1 ? '' : 's'}
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={resetPreview}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default McpConfigImporter;
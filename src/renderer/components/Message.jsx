@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import ToolCall from './ToolCall';
 import MarkdownRenderer from './MarkdownRenderer';
 
-function Message({ message, children, onToolCallExecute, allMessages, isLastMessage }) {
+function Message({ message, children, onToolCallExecute, toolStatuses = {}, allMessages, isLastMessage }) {
   const { role, tool_calls, reasoning, isStreaming, executed_tools, liveReasoning, liveExecutedTools } = message;
   const [showReasoning, setShowReasoning] = useState(false);
   const [showExecutedTools, setShowExecutedTools] = useState(false);
@@ -253,6 +253,7 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
             key={toolCall.id || index} 
             toolCall={toolCall} 
             toolResult={findToolResult(toolCall.id)}
+            status={toolStatuses[toolCall.id]}
           />
         ))}
       </div>
@@ -1,9 +1,114 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight, ChevronDown, Pencil, Columns2, Shrink, AtSign } from 'lucide-react';
 import Message from './Message';
 import MarkdownRenderer from './MarkdownRenderer';
+import RegeneratePicker from './RegeneratePicker';
+import ResponseComparisonModal from './ResponseComparisonModal';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { getBranchInfo, getBranchResponses } from '../lib/conversationBranches';
 
-function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage }) {
+// The typed text leads a user message's parts; attached files and @-mentioned resources follow it
+const hasTypedText = (content) => content[0]?.type === 'text' && !content[0].resource;
+
+const getEditableText = (content) => Array.isArray(content)
+  ? (hasTypedText(content) ? content[0].text || '' : '')
+  : (content || '');
+
+// Swap in the edited text while keeping the attachments as they are
+const replaceMessageText = (content, text) => {
+  if (!Array.isArray(content)) return text;
+  return [{ type: 'text', text }, ...content.slice(hasTypedText(content) ? 1 : 0)];
+};
+
+// Tool results are rendered inside the assistant message that made the call
+const findDisplayedMessageIndex = (messages, index) => {
+  const message = messages[index];
+  if (message?.role !== 'tool') return index;
+  for (let i = index - 1; i >= 0; i--) {
+    if (messages[i].role === 'assistant' && messages[i].tool_calls?.some(tc => tc.id === message.tool_call_id)) {
+      return i;
+    }
+  }
+  return index;
+};
+
+// The final assistant message of a turn is the one followed by a user message (or nothing)
+const isTurnEnd = (messages, index) => {
+  for (let i = index + 1; i < messages.length; i++) {
+    if (messages[i].role === 'user') return true;
+    if (messages[i].role === 'assistant') return false;
+  }
+  return true;
+};
+
+// Divider standing in for messages that were summarized to fit the context window
+const CompactionMarker = ({ message }) => {
+  const [showSummary, setShowSummary] = useState(false);
+  return (
+    <div className="my-3 text-xs text-gray-500">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 border-t border-dashed border-gray-300" />
+        <button type="button" className="flex items-center gap-1 hover:text-gray-700" onClick={() => setShowSummary(show => !show)}>
+          <Shrink className="h-3 w-3" />
+          Context compacted · {message.compaction.messageCount} earlier messages summarized
+          <ChevronDown className={`h-3 w-3 transition-transform ${showSummary ? 'rotate-180' : ''}`} />
+        </button>
+        <div className="flex-1 border-t border-dashed border-gray-300" />
+      </div>
+      {showSummary && (
+        <div className="mt-2 p-3 rounded-md bg-gray-50 text-sm text-gray-800">
+          <MarkdownRenderer content={message.content || ''} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Edit button, prev/next switcher and compare button for sibling branches, shown under a user message
+const BranchControls = ({ branchInfo, onPrevious, onNext, onEdit, onCompare, disabled }) => {
+  if (!branchInfo && !onEdit) return null;
+  return (
+    <div className="flex items-center justify-end gap-1 text-xs text-gray-600" onClick={(e) => e.stopPropagation()}>
+      {branchInfo && (
+        <>
+          <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onPrevious} disabled={disabled || branchInfo.index === 0} title="Previous branch">
+            <ChevronLeft className="h-3 w-3" />
+          </Button>
+          <span>{branchInfo.index + 1}/{branchInfo.count}</span>
+          <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onNext} disabled={disabled || branchInfo.index === branchInfo.count - 1} title="Next branch">
+            <ChevronRight className="h-3 w-3" />
+          </Button>
+          <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onCompare} title="Compare responses side by side">
+            <Columns2 className="h-3 w-3" />
+          </Button>
+        </>
+      )}
+      {onEdit && (
+        <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onEdit} disabled={disabled} title="Edit and resend">
+          <Pencil className="h-3 w-3" />
+        </Button>
+      )}
+    </div>
+  );
+};
+
+function MessageList({ messages = [], onToolCallExecute, toolStatuses = {}, onRemoveLastMessage, highlightedMessageIndex = null, onEditMessage, onSwitchBranch, onRegenerate, regenerateOptions = {}, editingDisabled = false }) {
   const [fullScreenImage, setFullScreenImage] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editText, setEditText] = useState('');
+  // Index of the branch point whose responses are being compared
+  const [comparingIndex, setComparingIndex] = useState(null);
+  const listRef = useRef(null);
+  const highlightedIndex = highlightedMessageIndex === null ? null : findDisplayedMessageIndex(messages, highlightedMessageIndex);
+  const providerNames = Object.fromEntries((regenerateOptions.providers || []).map(p => [p.id, p.name]));
+
+  // Bring a message opened from search into view
+  useEffect(() => {
+    if (highlightedIndex === null) return;
+    const element = listRef.current?.querySelector(`[data-message-index="${highlightedIndex}"]`);
+    element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlightedIndex, messages]);
 
   // Effect to handle Escape key for closing fullscreen image
   useEffect(() => {
@@ -24,6 +129,17 @@ function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage })
     };
   }, [fullScreenImage]); // Dependency array includes fullScreenImage
 
+  const startEditing = (messageIndex) => {
+    setEditingIndex(messageIndex);
+    setEditText(getEditableText(messages[messageIndex].content));
+  };
+
+  const submitEdit = () => {
+    if (!editText.trim()) return;
+    onEditMessage(editingIndex, replaceMessageText(messages[editingIndex].content, editText));
+    setEditingIndex(null);
+  };
+
   if (messages.length === 0) {
     return (
       <div className="flex flex-col items-center justify-center h-full text-gray-500">
@@ -36,25 +152,68 @@ function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage })
 
   // We still filter tool messages here because the `Message` component handles displaying
   // assistant messages and their corresponding tool calls/results.
-  const displayMessages = messages.filter(message => message.role !== 'tool');
+  // Keep each message's index in `messages` so search hits can point at it
+  const displayMessages = messages
+    .map((message, messageIndex) => ({ message, messageIndex }))
+    .filter(({ message }) => message.role !== 'tool');
 
   return (
-    <div className="space-y-2 pt-4 p-4">
-      {displayMessages.map((message, index) => (
+    <div ref={listRef} className="space-y-2 pt-4 p-4">
+      {displayMessages.map(({ message, messageIndex }, index) => (
+        <div
+          key={index}
+          data-message-index={messageIndex}
+          className={highlightedIndex === messageIndex ? "rounded-lg ring-2 ring-yellow-400/70 transition-shadow" : undefined}
+        >
+        {message.compaction ? (
+          <CompactionMarker message={message} />
+        ) : (
         <Message 
-          key={index} 
           message={message} 
           onToolCallExecute={onToolCallExecute}
+          toolStatuses={toolStatuses}
           allMessages={messages} // Pass all messages for the Message component to find tool results
           isLastMessage={index === displayMessages.length - 1}
         >
-          {message.role === 'user' ? (
+          {message.role === 'user' && editingIndex === messageIndex ? (
+            <div className="flex flex-col gap-2 min-w-[20rem]" onClick={(e) => e.stopPropagation()}>
+              <Textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    submitEdit();
+                  } else if (e.key === 'Escape') {
+                    setEditingIndex(null);
+                  }
+                }}
+                className="bg-white text-black"
+                autoFocus
+              />
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" size="sm" onClick={() => setEditingIndex(null)}>Cancel</Button>
+                <Button size="sm" onClick={submitEdit} disabled={!editText.trim() || editingDisabled}>Save & Submit</Button>
+              </div>
+            </div>
+          ) : message.role === 'user' ? (
             <div className="flex items-start gap-2">
               <div className="flex-1 flex flex-col gap-2"> {/* Use flex-col for text/images */}
                 {/* Check if content is an array (structured) or string (simple text) */}
                 {Array.isArray(message.content) ? (
                   message.content.map((part, partIndex) => {
-                    if (part.type === 'text') {
+                    if (part.type === 'text' && part.resource) {
+                      // Resource attached with an @-mention: collapsed to its name
+                      return (
+                        <details key={`resource-${partIndex}`} className="rounded-md border border-white/30 px-2 py-1 text-sm">
+                          <summary className="cursor-pointer flex items-center gap-1" title={part.resource.uri}>
+                            <AtSign className="w-3 h-3" />
+                            {part.resource.name}
+                          </summary>
+                          <div className="whitespace-pre-wrap mt-1 max-h-64 overflow-y-auto">{part.text}</div>
+                        </details>
+                      );
+                    } else if (part.type === 'text') {
                       // Render text part as plain text
                       return <div key={`text-${partIndex}`} className="whitespace-pre-wrap">{part.text || ''}</div>;
                     } else if (part.type === 'image_url' && part.image_url?.url) {
@@ -75,14 +234,52 @@ function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage })
                   // If content is just a string, render it directly as plain text
                   <div className="whitespace-pre-wrap">{message.content || ''}</div>
                 )}
+                <BranchControls
+                  branchInfo={onSwitchBranch ? getBranchInfo(message) : null}
+                  onPrevious={() => onSwitchBranch(messageIndex, message.branchIndex - 1)}
+                  onNext={() => onSwitchBranch(messageIndex, message.branchIndex + 1)}
+                  onEdit={onEditMessage ? () => startEditing(messageIndex) : null}
+                  onCompare={() => setComparingIndex(messageIndex)}
+                  disabled={editingDisabled}
+                />
               </div>
             </div>
           ) : message.role === 'assistant' ? (
-            <MarkdownRenderer content={message.content || ''} />
+            <>
+              <MarkdownRenderer content={message.content || ''} />
+              {!message.isStreaming && isTurnEnd(messages, messageIndex) && (message.model || onRegenerate) && (
+                <div className="flex items-center gap-1 mt-2 text-xs text-gray-500">
+                  {onRegenerate && (
+                    <RegeneratePicker
+                      {...regenerateOptions}
+                      onRegenerate={(choice) => onRegenerate(messageIndex, choice)}
+                      disabled={editingDisabled}
+                    />
+                  )}
+                  {message.model && (
+                    <span>{message.model}{message.provider ? ` · ${providerNames[message.provider] || message.provider}` : ''}</span>
+                  )}
+                </div>
+              )}
+            </>
           ) : null}
         </Message>
+        )}
+        </div>
       ))}
 
+      {comparingIndex !== null && getBranchInfo(messages[comparingIndex]) && (
+        <ResponseComparisonModal
+          responses={getBranchResponses(messages, comparingIndex)}
+          providers={regenerateOptions.providers}
+          onSelect={(branchIndex) => {
+            onSwitchBranch(comparingIndex, branchIndex);
+            setComparingIndex(null);
+          }}
+          onClose={() => setComparingIndex(null)}
+        />
+      )}
+
       {/* Fullscreen Image Overlay */}
       {fullScreenImage && (
         <div 
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import CompletionInput from './CompletionInput';
+
+/**
+ * Inline argument entry for a prompt run as a slash command. Values are suggested by the server
+ * where it supports completions; the command runs once the required arguments are filled in.
+ */
+function PromptArgumentsForm({ prompt, onRun, onCancel, running = false, error = null }) {
+  const [values, setValues] = useState({});
+
+  useEffect(() => {
+    setValues({});
+  }, [prompt.name, prompt.serverId]);
+
+  const fetchSuggestions = async (argumentName, value) => {
+    const otherValues = Object.fromEntries(
+      Object.entries(values).filter(([name, otherValue]) => name !== argumentName && otherValue)
+    );
+    const result = await window.electron.completeMcpArgument(
+      prompt.serverId,
+      { type: 'ref/prompt', name: prompt.name },
+      { name: argumentName, value: value || '' },
+      otherValues
+    );
+    return result?.values || [];
+  };
+
+  const missingRequired = prompt.arguments.some(arg => arg.required && !values[arg.name]?.trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (missingRequired || running) return;
+    // Leave out arguments that were not filled in
+    onRun(prompt, Object.fromEntries(Object.entries(values).filter(([, value]) => value)));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <div className="text-sm font-medium font-mono">/{prompt.serverId}:{prompt.name}</div>
+        {prompt.description && (
+          <p className="text-xs text-muted-foreground">{prompt.description}</p>
+        )}
+      </div>
+
+      {prompt.arguments.map((arg, index) => (
+        <div key={arg.name} className="space-y-1">
+          <Label htmlFor={`prompt-arg-${arg.name}`} className="text-xs">
+            {arg.name}
+            {arg.required && <span className="text-red-500 ml-1">*</span>}
+            {arg.description && <span className="text-muted-foreground font-normal ml-2">{arg.description}</span>}
+          </Label>
+          <CompletionInput
+            id={`prompt-arg-${arg.name}`}
+            value={values[arg.name] || ''}
+            onChange={(value) => setValues(prev => ({ ...prev, [arg.name]: value }))}
+            fetchSuggestions={(value) => fetchSuggestions(arg.name, value)}
+            autoFocus={index === 0}
+          />
+        </div>
+      ))}
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" size="sm" disabled={missingRequired || running}>
+          {running ? 'Running...' : 'Run'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export default PromptArgumentsForm;
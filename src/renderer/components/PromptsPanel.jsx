@@ -5,6 +5,7 @@ import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Badge } from './ui/badge';
 import { Label } from './ui/label';
 import { Textarea } from './ui/textarea';
+import CompletionInput from './CompletionInput';
 import { ChevronRight, ChevronDown, Search, MessageSquare, Play, X, Star, StarOff } from 'lucide-react';
 
 const PromptsPanel = ({ isOpen = true, onInsertPrompt }) => {
@@ -61,6 +62,20 @@ const PromptsPanel = ({ isOpen = true, onInsertPrompt }) => {
     }
   };
 
+  // Values the server suggests for an argument, given what has been typed and the other arguments
+  const fetchArgumentSuggestions = async (argumentName, value) => {
+    const otherArguments = Object.fromEntries(
+      Object.entries(promptArguments).filter(([name, otherValue]) => name !== argumentName && otherValue)
+    );
+    const result = await window.electron?.completeMcpArgument?.(
+      selectedPrompt.serverId,
+      { type: 'ref/prompt', name: selectedPrompt.name },
+      { name: argumentName, value: value || '' },
+      otherArguments
+    );
+    return result?.values || [];
+  };
+
   const toggleServer = (serverId) => {
     setExpandedServers(prev => ({
       ...prev,
@@ -87,8 +102,8 @@ const PromptsPanel = ({ isOpen = true, onInsertPrompt }) => {
     setPromptArguments({});
     setPromptResult(null);
     
-    // If prompt has required arguments, show the dialog
-    if (prompt.arguments?.some(arg => arg.required)) {
+    // If prompt has arguments, show the dialog so optional ones can be filled in too
+    if (prompt.arguments?.length > 0) {
       setShowArgumentDialog(true);
     }
   };
@@ -366,14 +381,15 @@ const PromptsPanel = ({ isOpen = true, onInsertPrompt }) => {
                       {arg.description && (
                         <p className="text-xs text-gray-500 mb-1">{arg.description}</p>
                       )}
-                      <Input
+                      <CompletionInput
                         id={arg.name}
                         type="text"
                         value={promptArguments[arg.name] || ''}
-                        onChange={(e) => setPromptArguments(prev => ({
+                        onChange={(value) => setPromptArguments(prev => ({
                           ...prev,
-                          [arg.name]: e.target.value
+                          [arg.name]: value
                         }))}
+                        fetchSuggestions={(value) => fetchArgumentSuggestions(arg.name, value)}
                         placeholder={`Enter ${arg.name}...`}
                       />
                     </div>
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+
+/**
+ * Regenerate button with a provider/model picker, shown under the final assistant message of a turn.
+ * Defaults to the provider and model currently selected for the chat.
+ */
+function RegeneratePicker({ providers = [], defaultProvider, defaultModel, currentModels = [], onRegenerate, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [provider, setProvider] = useState(defaultProvider);
+  const [model, setModel] = useState(defaultModel);
+  const [models, setModels] = useState([]);
+  const [loadingModels, setLoadingModels] = useState(false);
+
+  // Reset to the chat's selection each time the picker opens
+  useEffect(() => {
+    if (isOpen) {
+      setProvider(defaultProvider);
+      setModel(defaultModel);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !provider) return;
+
+    let cancelled = false;
+    const loadModels = async () => {
+      setLoadingModels(true);
+      try {
+        const providerModels = await window.electron.listProviderModels(provider);
+        let modelIds = (providerModels || []).map(m => m.id);
+        // The chat's own model list also covers configured models a server does not report
+        if (modelIds.length === 0 && provider === defaultProvider) {
+          modelIds = currentModels;
+        }
+        if (cancelled) return;
+        setModels(modelIds);
+        setModel(current => (modelIds.includes(current) ? current : modelIds[0] || ''));
+      } catch (error) {
+        console.error('Error loading models for regenerate:', error);
+        if (!cancelled) setModels([]);
+      } finally {
+        if (!cancelled) setLoadingModels(false);
+      }
+    };
+
+    loadModels();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, provider]);
+
+  const handleRegenerate = () => {
+    if (!model) return;
+    setIsOpen(false);
+    onRegenerate({ provider, model });
+  };
+
+  return (
+    <div className="relative" onClick={(e) => e.stopPropagation()}>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-6 w-6"
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        title="Regenerate with a model of your choice"
+      >
+        <RefreshCw className="h-3 w-3" />
+      </Button>
+      {isOpen && (
+        <div className="absolute left-0 bottom-full mb-1 w-72 rounded-md border bg-background shadow-lg z-40 p-3 space-y-2">
+          <div className="text-xs font-semibold text-muted-foreground">Regenerate response</div>
+          <Select value={provider} onValueChange={setProvider}>
+            <SelectTrigger className="h-8 text-sm">
+              <SelectValue placeholder="Provider" />
+            </SelectTrigger>
+            <SelectContent>
+              {providers.map(p => (
+                <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={model} onValueChange={setModel} disabled={loadingModels || models.length === 0}>
+            <SelectTrigger className="h-8 text-sm">
+              <SelectValue placeholder={loadingModels ? 'Loading models...' : 'No models available'} />
+            </SelectTrigger>
+            <SelectContent>
+              {models.map(m => (
+                <SelectItem key={m} value={m}>{m}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={() => setIsOpen(false)}>Cancel</Button>
+            <Button size="sm" onClick={handleRegenerate} disabled={!model || loadingModels || disabled}>Regenerate</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RegeneratePicker;
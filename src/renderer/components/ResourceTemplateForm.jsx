@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import CompletionInput from './CompletionInput';
+
+/**
+ * Form for the variables of a resource template. Values are suggested by the server where it
+ * supports completions; submitting reads the expanded URI.
+ */
+function ResourceTemplateForm({ template, onRead, reading = false, error = null }) {
+  const [values, setValues] = useState({});
+
+  // Start empty for each template that is opened
+  useEffect(() => {
+    setValues({});
+  }, [template.uriTemplate, template.serverId]);
+
+  const fetchSuggestions = async (variable, value) => {
+    const otherValues = Object.fromEntries(
+      Object.entries(values).filter(([name, otherValue]) => name !== variable && otherValue)
+    );
+    const result = await window.electron.completeMcpArgument(
+      template.serverId,
+      { type: 'ref/resource', uri: template.uriTemplate },
+      { name: variable, value: value || '' },
+      otherValues
+    );
+    return result?.values || [];
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRead(template, values);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+      <div>
+        <h3 className="text-lg font-semibold">{template.name}</h3>
+        <p className="text-sm text-gray-500 font-mono">{template.uriTemplate}</p>
+        {template.description && template.description !== 'No description' && (
+          <p className="text-sm text-gray-500 mt-1">{template.description}</p>
+        )}
+        <Badge variant="outline" className="mt-1">Template</Badge>
+      </div>
+
+      {template.variables.map(variable => (
+        <div key={variable} className="space-y-1">
+          <Label htmlFor={`template-var-${variable}`} className="font-mono">{variable}</Label>
+          <CompletionInput
+            id={`template-var-${variable}`}
+            value={values[variable] || ''}
+            onChange={(value) => setValues(prev => ({ ...prev, [variable]: value }))}
+            fetchSuggestions={(value) => fetchSuggestions(variable, value)}
+          />
+        </div>
+      ))}
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      <Button type="submit" size="sm" disabled={reading}>
+        {reading ? 'Reading...' : 'Read Resource'}
+      </Button>
+    </form>
+  );
+}
+
+export default ResourceTemplateForm;
@@ -1,18 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Badge } from './ui/badge';
-import { ChevronRight, ChevronDown, RefreshCw, Search, FileText, Image, Database, Globe } from 'lucide-react';
+import { ChevronRight, ChevronDown, RefreshCw, Search, FileText, Image, Database, Globe, Radio, Braces } from 'lucide-react';
+import ResourceTemplateForm from './ResourceTemplateForm';
 
 const ResourcesPanel = ({ isOpen = true }) => {
   const [resources, setResources] = useState([]);
+  const [resourceTemplates, setResourceTemplates] = useState([]);
   const [expandedServers, setExpandedServers] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedResource, setSelectedResource] = useState(null);
+  // Template whose variables are being filled in; reading it opens the expanded URI as selectedResource
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [templateError, setTemplateError] = useState(null);
   const [resourceContent, setResourceContent] = useState(null);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  // Whether the open resource is subscribed to, and when the server last reported a change
+  const [isLive, setIsLive] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const selectedResourceRef = useRef(null);
 
   // Fetch resources on mount and when MCP status changes
   useEffect(() => {
@@ -23,6 +32,46 @@ const ResourcesPanel = ({ isOpen = true }) => {
       if (status.resources) {
         setResources(status.resources);
       }
+      if (status.resourceTemplates) {
+        setResourceTemplates(status.resourceTemplates);
+      }
+    });
+
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, []);
+
+  // Subscribe to the open resource so server-side changes show up without refreshing
+  useEffect(() => {
+    selectedResourceRef.current = selectedResource;
+    setIsLive(false);
+    setLastUpdated(null);
+    if (!selectedResource) return;
+
+    const { uri, serverId } = selectedResource;
+    let active = true;
+    window.electron?.subscribeMcpResource?.(uri, serverId).then(result => {
+      if (active) setIsLive(Boolean(result?.success));
+    }).catch(error => {
+      console.error('Failed to subscribe to resource:', error);
+    });
+
+    return () => {
+      active = false;
+      window.electron?.unsubscribeMcpResource?.(uri, serverId).catch(error => {
+        console.error('Failed to unsubscribe from resource:', error);
+      });
+    };
+  }, [selectedResource]);
+
+  useEffect(() => {
+    const unsubscribe = window.electron?.onMcpResourceUpdated?.(({ serverId, uri }) => {
+      const current = selectedResourceRef.current;
+      if (current && current.serverId === serverId && current.uri === uri) {
+        setLastUpdated(new Date());
+        loadResourceContent(current);
+      }
     });
 
     return () => {
@@ -35,9 +84,10 @@ const ResourcesPanel = ({ isOpen = true }) => {
       const result = await window.electron?.getMcpResources?.();
       if (result?.resources) {
         setResources(result.resources);
+        setResourceTemplates(result.resourceTemplates || []);
         // Auto-expand servers with resources
         const serversWithResources = {};
-        result.resources.forEach(resource => {
+        [...result.resources, ...(result.resourceTemplates || [])].forEach(resource => {
           if (resource.serverId) {
             serversWithResources[resource.serverId] = true;
           }
@@ -66,13 +116,11 @@ const ResourcesPanel = ({ isOpen = true }) => {
     }
   };
 
-  const readResource = async (resource) => {
-    setLoading(true);
-    setSelectedResource(resource);
-    setResourceContent(null);
-    
+  const loadResourceContent = async (resource) => {
     try {
       const result = await window.electron?.readMcpResource?.(resource.uri, resource.serverId);
+      // Another resource may have been opened in the meantime
+      if (selectedResourceRef.current !== resource) return;
       if (result?.error) {
         setResourceContent({ error: result.error });
       } else {
@@ -81,6 +129,48 @@ const ResourcesPanel = ({ isOpen = true }) => {
     } catch (error) {
       console.error('Failed to read resource:', error);
       setResourceContent({ error: error.message });
+    }
+  };
+
+  const readResource = async (resource) => {
+    setLoading(true);
+    setSelectedTemplate(null);
+    selectedResourceRef.current = resource;
+    setSelectedResource(resource);
+    setResourceContent(null);
+    
+    try {
+      await loadResourceContent(resource);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openTemplate = (template) => {
+    setSelectedTemplate(template);
+    setTemplateError(null);
+    selectedResourceRef.current = null;
+    setSelectedResource(null);
+    setResourceContent(null);
+  };
+
+  const readTemplate = async (template, variables) => {
+    setLoading(true);
+    setTemplateError(null);
+    try {
+      const result = await window.electron?.readMcpResourceTemplate?.(template.uriTemplate, variables, template.serverId);
+      if (result?.error) {
+        setTemplateError(result.error);
+        return;
+      }
+      // Show the expanded URI like any other resource, so it can be subscribed to as well
+      const resource = { uri: result.uri, name: template.name, mimeType: template.mimeType, serverId: template.serverId };
+      selectedResourceRef.current = resource;
+      setSelectedResource(resource);
+      setResourceContent(result);
+    } catch (error) {
+      console.error('Failed to read resource template:', error);
+      setTemplateError(error.message);
     } finally {
       setLoading(false);
     }
@@ -93,8 +183,12 @@ const ResourcesPanel = ({ isOpen = true }) => {
     }));
   };
 
-  // Group resources by server
-  const resourcesByServer = resources.reduce((acc, resource) => {
+  // Group resources and templates by server; templates are listed by their URI template
+  const listedResources = [
+    ...resources,
+    ...resourceTemplates.map(template => ({ ...template, uri: template.uriTemplate, isTemplate: true }))
+  ];
+  const resourcesByServer = listedResources.reduce((acc, resource) => {
     const serverId = resource.serverId || 'unknown';
     if (!acc[serverId]) {
       acc[serverId] = [];
@@ -121,7 +215,8 @@ const ResourcesPanel = ({ isOpen = true }) => {
   }, {});
 
   // Get icon for resource based on mime type
-  const getResourceIcon = (mimeType) => {
+  const getResourceIcon = (mimeType, isTemplate) => {
+    if (isTemplate) return <Braces className="w-4 h-4" />;
     if (!mimeType) return <FileText className="w-4 h-4" />;
     
     if (mimeType.startsWith('image/')) return <Image className="w-4 h-4" />;
@@ -195,14 +290,16 @@ const ResourcesPanel = ({ isOpen = true }) => {
                           <div
                             key={`${resource.uri}-${idx}`}
                             className={`px-3 py-2 hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer ${
-                              selectedResource?.uri === resource.uri && selectedResource?.serverId === resource.serverId
+                              (resource.isTemplate
+                                ? selectedTemplate?.uriTemplate === resource.uriTemplate && selectedTemplate?.serverId === resource.serverId
+                                : !selectedTemplate && selectedResource?.uri === resource.uri && selectedResource?.serverId === resource.serverId)
                                 ? 'bg-blue-50 dark:bg-blue-900/20'
                                 : ''
                             }`}
-                            onClick={() => readResource(resource)}
+                            onClick={() => (resource.isTemplate ? openTemplate(resource) : readResource(resource))}
                           >
                             <div className="flex items-start gap-2">
-                              {getResourceIcon(resource.mimeType)}
+                              {getResourceIcon(resource.mimeType, resource.isTemplate)}
                               <div className="flex-1 min-w-0">
                                 <div className="font-medium text-sm truncate">
                                   {resource.name}
@@ -231,16 +328,37 @@ const ResourcesPanel = ({ isOpen = true }) => {
 
       {/* Resource Content Viewer */}
       <div className="flex-1 overflow-y-auto">
+        {selectedTemplate && (
+          <div className="p-4 pb-0">
+            <ResourceTemplateForm
+              template={selectedTemplate}
+              onRead={readTemplate}
+              reading={loading}
+              error={templateError}
+            />
+          </div>
+        )}
         {selectedResource ? (
           <div className="p-4">
             <div className="mb-4">
               <h3 className="text-lg font-semibold">{selectedResource.name}</h3>
               <p className="text-sm text-gray-500">{selectedResource.uri}</p>
-              {selectedResource.mimeType && (
-                <Badge variant="outline" className="mt-1">
-                  {selectedResource.mimeType}
-                </Badge>
-              )}
+              <div className="flex items-center gap-2 mt-1">
+                {selectedResource.mimeType && (
+                  <Badge variant="outline">
+                    {selectedResource.mimeType}
+                  </Badge>
+                )}
+                {isLive && (
+                  <Badge variant="secondary" className="gap-1" title="Subscribed to updates from the server">
+                    <Radio className="w-3 h-3" />
+                    Live
+                  </Badge>
+                )}
+                {lastUpdated && (
+                  <span className="text-xs text-gray-500">Updated {lastUpdated.toLocaleTimeString()}</span>
+                )}
+              </div>
             </div>
 
             {loading ? (
@@ -283,7 +401,7 @@ const ResourcesPanel = ({ isOpen = true }) => {
               </div>
             )}
           </div>
-        ) : (
+        ) : !selectedTemplate && (
           <div className="flex items-center justify-center h-full text-gray-500">
             Select a resource to view its content
           </div>
@@ -0,0 +1,104 @@
+import React from 'react';
+import { X, Wrench } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+
+const getPromptText = (content) => Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text || '').join('\n')
+  : (content || '');
+
+// Model and provider of the turn's answer; older messages were saved without them
+const getResponseSource = (turnMessages, providerNames) => {
+  const answer = [...turnMessages].reverse().find(msg => msg.role === 'assistant' && msg.model);
+  if (!answer) return 'Unknown model';
+  const providerName = providerNames[answer.provider] || answer.provider;
+  return providerName ? `${answer.model} · ${providerName}` : answer.model;
+};
+
+const getToolError = (turnMessages, toolCallId) => {
+  const result = turnMessages.find(msg => msg.role === 'tool' && msg.tool_call_id === toolCallId);
+  if (!result) return null;
+  try {
+    return JSON.parse(result.content)?.error || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Side-by-side view of every response at a branch point, for comparing models on the same prompt.
+ */
+function ResponseComparisonModal({ responses, providers = [], onSelect, onClose }) {
+  const providerNames = Object.fromEntries(providers.map(p => [p.id, p.name]));
+  const activePrompt = getPromptText(responses.find(r => r.isActive)?.prompt);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-background w-full max-w-7xl max-h-[90vh] rounded-lg shadow-xl overflow-hidden flex flex-col border" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold">Compare responses</h2>
+          <Button variant="ghost" size="icon" onClick={onClose} title="Close">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4">
+          <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${responses.length}, minmax(20rem, 1fr))` }}>
+            {responses.map(response => {
+              const promptText = getPromptText(response.prompt);
+              const toolCalls = response.messages.flatMap(msg => msg.tool_calls || []);
+              const answerText = response.messages
+                .filter(msg => msg.role === 'assistant' && msg.content)
+                .map(msg => msg.content)
+                .join('\n\n');
+
+              return (
+                <div key={response.branchIndex} className="flex flex-col rounded-md border min-w-0">
+                  <div className="p-3 border-b space-y-1">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium truncate">{getResponseSource(response.messages, providerNames)}</span>
+                      {response.isActive ? (
+                        <Badge variant="secondary">Current</Badge>
+                      ) : (
+                        <Button size="sm" variant="outline" className="h-7" onClick={() => onSelect(response.branchIndex)}>
+                          Use this
+                        </Button>
+                      )}
+                    </div>
+                    {promptText !== activePrompt && (
+                      <p className="text-xs text-muted-foreground line-clamp-2" title={promptText}>Edited prompt: {promptText}</p>
+                    )}
+                    {toolCalls.length > 0 && (
+                      <div className="flex flex-wrap gap-1 pt-1">
+                        {toolCalls.map(toolCall => (
+                          <span
+                            key={toolCall.id}
+                            className={`inline-flex items-center gap-1 rounded px-1.5 py-0.5 text-xs ${getToolError(response.messages, toolCall.id) ? 'bg-red-100 text-red-800' : 'bg-muted text-muted-foreground'}`}
+                            title={getToolError(response.messages, toolCall.id) || toolCall.function?.arguments}
+                          >
+                            <Wrench className="h-3 w-3" />
+                            {toolCall.function?.name}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div className="p-3 text-sm overflow-y-auto">
+                    {answerText ? (
+                      <MarkdownRenderer content={answerText} />
+                    ) : (
+                      <p className="text-muted-foreground italic">No response</p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResponseComparisonModal;
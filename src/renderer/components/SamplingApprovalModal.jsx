@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+
+// Review, edit and approve a completion an MCP server asked the host to generate
+function SamplingApprovalModal({ request, onRespond }) {
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [model, setModel] = useState('');
+  const [maxTokens, setMaxTokens] = useState('');
+
+  // Start from the server's request each time a new one is shown
+  useEffect(() => {
+    if (!request) return;
+    setSystemPrompt(request.systemPrompt || '');
+    setMessages(request.messages);
+    setModel(request.model || '');
+    setMaxTokens(request.maxTokens ? String(request.maxTokens) : '');
+  }, [request]);
+
+  if (!request) return null;
+
+  const updateMessageText = (index, text) => {
+    setMessages(prev => prev.map((msg, i) => (i === index ? { ...msg, content: text } : msg)));
+  };
+
+  const handleApprove = () => {
+    onRespond(request.id, {
+      action: 'approve',
+      systemPrompt,
+      messages,
+      model,
+      maxTokens: parseInt(maxTokens, 10) || undefined
+    });
+  };
+
+  const handleReject = () => {
+    onRespond(request.id, { action: 'reject' });
+  };
+
+  const hints = (request.modelPreferences?.hints || []).map(hint => hint.name).filter(Boolean);
+  const modelOptions = request.availableModels?.includes(request.model) || !request.model
+    ? request.availableModels || []
+    : [request.model, ...(request.availableModels || [])];
+
+  const baseButtonClass = "w-full sm:w-auto px-4 py-2 rounded focus:outline-none focus:ring-2 focus:ring-opacity-70 transition duration-150 ease-in-out text-sm font-medium text-gray-100";
+  const fieldClass = "w-full bg-gray-900 p-2 rounded text-gray-200 text-sm border border-gray-700 focus:outline-none focus:border-blue-500";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 w-full max-w-2xl rounded-lg shadow-xl overflow-hidden flex flex-col border border-gray-700">
+        <div className="p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-100 flex items-center">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-blue-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            Sampling Request from {request.serverId}
+          </h2>
+          <p className="mt-1 text-xs text-gray-400">
+            This server wants the model to generate a response. Review or edit the request before it is sent.
+          </p>
+        </div>
+
+        <div className="p-5 overflow-y-auto max-h-[60vh] space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Model:</label>
+              <select value={model} onChange={(e) => setModel(e.target.value)} className={fieldClass}>
+                {modelOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              {hints.length > 0 && (
+                <p className="mt-1 text-xs text-gray-500">Server prefers: {hints.join(', ')}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Max Tokens:</label>
+              <input
+                type="number"
+                min="1"
+                value={maxTokens}
+                onChange={(e) => setMaxTokens(e.target.value)}
+                className={fieldClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">System Prompt:</label>
+            <textarea
+              value={systemPrompt}
+              onChange={(e) => setSystemPrompt(e.target.value)}
+              rows={3}
+              placeholder="No system prompt"
+              className={`${fieldClass} font-mono`}
+            />
+          </div>
+
+          {messages.map((msg, index) => (
+            <div key={index}>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">{msg.role}:</label>
+              {typeof msg.content === 'string' ? (
+                <textarea
+                  value={msg.content}
+                  onChange={(e) => updateMessageText(index, e.target.value)}
+                  rows={Math.min(8, Math.max(2, msg.content.split('\n').length))}
+                  className={`${fieldClass} font-mono`}
+                />
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {msg.content.filter(part => part.type === 'image_url').map((part, partIndex) => (
+                    <img key={partIndex} src={part.image_url.url} alt="Sampling input" className="max-h-32 rounded border border-gray-700" />
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-gray-700 bg-gray-700/30 flex flex-wrap gap-3 justify-end">
+          <button
+            onClick={handleApprove}
+            disabled={!model}
+            className={`bg-blue-700 hover:bg-blue-800 focus:ring-blue-500 disabled:opacity-50 ${baseButtonClass}`}
+          >
+            Approve & Generate
+          </button>
+          <button
+            onClick={handleReject}
+            className={`bg-red-700 hover:bg-red-800 focus:ring-red-600 ${baseButtonClass}`}
+          >
+            Reject
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SamplingApprovalModal;
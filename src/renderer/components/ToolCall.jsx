@@ -2,20 +2,116 @@ import React, { useState, useEffect } from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 
-function ToolCall({ toolCall, toolResult }) {
+const TIMEOUT_EXTENSIONS = [
+  { label: '+1 min', seconds: 60 },
+  { label: '+5 min', seconds: 300 }
+];
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+};
+
+// Progress reported by the server and the time left before the call is aborted
+function ToolCallStatus({ toolCallId, status }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!status.deadline) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [status.deadline]);
+
+  const hasProgress = typeof status.progress === 'number';
+  const percent = hasProgress && status.total > 0 ? Math.min(100, (status.progress / status.total) * 100) : null;
+
+  const extendTimeout = (seconds) => {
+    window.electron.extendToolTimeout(toolCallId, seconds).catch(error => {
+      console.error('Error extending tool timeout:', error);
+    });
+  };
+
+  const cancelCall = () => {
+    window.electron.cancelToolCall(toolCallId).catch(error => {
+      console.error('Error cancelling tool call:', error);
+    });
+  };
+
+  const clearTimeoutLimit = () => {
+    window.electron.clearToolTimeout(toolCallId).catch(error => {
+      console.error('Error clearing tool timeout:', error);
+    });
+  };
+
+  return (
+    <div className="mt-2 space-y-1.5">
+      {hasProgress && (
+        <div className="h-1.5 w-full rounded-full bg-gray-700 overflow-hidden">
+          {percent !== null ? (
+            <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${percent}%` }} />
+          ) : (
+            <div className="h-full w-1/3 bg-blue-500 animate-pulse" />
+          )}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-400">
+        <span className="truncate">
+          {status.message || (hasProgress ? (status.total ? `${status.progress} / ${status.total}` : `${status.progress}`) : 'Running...')}
+        </span>
+        <span className="flex items-center gap-2 flex-shrink-0">
+          <span>{status.deadline ? `Times out in ${formatRemaining(status.deadline - now)}` : 'No time limit'}</span>
+          {TIMEOUT_EXTENSIONS.map(({ label, seconds }) => (
+            <button
+              key={seconds}
+              type="button"
+              className="px-1.5 py-0.5 rounded border border-gray-600 hover:bg-gray-700 hover:text-gray-200"
+              onClick={() => extendTimeout(seconds)}
+            >
+              {label}
+            </button>
+          ))}
+          {status.deadline && (
+            <button
+              type="button"
+              className="px-1.5 py-0.5 rounded border border-gray-600 hover:bg-gray-700 hover:text-gray-200"
+              onClick={clearTimeoutLimit}
+            >
+              No limit
+            </button>
+          )}
+          <button
+            type="button"
+            className="px-1.5 py-0.5 rounded border border-red-800 text-red-400 hover:bg-red-900/40"
+            onClick={cancelCall}
+          >
+            Cancel
+          </button>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function ToolCall({ toolCall, toolResult, status }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
 
   useEffect(() => {
     setResult(null);
     setError(null);
+    setCancelled(false);
 
     if (toolResult) {
       try {
         const parsedResult = JSON.parse(toolResult);
         if (parsedResult.error) {
           setError(parsedResult.error);
+          setCancelled(parsedResult.cancelled === true);
         } else {
           setResult(JSON.stringify(parsedResult, null, 2));
         }
@@ -63,6 +159,9 @@ function ToolCall({ toolCall, toolResult }) {
               Tool
             </span>
             <span>{formattedName}</span>
+            {cancelled && (
+              <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-700 text-gray-300">Cancelled</span>
+            )}
             {isPending && !isExpanded && (
               <svg className="animate-spin ml-2 h-4 w-4 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -83,6 +182,8 @@ function ToolCall({ toolCall, toolResult }) {
           </button>
         </div>
 
+        {isPending && status && <ToolCallStatus toolCallId={toolCall.id} status={status} />}
+
         {isExpanded && (
           <div className="mt-3 pt-3 border-t border-gray-600">
             <div className="text-sm font-medium text-gray-400 mb-1">Arguments:</div>
@@ -1,19 +1,31 @@
 import React, { useState, useEffect } from 'react';
 import LogViewerModal from './LogViewerModal';
+import ResourcesPanel from './ResourcesPanel';
+import PromptsPanel from './PromptsPanel';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Badge } from './ui/badge';
 import Switch from './ui/Switch';
 import { cn } from '../lib/utils';
 
-function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer }) {
+const toggleListItem = (list, item) => (list.includes(item) ? list.filter(entry => entry !== item) : [...list, item]);
+const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+
+function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer, onInsertPrompt }) {
   const [expandedTools, setExpandedTools] = useState({});
   const [configuredServers, setConfiguredServers] = useState([]);
   const [serverStatuses, setServerStatuses] = useState({});
+  // Connection state from the main process: connecting, connected, retrying or failed
+  const [connectionStates, setConnectionStates] = useState({});
   const [authRequiredServers, setAuthRequiredServers] = useState({});
   const [viewingLogsForServer, setViewingLogsForServer] = useState(null);
   const [actionInProgress, setActionInProgress] = useState(null);
   const [disabledServers, setDisabledServers] = useState([]);
+  // What the model is offered; separate from approving individual calls
+  const [disabledToolServers, setDisabledToolServers] = useState([]);
+  const [disabledTools, setDisabledTools] = useState([]);
+  const [toolTokens, setToolTokens] = useState({});
+  const [activeTab, setActiveTab] = useState('tools');
 
   useEffect(() => {
     const loadConfiguredServers = async () => {
@@ -41,6 +53,8 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
 
           // Load disabled servers list
           setDisabledServers(settings.disabledMcpServers || []);
+          setDisabledToolServers(settings.disabledToolServers || []);
+          setDisabledTools(settings.disabledTools || []);
 
           // Determine which servers are currently connected
           const statuses = {};
@@ -59,6 +73,29 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     loadConfiguredServers();
   }, [tools]);
 
+  // Estimated cost of each tool's schema in the prompt
+  useEffect(() => {
+    window.electron.countToolTokens?.()
+      .then(result => {
+        if (result?.success) setToolTokens(result.tools);
+      })
+      .catch(error => console.error('Error counting tool tokens:', error));
+  }, [tools]);
+
+  // Keep connection states current while servers are (re)connected in the background
+  useEffect(() => {
+    window.electron.getMcpServerStates?.()
+      .then(result => setConnectionStates(result?.serverStates || {}))
+      .catch(error => console.error('Error loading server connection states:', error));
+
+    const removeListener = window.electron.onMcpServerStatusChanged?.((status) => {
+      if (status?.serverStates) setConnectionStates(status.serverStates);
+    });
+    return () => {
+      if (removeListener) removeListener();
+    };
+  }, []);
+
   // Listener for auth reconnect completion events from main process
   useEffect(() => {
     const removeListener = window.electron.onMcpAuthReconnectComplete?.((data) => {
@@ -161,6 +198,33 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     }
   };
 
+  const renderConnectionBadge = (serverId) => {
+    const connection = connectionStates[serverId];
+    if (connection?.state === 'connecting') {
+      return <Badge variant="outline">Connecting...</Badge>;
+    }
+    if (connection?.state === 'retrying') {
+      const retryAt = connection.nextRetryAt ? new Date(connection.nextRetryAt).toLocaleTimeString() : null;
+      return (
+        <Badge
+          variant="outline"
+          className="border-yellow-400 text-yellow-700 dark:text-yellow-400"
+          title={[connection.error, retryAt && `Next attempt at ${retryAt}`].filter(Boolean).join('\n')}
+        >
+          Retrying ({connection.attempt} of {connection.maxAttempts})
+        </Badge>
+      );
+    }
+    if (connection?.state === 'failed' && serverStatuses[serverId] !== 'connected') {
+      return <Badge variant="destructive" title={connection.error}>Failed</Badge>;
+    }
+    return (
+      <Badge variant={serverStatuses[serverId] === 'connected' ? 'default' : 'secondary'}>
+        {serverStatuses[serverId] === 'connected' ? 'Connected' : 'Disconnected'}
+      </Badge>
+    );
+  };
+
   const handleAuthorizeServer = async (serverId) => {
     const server = configuredServers.find(s => s.id === serverId);
     if (!server || server.transport === 'stdio' || !server.url) { // Only allow for SSE with URL
@@ -214,6 +278,25 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     }
   };
 
+  const saveToolVisibility = async (changes) => {
+    try {
+      const settings = await window.electron.getSettings();
+      const result = await window.electron.saveSettings({ ...settings, ...changes });
+      if (!result.success) {
+        console.error('Failed to save tool visibility:', result.error);
+        return;
+      }
+      if (changes.disabledToolServers) setDisabledToolServers(changes.disabledToolServers);
+      if (changes.disabledTools) setDisabledTools(changes.disabledTools);
+    } catch (error) {
+      console.error('Error saving tool visibility:', error);
+    }
+  };
+
+  const isToolOffered = (tool) => !disabledToolServers.includes(tool.serverId) && !disabledTools.includes(tool.modelName);
+  const sumToolTokens = (toolList) => toolList.reduce((sum, tool) => sum + (toolTokens[tool.modelName || tool.name] || 0), 0);
+  const offeredTools = (tools || []).filter(isToolOffered);
+
   // Group tools by server
   const toolsByServer = (tools || []).reduce((acc, tool) => {
     const serverId = tool.serverId || 'unknown';
@@ -224,6 +307,15 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     return acc;
   }, {});
 
+  // Tool names offered by more than one server; the model tells them apart by their namespaced name
+  const toolNameCollisions = Object.entries((tools || []).reduce((acc, tool) => {
+    acc[tool.name] = [...(acc[tool.name] || []), tool];
+    return acc;
+  }, {})).filter(([, sameNameTools]) => sameNameTools.length > 1);
+  const collidingToolNames = new Set(toolNameCollisions.map(([name]) => name));
+  // Tools whose namespaced name clashed after sanitizing, so a hash was added to keep them apart
+  const suffixedTools = (tools || []).filter(tool => tool.modelNameSuffixed);
+
   // Servers with no tools (disconnected)
   const disconnectedServers = configuredServers
     .filter(server => !toolsByServer[server.id])
@@ -234,10 +326,22 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
       <Card className="w-full max-w-4xl max-h-[85vh] overflow-hidden flex flex-col">
         <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
           <div className="space-y-1">
-            <CardTitle className="text-2xl">Available Tools</CardTitle>
+            <CardTitle className="text-2xl">{{ tools: 'Available Tools', resources: 'Resources', prompts: 'Prompts' }[activeTab]}</CardTitle>
             <CardDescription>
               {tools.length} tools available across {Object.keys(toolsByServer).length} connected servers
             </CardDescription>
+            <div className="flex gap-1 pt-2">
+              {[['tools', 'Tools'], ['resources', 'Resources'], ['prompts', 'Prompts']].map(([tab, label]) => (
+                <Button
+                  key={tab}
+                  variant={activeTab === tab ? 'secondary' : 'ghost'}
+                  size="sm"
+                  onClick={() => setActiveTab(tab)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
           </div>
           <Button 
             variant="ghost" 
@@ -251,6 +355,15 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
           </Button>
         </CardHeader>
         
+        {activeTab === 'resources' ? (
+        <CardContent className="flex-1 overflow-hidden p-0 border-t min-h-[60vh]">
+          <ResourcesPanel />
+        </CardContent>
+        ) : activeTab === 'prompts' ? (
+        <CardContent className="flex-1 overflow-hidden p-0 border-t min-h-[60vh]">
+          <PromptsPanel onInsertPrompt={onInsertPrompt} />
+        </CardContent>
+        ) : (
         <CardContent className="flex-1 overflow-y-auto">
           {/* Show configured servers section */}
           {configuredServers.length > 0 && (
@@ -266,9 +379,7 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
                       <div className="space-y-2">
                         <div className="flex items-center gap-3">
                           <span className="font-medium">{server.id}</span>
-                          <Badge variant={serverStatuses[server.id] === 'connected' ? 'default' : 'secondary'}>
-                            {serverStatuses[server.id] === 'connected' ? 'Connected' : 'Disconnected'}
-                          </Badge>
+                          {renderConnectionBadge(server.id)}
                           <div className="flex items-center gap-2 text-sm">
                             <span className="text-muted-foreground">Auto-start:</span>
                             <Switch
@@ -353,10 +464,43 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
               </p>
             </div>
           )}
-        
+      
           {/* Available tools section */}
           <div className="space-y-4">
-            <h3 className="text-lg font-semibold">Available Tools by Server</h3>
+            <div>
+              <h3 className="text-lg font-semibold">Available Tools by Server</h3>
+              <p className="text-sm text-muted-foreground">
+                {offeredTools.length} of {(tools || []).length} tools offered to the model, about {formatTokens(sumToolTokens(offeredTools))} tokens of tool definitions per request
+              </p>
+            </div>
+            {(toolNameCollisions.length > 0 || suffixedTools.length > 0) && (
+              <Card className="border-yellow-300 bg-yellow-50 dark:border-yellow-800 dark:bg-yellow-900/20">
+                <CardContent className="p-4 space-y-2 text-sm">
+                  <p className="font-medium">Tool name collisions</p>
+                  <ul className="space-y-1">
+                    {toolNameCollisions.map(([name, sameNameTools]) => (
+                      <li key={name}>
+                        <span className="font-mono">{name}</span>
+                        <span className="text-muted-foreground"> is called as </span>
+                        {sameNameTools.map((tool, index) => (
+                          <span key={tool.modelName || tool.serverId}>
+                            {index > 0 && ', '}
+                            <span className="font-mono">{tool.modelName}</span>
+                          </span>
+                        ))}
+                      </li>
+                    ))}
+                    {suffixedTools.map(tool => (
+                      <li key={tool.modelName}>
+                        <span className="font-mono">{tool.name}</span>
+                        <span className="text-muted-foreground"> ({tool.serverId}) has the same name as another tool once sanitized and shortened for the model, so it is called as </span>
+                        <span className="font-mono">{tool.modelName}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </CardContent>
+              </Card>
+            )}
             {Object.keys(toolsByServer).length === 0 ? (
               <Card>
                 <CardContent className="text-center py-8">
@@ -373,41 +517,76 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
                         <Badge variant="outline" className="ml-2">
                           {serverTools.length} tools
                         </Badge>
+                        <span className="ml-2 text-xs font-normal text-muted-foreground">
+                          ~{formatTokens(sumToolTokens(serverTools.filter(isToolOffered)))} tokens
+                        </span>
                       </CardTitle>
-                      {serverId !== 'unknown' && serverStatuses[serverId] === 'connected' && (
-                        <Button
-                          variant="destructive"
-                          size="sm"
-                          onClick={() => handleDisconnect(serverId)}
-                          disabled={actionInProgress === serverId}
-                        >
-                          {actionInProgress === serverId ? 'Disconnecting...' : 'Disconnect'}
-                        </Button>
-                      )}
+                      <div className="flex items-center gap-3">
+                        <div className="flex items-center gap-2 text-sm" title="Offer this server's tools to the model">
+                          <span className="text-muted-foreground">Offer to model:</span>
+                          <Switch
+                            checked={!disabledToolServers.includes(serverId)}
+                            onChange={() => saveToolVisibility({ disabledToolServers: toggleListItem(disabledToolServers, serverId) })}
+                            id={`offer-server-${serverId}`}
+                          />
+                        </div>
+                        {serverId !== 'unknown' && serverStatuses[serverId] === 'connected' && (
+                          <Button
+                            variant="destructive"
+                            size="sm"
+                            onClick={() => handleDisconnect(serverId)}
+                            disabled={actionInProgress === serverId}
+                          >
+                            {actionInProgress === serverId ? 'Disconnecting...' : 'Disconnect'}
+                          </Button>
+                        )}
+                      </div>
                     </CardHeader>
                     
                     <CardContent className="space-y-3 pt-2">
                       {serverTools.map((tool) => (
-                        <Card key={tool.name} className="overflow-hidden">
+                        <Card key={tool.modelName || tool.name} className={cn("overflow-hidden", !isToolOffered(tool) && "opacity-60")}>
                           <div 
                             className="p-4 cursor-pointer hover:bg-accent/50 transition-colors"
-                            onClick={() => toggleToolExpand(tool.name)}
+                            onClick={() => toggleToolExpand(tool.modelName || tool.name)}
                           >
                             <div className="flex justify-between items-start">
                               <div className="space-y-1 flex-1">
-                                <h4 className="font-medium">{tool.name}</h4>
+                                <h4 className="font-medium flex items-center gap-2">
+                                  {tool.name}
+                                  {(collidingToolNames.has(tool.name) || tool.modelNameSuffixed) && (
+                                    <Badge variant="outline" className="border-yellow-400 text-yellow-700 dark:text-yellow-400" title="Another tool has the same name, or the same name once sanitized">
+                                      Name collision
+                                    </Badge>
+                                  )}
+                                </h4>
+                                {tool.modelName && (
+                                  <p className="text-xs font-mono text-muted-foreground">Called by the model as {tool.modelName}</p>
+                                )}
                                 <p className="text-sm text-muted-foreground">
                                   {tool.description?.substring(0, 100)}
                                   {tool.description?.length > 100 ? '...' : ''}
                                 </p>
                               </div>
+                              <div
+                                className="flex items-center gap-2 shrink-0 ml-2 text-xs text-muted-foreground"
+                                onClick={(e) => e.stopPropagation()}
+                                title={disabledToolServers.includes(tool.serverId) ? 'All tools of this server are switched off' : 'Offer this tool to the model'}
+                              >
+                                ~{formatTokens(toolTokens[tool.modelName || tool.name] || 0)} tokens
+                                <Switch
+                                  checked={!disabledTools.includes(tool.modelName)}
+                                  onChange={() => saveToolVisibility({ disabledTools: toggleListItem(disabledTools, tool.modelName) })}
+                                  id={`offer-tool-${tool.modelName}`}
+                                />
+                              </div>
                               <Button variant="ghost" size="sm" className="shrink-0 ml-2">
-                                {expandedTools[tool.name] ? '▼' : '▶'}
+                                {expandedTools[tool.modelName || tool.name] ? '▼' : '▶'}
                               </Button>
                             </div>
                           </div>
                           
-                          {expandedTools[tool.name] && (
+                          {expandedTools[tool.modelName || tool.name] && (
                             <div className="border-t p-4 space-y-4 bg-muted/50">
                               <div>
                                 <h5 className="font-medium text-sm mb-2">Full Description:</h5>
@@ -431,6 +610,7 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
             )}
           </div>
         </CardContent>
+        )}
         
         <div className="flex items-center justify-end gap-2 p-6 pt-0">
           <Button onClick={onClose} className="w-full">
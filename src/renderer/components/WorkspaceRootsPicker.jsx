@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { FolderOpen, FolderPlus, X } from 'lucide-react';
+import { Button } from './ui/button';
+
+const folderName = (folderPath) => folderPath.split(/[\\/]/).filter(Boolean).pop() || folderPath;
+
+/**
+ * Header menu for the workspace folders a conversation exposes to MCP servers as roots.
+ * A conversation uses the roots from settings until it is given its own.
+ */
+function WorkspaceRootsPicker({ roots, defaultRoots = [], onChange, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const isCustom = Array.isArray(roots);
+  const effectiveRoots = isCustom ? roots : defaultRoots;
+
+  const handleAddFolders = async () => {
+    try {
+      const result = await window.electron.selectWorkspaceFolders();
+      if (!result.success) throw new Error(result.error);
+      if (result.canceled) return;
+      const added = result.paths.filter(folderPath => !effectiveRoots.includes(folderPath));
+      onChange([...effectiveRoots, ...added]);
+    } catch (error) {
+      console.error('Error selecting workspace folders:', error);
+    }
+  };
+
+  const handleRemove = (folderPath) => {
+    onChange(effectiveRoots.filter(root => root !== folderPath));
+  };
+
+  return (
+    <div className="relative">
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        className="text-foreground hover:text-foreground"
+        title={effectiveRoots.length > 0 ? effectiveRoots.join('\n') : 'No workspace folders'}
+      >
+        <FolderOpen className="h-4 w-4 mr-2" />
+        {effectiveRoots.length === 1 ? folderName(effectiveRoots[0]) : `${effectiveRoots.length} folders`}
+      </Button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-80 rounded-md border bg-background shadow-lg z-50 p-3 space-y-2">
+          <div className="text-xs font-semibold text-muted-foreground">Workspace roots</div>
+          <p className="text-xs text-muted-foreground">
+            {isCustom ? 'Folders set for this conversation.' : 'Using the workspace folders from Settings.'} Connected MCP servers can scope themselves to these folders.
+          </p>
+          {effectiveRoots.length === 0 ? (
+            <p className="text-sm text-muted-foreground italic">No folders</p>
+          ) : (
+            <ul className="space-y-1 max-h-48 overflow-y-auto">
+              {effectiveRoots.map(folderPath => (
+                <li key={folderPath} className="flex items-center justify-between gap-2 text-sm">
+                  <span className="truncate" title={folderPath}>{folderPath}</span>
+                  <Button variant="ghost" size="icon" className="h-6 w-6 flex-shrink-0" onClick={() => handleRemove(folderPath)} title="Remove folder">
+                    <X className="h-3 w-3" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-between gap-2 pt-1">
+            {isCustom ? (
+              <Button variant="ghost" size="sm" onClick={() => onChange(null)}>Use Settings</Button>
+            ) : <span />}
+            <Button variant="outline" size="sm" onClick={handleAddFolders}>
+              <FolderPlus className="h-4 w-4 mr-2" />
+              Add Folder
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceRootsPicker;
@@ -6,11 +6,19 @@ export const ChatContext = createContext();
 // Create a provider component
 export const ChatProvider = ({ children }) => {
   const [messages, setMessages] = useState([]);
+  // Id of the saved conversation the messages belong to (null until the first save)
+  const [conversationId, setConversationId] = useState(null);
+  // Workspace folders the conversation exposes to MCP servers (null uses the ones from settings)
+  const [workspaceRoots, setWorkspaceRoots] = useState(null);
 
   // Provide the state and setter to children
   const value = {
     messages,
     setMessages,
+    conversationId,
+    setConversationId,
+    workspaceRoots,
+    setWorkspaceRoots,
   };
 
   return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { stripBranchData } from '../lib/conversationBranches';
+
+const COUNT_DEBOUNCE_MS = 400;
+
+// Only what the model will see: no branch alternatives, no originals of compacted messages
+const toRequestMessages = (messages) => stripBranchData(messages)
+  .filter(message => !message.isStreaming || message.content)
+  .map(({ compaction: _compaction, liveReasoning: _liveReasoning, liveExecutedTools: _liveExecutedTools, ...message }) => message);
+
+/**
+ * Estimated context usage of the next request, recounted in the main process while messages change.
+ *
+ * @param {Array<object>} messages - Messages shown in the chat
+ * @param {string} model - Selected model
+ * @param {number} [contextWindow] - Context window of the model, in tokens
+ * @returns {{tokens: number, contextWindow: number, counter: string, tokenizer: boolean, calibrated: boolean, samples: number,
+ *   compaction: {mode: string, threshold: number}}|null}
+ */
+export function useContextUsage(messages, model, contextWindow) {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    if (!model || !contextWindow) {
+      setUsage(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await window.electron.countContextTokens(toRequestMessages(messages), model);
+        if (cancelled || !result.success) return;
+        setUsage({
+          tokens: result.tokens,
+          contextWindow,
+          counter: result.counter,
+          tokenizer: result.tokenizer,
+          calibrated: result.calibrated,
+          samples: result.samples,
+          compaction: result.compaction
+        });
+      } catch (error) {
+        console.error('Error counting context tokens:', error);
+      }
+    }, COUNT_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [messages, model, contextWindow]);
+
+  return usage;
+}
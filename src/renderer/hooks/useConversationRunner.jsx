@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Id of the last run whose result this window has already shown; survives remounts, not reloads
+let lastAppliedRunId = null;
+
+// Replace the assistant message that is still streaming, if any
+const updateStreamingMessage = (messages, update) => {
+  const idx = messages.findIndex(msg => msg.role === 'assistant' && msg.isStreaming);
+  if (idx === -1) return messages;
+  const newMessages = [...messages];
+  newMessages[idx] = update(newMessages[idx]);
+  return newMessages;
+};
+
+const mergeExecutedTool = (liveExecutedTools = [], type, tool) => {
+  const updatedLiveTools = [...liveExecutedTools];
+  const existingIndex = updatedLiveTools.findIndex(t => t.index === tool.index);
+  if (existingIndex === -1) {
+    updatedLiveTools.push(tool);
+  } else if (type === 'complete') {
+    // Replace with complete tool data (including output) from the backend
+    updatedLiveTools[existingIndex] = tool;
+  } else {
+    updatedLiveTools[existingIndex] = { ...updatedLiveTools[existingIndex], ...tool };
+  }
+  return updatedLiveTools;
+};
+
+/**
+ * Subscribes a window to the main-process conversation runner, which drives the
+ * turn -> tool -> turn loop and asks this window for tool approvals.
+ *
+ * @param {Function} setMessages - State setter for the messages shown in the window.
+ * @param {Function} [setConversationId] - Called with the id a re-attached run's conversation is saved under.
+ * @returns {{loading: boolean, pendingApprovalCall: object|null, toolStatuses: object, runConversation: Function, respondToApproval: Function, stop: Function}}
+ */
+export function useConversationRunner(setMessages, setConversationId) {
+  const [loading, setLoading] = useState(false);
+  const [pendingApprovalCall, setPendingApprovalCall] = useState(null);
+  // Progress and deadline of running tool calls, by tool call id
+  const [toolStatuses, setToolStatuses] = useState({});
+  // Run whose events are applied; events of a run this window has replaced are dropped
+  const currentRunIdRef = useRef(null);
+
+  useEffect(() => {
+    const handleEvent = ({ runId, type, data }) => {
+      if (type === 'run-start') {
+        currentRunIdRef.current = runId;
+        return;
+      }
+      if (runId !== currentRunIdRef.current) return;
+
+      switch (type) {
+        case 'turn-start':
+          setMessages(prev => [...prev, { role: 'assistant', content: '', isStreaming: true }]);
+          break;
+        case 'content':
+          setMessages(prev => updateStreamingMessage(prev, msg => ({ ...msg, content: msg.content + data.content })));
+          break;
+        case 'tool-calls':
+          setMessages(prev => updateStreamingMessage(prev, msg => ({ ...msg, tool_calls: data.tool_calls })));
+          break;
+        case 'reasoning':
+          setMessages(prev => updateStreamingMessage(prev, msg => ({ ...msg, liveReasoning: data.accumulated })));
+          break;
+        case 'tool-execution':
+          setMessages(prev => updateStreamingMessage(prev, msg => ({
+            ...msg,
+            liveExecutedTools: mergeExecutedTool(msg.liveExecutedTools, data.type, data.tool)
+          })));
+          break;
+        case 'complete': {
+          const finalAssistantMessage = {
+            role: 'assistant',
+            content: data.content || '',
+            // Tool calls cut off by Stop will never get results
+            tool_calls: data.finish_reason === 'aborted' ? undefined : data.tool_calls,
+            reasoning: data.reasoning,
+            executed_tools: data.executed_tools,
+            model: data.model,
+            provider: data.provider,
+            usage: data.usage
+          };
+          setMessages(prev => updateStreamingMessage(prev, () => finalAssistantMessage));
+          break;
+        }
+        case 'error': {
+          console.error('Conversation error received:', data.error);
+          const errorMsg = { role: 'assistant', content: `Error: ${data.error}`, isStreaming: false };
+          setMessages(prev => {
+            const hasStreaming = prev.some(msg => msg.role === 'assistant' && msg.isStreaming);
+            return hasStreaming ? updateStreamingMessage(prev, () => errorMsg) : [...prev, errorMsg];
+          });
+          break;
+        }
+        case 'tool-status':
+          setToolStatuses(prev => ({ ...prev, [data.toolCallId]: data.status }));
+          break;
+        case 'tool-result':
+          setMessages(prev => [...prev, data.message]);
+          setToolStatuses(prev => {
+            const { [data.message.tool_call_id]: _finished, ...running } = prev;
+            return running;
+          });
+          break;
+        case 'compacted':
+          setMessages(prev => [...prev.slice(0, data.start), data.message, ...prev.slice(data.end)]);
+          break;
+        case 'approval-request':
+          setPendingApprovalCall(data.toolCall);
+          break;
+        case 'end':
+          lastAppliedRunId = runId;
+          setPendingApprovalCall(null);
+          setToolStatuses({});
+          setLoading(false);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const removeListener = window.electron.onConversationEvent(handleEvent);
+
+    // Re-attach to a run that kept going while this window was reloading or on another page
+    window.electron.getConversationState().then((state) => {
+      if (!state.runId) return;
+      if (state.conversationId && (state.status === 'running' || state.runId !== lastAppliedRunId)) {
+        setConversationId?.(state.conversationId);
+      }
+      if (state.status === 'running') {
+        currentRunIdRef.current = state.runId;
+        setMessages(state.streamingMessage ? [...state.messages, state.streamingMessage] : state.messages);
+        setPendingApprovalCall(state.pendingApproval);
+        setToolStatuses(state.toolStatuses || {});
+        setLoading(true);
+      } else if (state.runId !== lastAppliedRunId) {
+        lastAppliedRunId = state.runId;
+        setMessages(state.messages);
+      }
+    }).catch((error) => {
+      console.error('Error restoring conversation state:', error);
+    });
+
+    return removeListener;
+  }, [setMessages, setConversationId]);
+
+  // Start a run; `messages` is the full history including the new user message
+  const runConversation = useCallback((messages, model, options = {}) => {
+    // Ignore whatever the previous run still sends until the runner announces the new one
+    currentRunIdRef.current = null;
+    setLoading(true);
+    window.electron.runConversation(messages, model, options);
+  }, []);
+
+  const respondToApproval = useCallback((choice, toolCall) => {
+    if (!toolCall || !toolCall.id) {
+      console.error('respondToApproval called with invalid toolCall:', toolCall);
+      return;
+    }
+    console.log(`User choice for tool '${toolCall.function.name}': ${choice}`);
+    setPendingApprovalCall(null);
+    window.electron.respondToToolApproval(toolCall.id, choice);
+  }, []);
+
+  // Stop generation; the runner answers unfinished tool calls and ends the run
+  const stop = useCallback(() => {
+    setPendingApprovalCall(null);
+    window.electron.abortChatStream();
+  }, []);
+
+  return { loading, pendingApprovalCall, toolStatuses, runConversation, respondToApproval, stop };
+}
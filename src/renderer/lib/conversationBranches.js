@@ -0,0 +1,137 @@
+// Conversation branches
+//
+// Editing an earlier user message starts a new branch at that message, and regenerating a response
+// starts one at the user message it answers. The user message heading the active branch carries
+// every alternative continuation:
+//   branches:    one entry per branch; each inactive entry is the full tail of messages from the
+//                branch point on, the active entry is null (its tail is the live conversation)
+//   branchIndex: position of the active branch in `branches`
+// Tails can contain further branch points, so branches nest naturally.
+
+const withoutBranchData = (message) => {
+  const { branches: _branches, branchIndex: _branchIndex, ...rest } = message;
+  return rest;
+};
+
+/**
+ * Remove branch bookkeeping before messages are sent to a model.
+ * @param {Array<object>} messages
+ * @returns {Array<object>}
+ */
+export function stripBranchData(messages) {
+  return messages.map(message => (message.branches ? withoutBranchData(message) : message));
+}
+
+/**
+ * Branch position of a message, or null when it has no siblings.
+ * @param {object} message
+ * @returns {{index: number, count: number}|null}
+ */
+export function getBranchInfo(message) {
+  if (!Array.isArray(message?.branches) || message.branches.length < 2) return null;
+  return { index: message.branchIndex, count: message.branches.length };
+}
+
+/**
+ * Replace the user message at `index` with edited content, keeping the old continuation as a
+ * sibling branch. The returned messages end with the edited user message, ready to be resent.
+ * @param {Array<object>} messages - Current conversation
+ * @param {number} index - Index of the user message being edited
+ * @param {string|Array<object>} content - New message content
+ * @returns {Array<object>}
+ */
+export function editUserMessage(messages, index, content) {
+  const head = messages[index];
+  if (head?.role !== 'user') {
+    throw new Error('Only user messages can be edited.');
+  }
+
+  const branches = head.branches ? [...head.branches] : [null];
+  const activeIndex = head.branches ? head.branchIndex : 0;
+  branches[activeIndex] = [withoutBranchData(head), ...messages.slice(index + 1)];
+  branches.push(null);
+
+  return [
+    ...messages.slice(0, index),
+    { role: 'user', content, branches, branchIndex: branches.length - 1 }
+  ];
+}
+
+/**
+ * Make another branch of the branch point at `index` the active one.
+ * @param {Array<object>} messages - Current conversation
+ * @param {number} index - Index of the user message heading the branch point
+ * @param {number} targetIndex - Branch to switch to
+ * @returns {Array<object>}
+ */
+export function switchBranch(messages, index, targetIndex) {
+  const head = messages[index];
+  const info = getBranchInfo(head);
+  if (!info || targetIndex === info.index || targetIndex < 0 || targetIndex >= info.count) {
+    return messages;
+  }
+
+  const branches = [...head.branches];
+  branches[info.index] = [withoutBranchData(head), ...messages.slice(index + 1)];
+  const [targetHead, ...targetTail] = branches[targetIndex];
+  branches[targetIndex] = null;
+
+  return [
+    ...messages.slice(0, index),
+    { ...targetHead, branches, branchIndex: targetIndex },
+    ...targetTail
+  ];
+}
+
+/**
+ * Index of the user message that the message at `index` answers, or -1.
+ * @param {Array<object>} messages
+ * @param {number} index
+ * @returns {number}
+ */
+export function findTurnStart(messages, index) {
+  for (let i = index; i >= 0; i--) {
+    if (messages[i].role === 'user') return i;
+  }
+  return -1;
+}
+
+/**
+ * Branch off the response to the turn containing the assistant message at `index`. The returned
+ * messages end with the unchanged user message, ready to be answered again.
+ * @param {Array<object>} messages - Current conversation
+ * @param {number} index - Index of an assistant message in the turn being regenerated
+ * @returns {Array<object>}
+ */
+export function regenerateResponse(messages, index) {
+  const turnStart = findTurnStart(messages, index);
+  if (turnStart === -1) {
+    throw new Error('There is no user message to regenerate a response for.');
+  }
+  return editUserMessage(messages, turnStart, messages[turnStart].content);
+}
+
+/**
+ * Responses of every branch at the branch point `index`, for side-by-side comparison. Each entry
+ * holds the branch's prompt and the messages of its first turn (assistant and tool messages up to
+ * the next user message).
+ * @param {Array<object>} messages - Current conversation
+ * @param {number} index - Index of the user message heading the branch point
+ * @returns {Array<{branchIndex: number, isActive: boolean, prompt: string|Array<object>, messages: Array<object>}>}
+ */
+export function getBranchResponses(messages, index) {
+  const head = messages[index];
+  if (!getBranchInfo(head)) return [];
+
+  return head.branches.map((branch, branchIndex) => {
+    const isActive = branch === null;
+    const [branchHead, ...tail] = isActive ? [head, ...messages.slice(index + 1)] : branch;
+    const nextUserIndex = tail.findIndex(message => message.role === 'user');
+    return {
+      branchIndex,
+      isActive,
+      prompt: branchHead.content,
+      messages: nextUserIndex === -1 ? tail : tail.slice(0, nextUserIndex)
+    };
+  });
+}
@@ -0,0 +1,295 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownRenderer from '../components/MarkdownRenderer';
+
+// Identifies the lossless JSON format so imports can reject unrelated files
+export const CONVERSATION_EXPORT_FORMAT = 'ollama-turbo-conversation';
+export const CONVERSATION_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  json: { label: 'JSON', extension: 'json' },
+  html: { label: 'HTML', extension: 'html' }
+};
+
+// --- Shared helpers ---
+
+const getTextContent = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text || '').join('\n');
+  }
+  return '';
+};
+
+const getImageUrls = (content) => Array.isArray(content)
+  ? content.filter(part => part.type === 'image_url' && part.image_url?.url).map(part => part.image_url.url)
+  : [];
+
+const findToolResult = (messages, toolCallId) =>
+  messages.find(msg => msg.role === 'tool' && msg.tool_call_id === toolCallId)?.content ?? null;
+
+// Pretty-print JSON strings the way ToolCall.jsx does, and split out `{ error }` results
+const formatToolResult = (toolResult) => {
+  if (toolResult === null) return { pending: true };
+  try {
+    const parsedResult = JSON.parse(toolResult);
+    if (parsedResult?.error) return { error: String(parsedResult.error) };
+    return { result: JSON.stringify(parsedResult, null, 2) };
+  } catch (e) {
+    return { result: toolResult };
+  }
+};
+
+const formatArguments = (args) => {
+  if (typeof args !== 'string') return JSON.stringify(args ?? {}, null, 2);
+  try {
+    return JSON.stringify(JSON.parse(args || '{}'), null, 2);
+  } catch (e) {
+    return args;
+  }
+};
+
+// Built-in tool code is stored as `{"code": "..."}`; show the code itself like Message.jsx
+const formatExecutedToolCode = (args) => {
+  if (typeof args !== 'string') return JSON.stringify(args, null, 2);
+  if (!args.startsWith('{')) return args;
+  try {
+    return JSON.parse(args).code || args;
+  } catch (e) {
+    return args;
+  }
+};
+
+// Fence that is longer than any backtick run inside the text
+const fence = (text, language = '') => {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longestRun + 1);
+  return `${ticks}${language}\n${text}\n${ticks}`;
+};
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant', system: 'System' };
+
+const buildFileName = (conversation, format) => {
+  const slug = (conversation.title || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'conversation';
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// --- Markdown ---
+
+const appendMessagesMarkdown = (lines, messages) => {
+  for (const message of messages) {
+    if (message.role === 'tool') continue; // Rendered under the assistant message that made the call
+
+    // Summaries that replaced older messages carry the originals, exported collapsed below them
+    if (message.compaction) {
+      lines.push('## Context compacted', '', getTextContent(message.content), '');
+      lines.push('<details>', `<summary>${message.compaction.messageCount} original messages</summary>`, '');
+      appendMessagesMarkdown(lines, message.compaction.messages || []);
+      lines.push('</details>', '');
+      continue;
+    }
+
+    lines.push(`## ${ROLE_LABELS[message.role] || message.role}`, '');
+
+    if (message.reasoning) {
+      lines.push('<details>', '<summary>Reasoning</summary>', '', message.reasoning, '', '</details>', '');
+    }
+
+    if (message.executed_tools?.length > 0) {
+      lines.push('<details>', `<summary>Built in tool calling [${message.executed_tools.length}]</summary>`, '');
+      for (const tool of message.executed_tools) {
+        lines.push(`**${tool.type || 'Tool'}**${tool.name ? ` (${tool.name})` : ''}`, '');
+        if (tool.arguments) lines.push(fence(formatExecutedToolCode(tool.arguments)), '');
+        if (tool.output) lines.push('Output:', '', fence(tool.output), '');
+      }
+      lines.push('</details>', '');
+    }
+
+    const text = getTextContent(message.content);
+    if (text) lines.push(text, '');
+    const imageCount = getImageUrls(message.content).length;
+    if (imageCount > 0) lines.push(`_${imageCount} image(s) attached_`, '');
+
+    for (const toolCall of message.tool_calls || []) {
+      lines.push(`### Tool call: \`${toolCall.function?.name}\``, '', fence(formatArguments(toolCall.function?.arguments), 'json'), '');
+      const { pending, error, result } = formatToolResult(findToolResult(messages, toolCall.id));
+      if (pending) {
+        lines.push('_No result_', '');
+      } else if (error) {
+        lines.push(`**Error:** ${error}`, '');
+      } else {
+        lines.push('**Result:**', '', fence(result), '');
+      }
+    }
+  }
+};
+
+export function toMarkdown(conversation) {
+  const { title, model, provider, messages = [] } = conversation;
+  const lines = [`# ${title || 'Conversation'}`, ''];
+  const meta = [model && `Model: ${model}`, provider && `Provider: ${provider}`, `Exported: ${new Date().toLocaleString()}`].filter(Boolean);
+  lines.push(`_${meta.join(' · ')}_`, '');
+
+  appendMessagesMarkdown(lines, messages);
+
+  return lines.join('\n');
+}
+
+// --- JSON (lossless) ---
+
+export function toJson(conversation) {
+  const { title, model, provider, createdAt, updatedAt, messages = [] } = conversation;
+  return JSON.stringify({
+    format: CONVERSATION_EXPORT_FORMAT,
+    version: CONVERSATION_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: { title, model, provider, createdAt, updatedAt, messages }
+  }, null, 2);
+}
+
+/**
+ * Parse a JSON export back into a conversation.
+ * @param {string} text - File contents
+ * @returns {{title?: string, model?: string, provider?: string, messages: Array<object>}}
+ */
+export function parseConversationImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.format !== CONVERSATION_EXPORT_FORMAT) {
+    throw new Error('The file is not a conversation export.');
+  }
+  if (data.version > CONVERSATION_EXPORT_VERSION) {
+    throw new Error(`The file was exported by a newer version (format v${data.version}).`);
+  }
+  const conversation = data.conversation;
+  if (!conversation || !Array.isArray(conversation.messages)) {
+    throw new Error('The export does not contain any messages.');
+  }
+  const validRoles = ['user', 'assistant', 'system', 'tool'];
+  if (!conversation.messages.every(msg => msg && validRoles.includes(msg.role))) {
+    throw new Error('The export contains messages with an unknown role.');
+  }
+  return conversation;
+}
+
+// --- HTML (standalone) ---
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #111; line-height: 1.55; }
+  header { border-bottom: 1px solid #ddd; margin-bottom: 1.5rem; }
+  header p { color: #666; font-size: 0.875rem; }
+  .message { margin: 1rem 0; }
+  .message.user { background: #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; margin-left: auto; max-width: 36rem; white-space: pre-wrap; }
+  .message.assistant { border-bottom: 1px solid #d1d5db; padding-bottom: 1rem; }
+  .message img { max-width: 20rem; max-height: 12rem; border-radius: 6px; display: block; margin-top: 0.5rem; }
+  details { margin: 0.5rem 0; border-radius: 6px; padding: 0.5rem 0.75rem; }
+  details.reasoning { background: #eff6ff; color: #1e3a8a; }
+  details.executed-tools { background: #f0fdf4; color: #14532d; }
+  details.tool-call { border: 1px solid #374151; }
+  details.compaction { border: 1px dashed #d1d5db; color: #4b5563; }
+  summary { cursor: pointer; font-weight: 500; }
+  pre { background: #f3f4f6; padding: 0.5rem; border-radius: 4px; overflow-x: auto; font-size: 0.8rem; white-space: pre-wrap; }
+  .tool-error { color: #b91c1c; }
+  .label { font-size: 0.75rem; color: #4b5563; margin: 0.5rem 0 0.25rem; }
+`;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderMarkdownToHtml = (content) =>
+  renderToStaticMarkup(<MarkdownRenderer content={content} disableMath={true} />);
+
+const renderToolCallHtml = (toolCall, messages) => {
+  const { pending, error, result } = formatToolResult(findToolResult(messages, toolCall.id));
+  const resultHtml = pending
+    ? '<p class="label">No result</p>'
+    : error
+      ? `<p class="label">Error</p><pre class="tool-error">${escapeHtml(error)}</pre>`
+      : `<p class="label">Result</p><pre>${escapeHtml(result)}</pre>`;
+  return `<details class="tool-call"><summary>Tool: ${escapeHtml(toolCall.function?.name || '')}</summary>`
+    + `<p class="label">Arguments</p><pre>${escapeHtml(formatArguments(toolCall.function?.arguments))}</pre>${resultHtml}</details>`;
+};
+
+const renderMessageHtml = (message, messages) => {
+  if (message.compaction) {
+    return `<details class="compaction"><summary>Context compacted · ${message.compaction.messageCount} earlier messages summarized</summary>`
+      + renderMarkdownToHtml(getTextContent(message.content))
+      + `<details class="compaction"><summary>Original messages</summary>${renderMessagesHtml(message.compaction.messages || [])}</details></details>`;
+  }
+  if (message.role === 'user') {
+    const images = getImageUrls(message.content).map(url => `<img src="${escapeHtml(url)}" alt="Uploaded image">`).join('');
+    return `<section class="message user">${escapeHtml(getTextContent(message.content))}${images}</section>`;
+  }
+
+  const parts = [];
+  if (message.reasoning) {
+    parts.push(`<details class="reasoning"><summary>Show reasoning</summary>${renderMarkdownToHtml(message.reasoning)}</details>`);
+  }
+  if (message.executed_tools?.length > 0) {
+    const tools = message.executed_tools.map(tool => [
+      `<p><strong>${escapeHtml(tool.type || 'Tool')}</strong>${tool.name ? ` (${escapeHtml(tool.name)})` : ''}</p>`,
+      tool.arguments ? `<p class="label">Code</p><pre>${escapeHtml(formatExecutedToolCode(tool.arguments))}</pre>` : '',
+      tool.output ? `<p class="label">Output</p><pre>${escapeHtml(tool.output)}</pre>` : ''
+    ].join('')).join('');
+    parts.push(`<details class="executed-tools"><summary>Built in tool calling [${message.executed_tools.length}]</summary>${tools}</details>`);
+  }
+  parts.push(renderMarkdownToHtml(getTextContent(message.content)));
+  parts.push(...(message.tool_calls || []).map(toolCall => renderToolCallHtml(toolCall, messages)));
+
+  return `<section class="message ${escapeHtml(message.role)}">${parts.join('')}</section>`;
+};
+
+const renderMessagesHtml = (messages) => messages
+  .filter(message => message.role !== 'tool')
+  .map(message => renderMessageHtml(message, messages))
+  .join('\n');
+
+export function toHtml(conversation) {
+  const { title, model, provider, messages = [] } = conversation;
+  const meta = [model && `Model: ${model}`, provider && `Provider: ${provider}`, `Exported: ${new Date().toLocaleString()}`].filter(Boolean);
+  const body = renderMessagesHtml(messages);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title || 'Conversation')}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title || 'Conversation')}</h1><p>${escapeHtml(meta.join(' · '))}</p></header>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Serialize a conversation and return the file name and contents for the chosen format.
+ * @param {object} conversation - { title, model, provider, createdAt, updatedAt, messages }
+ * @param {'markdown'|'json'|'html'} format
+ * @returns {{fileName: string, content: string}}
+ */
+export function exportConversation(conversation, format) {
+  const serializers = { markdown: toMarkdown, json: toJson, html: toHtml };
+  if (!serializers[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return {
+    fileName: buildFileName(conversation, format),
+    content: serializers[format](conversation)
+  };
+}
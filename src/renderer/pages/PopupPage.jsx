@@ -1,10 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { ImagePlus, Hammer, X, FileText, Send, NotebookPen, ChevronDown, Check } from 'lucide-react';
+import { ImagePlus, Hammer, X, FileText, Send, NotebookPen, ChevronDown, Check, Square } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { Textarea } from '../components/ui/textarea';
 import { cn } from '../lib/utils';
 import MessageList from '../components/MessageList';
+import ToolApprovalModal from '../components/ToolApprovalModal';
+import { useConversationRunner } from '../hooks/useConversationRunner';
 
 const ContextPill = ({ title, onRemove }) => (
   <Badge variant="outline" className="inline-flex items-center gap-2 bg-background/50 backdrop-blur-sm border-border/50 text-foreground shadow-sm">
@@ -97,7 +99,6 @@ const PopupPage = () => {
   const [context, setContext] = useState(null);
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
-  const [loading, setLoading] = useState(false);
   const [selectedModel, setSelectedModel] = useState('llama-3.3-70b-versatile');
   const [models, setModels] = useState([]);
   const [modelConfigs, setModelConfigs] = useState({});
@@ -112,6 +113,9 @@ const PopupPage = () => {
   const fileInputRef = useRef(null);
   const popupRef = useRef(null);
 
+  // Same main-process loop as the main window: tools, approvals and Stop
+  const { loading, pendingApprovalCall, runConversation, respondToApproval, stop } = useConversationRunner(setMessages);
+
   // Load models and context on mount
   useEffect(() => {
     initializePopup();
@@ -259,7 +263,7 @@ const PopupPage = () => {
     }
   };
 
-  const handleSendMessage = async () => {
+  const handleSendMessage = () => {
     const textContent = inputValue.trim();
     const hasText = textContent.length > 0;
     const hasFiles = files.length > 0;
@@ -352,7 +356,6 @@ const PopupPage = () => {
     setInputValue('');
     setFiles([]); // Clear files after sending
     setSuggestion(''); // Clear suggestion on send
-    setLoading(true);
     
     // Create message for model
     const userMessageForModel = {
@@ -360,82 +363,7 @@ const PopupPage = () => {
       content: modelMessageContent
     };
 
-    try {
-      // Create assistant message placeholder
-      const assistantPlaceholder = {
-        role: 'assistant',
-        content: '',
-        isStreaming: true
-      };
-      
-      setMessages(prev => [...prev, assistantPlaceholder]);
-
-      // Start streaming
-      const streamHandler = window.electron.startChatStream([...messages, userMessageForModel], selectedModel);
-      
-      let finalContent = '';
-
-      streamHandler.onContent(({ content }) => {
-        finalContent += content;
-        setMessages(prev => {
-          const newMessages = [...prev];
-          const lastIndex = newMessages.length - 1;
-          if (newMessages[lastIndex] && newMessages[lastIndex].isStreaming) {
-            newMessages[lastIndex] = {
-              ...newMessages[lastIndex],
-              content: finalContent
-            };
-          }
-          return newMessages;
-        });
-      });
-
-      streamHandler.onComplete((data) => {
-        setMessages(prev => {
-          const newMessages = [...prev];
-          const lastIndex = newMessages.length - 1;
-          if (newMessages[lastIndex] && newMessages[lastIndex].isStreaming) {
-            newMessages[lastIndex] = {
-              role: 'assistant',
-              content: data.content || finalContent,
-              isStreaming: false
-            };
-          }
-          return newMessages;
-        });
-        setLoading(false);
-        streamHandler.cleanup();
-      });
-
-      streamHandler.onError(({ error }) => {
-        console.error('Stream error:', error);
-        setMessages(prev => {
-          const newMessages = [...prev];
-          const lastIndex = newMessages.length - 1;
-          if (newMessages[lastIndex] && newMessages[lastIndex].isStreaming) {
-            newMessages[lastIndex] = {
-              role: 'assistant',
-              content: `Error: ${error}`,
-              isStreaming: false
-            };
-          }
-          return newMessages;
-        });
-        setLoading(false);
-        streamHandler.cleanup();
-      });
-
-    } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages(prev => [
-        ...prev,
-        {
-          role: 'assistant',
-          content: `Error: ${error.message}`
-        }
-      ]);
-      setLoading(false);
-    }
+    runConversation([...messages, userMessageForModel], selectedModel);
   };
 
   // Function to handle file selection (images and other files)
@@ -732,14 +660,14 @@ const PopupPage = () => {
                 style={{ WebkitAppRegion: 'no-drag' }}
               />
               <Button
-                onClick={handleSendMessage}
-                disabled={!inputValue.trim() || loading}
+                onClick={loading ? stop : handleSendMessage}
+                disabled={!loading && !inputValue.trim()}
                 size="icon"
                 className="absolute right-2 bottom-2 h-8 w-8 rounded-xl bg-primary hover:bg-primary/90 disabled:bg-muted disabled:text-muted-foreground shadow-md hover:shadow-lg transition-all duration-200 hover:scale-105"
                 style={{ WebkitAppRegion: 'no-drag' }}
               >
                 {loading ? (
-                  <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                  <Square size={14} className="fill-current" />
                 ) : (
                   <Send size={14} />
                 )}
@@ -751,6 +679,13 @@ const PopupPage = () => {
         </div>
       </div>
 
+      {pendingApprovalCall && (
+        <ToolApprovalModal
+          toolCall={pendingApprovalCall}
+          onApprove={respondToApproval}
+        />
+      )}
+
       {/* Fullscreen Image Modal */}
       {fullScreenImage && (
         <div 
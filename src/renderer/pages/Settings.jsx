@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { ArrowLeft, Eye, EyeOff, Plus, Trash2, Edit3, Save, X, RefreshCw, Key, Settings as SettingsIcon, Zap, Cpu, Server, AlertCircle, CheckCircle } from 'lucide-react';
+import { ArrowLeft, Eye, EyeOff, Plus, Trash2, Edit3, Save, X, RefreshCw, Key, Settings as SettingsIcon, Zap, Cpu, Server, AlertCircle, CheckCircle, FolderPlus, Upload } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
@@ -9,6 +9,10 @@ import { Textarea } from '../components/ui/textarea';
 import { Badge } from '../components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import Switch from '../components/ui/Switch';
+import McpConfigImporter from '../components/McpConfigImporter';
+
+const formatHeadersText = (headers) =>
+  Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
 
 function Settings() {
   const [settings, setSettings] = useState({
@@ -21,6 +25,9 @@ function Settings() {
     popupEnabled: true,
     customCompletionUrl: '',
     toolOutputLimit: 8000,
+    toolCallTimeout: 300,
+    contextCompaction: 'summarize',
+    workspaceRoots: [],
     customApiBaseUrl: '',
     customModels: {}
   });
@@ -33,13 +40,19 @@ function Settings() {
     command: '',
     args: '',
     env: {},
-    url: ''
+    url: '',
+    headers: {}
   });
   const [useJsonInput, setUseJsonInput] = useState(false);
   const [jsonInput, setJsonInput] = useState('');
   const [jsonError, setJsonError] = useState(null);
   const [settingsPath, setSettingsPath] = useState('');
   const [newEnvVar, setNewEnvVar] = useState({ key: '', value: '' });
+  const [newHeader, setNewHeader] = useState({ name: '', value: '' });
+  // Whether header values can be stored encrypted (null until known), and the user's consent to
+  // store them unencrypted where they cannot
+  const [headerEncryptionAvailable, setHeaderEncryptionAvailable] = useState(null);
+  const [allowUnencryptedHeaders, setAllowUnencryptedHeaders] = useState(false);
   const [editingServerId, setEditingServerId] = useState(null);
   const [newCustomModel, setNewCustomModel] = useState({
     id: '',
@@ -49,10 +62,17 @@ function Settings() {
     builtin_tools_supported: false
   });
   const [editingModelId, setEditingModelId] = useState(null);
+  const [openaiHeadersText, setOpenaiHeadersText] = useState('');
   
   const statusTimeoutRef = useRef(null);
   const saveTimeoutRef = useRef(null);
 
+  useEffect(() => {
+    window.electron.getMcpHeaderEncryption?.()
+      .then(result => setHeaderEncryptionAvailable(Boolean(result?.available)))
+      .catch(error => console.error('Error checking header encryption:', error));
+  }, []);
+
   useEffect(() => {
     const loadSettings = async () => {
       try {
@@ -61,6 +81,7 @@ function Settings() {
             settingsData.disabledMcpServers = [];
         }
         setSettings(settingsData);
+        setOpenaiHeadersText(formatHeadersText(settingsData.openaiCompatibleHeaders));
       } catch (error) {
         console.error('Error loading settings:', error);
         setSettings(prev => ({
@@ -74,6 +95,9 @@ function Settings() {
             popupEnabled: true,
             customCompletionUrl: '',
             toolOutputLimit: 8000,
+            toolCallTimeout: 300,
+            contextCompaction: 'summarize',
+            workspaceRoots: [],
             customApiBaseUrl: '',
             customModels: {},
         }));
@@ -154,6 +178,33 @@ function Settings() {
   };
 
 
+  const handleAddWorkspaceRoots = async () => {
+    try {
+      const result = await window.electron.selectWorkspaceFolders();
+      if (!result.success) throw new Error(result.error);
+      if (result.canceled) return;
+      const currentRoots = settings.workspaceRoots || [];
+      const updatedSettings = {
+        ...settings,
+        workspaceRoots: [...currentRoots, ...result.paths.filter(folderPath => !currentRoots.includes(folderPath))]
+      };
+      setSettings(updatedSettings);
+      saveSettings(updatedSettings);
+    } catch (error) {
+      console.error('Error selecting workspace folders:', error);
+      setSaveStatus({ type: 'error', message: `Error: ${error.message}` });
+    }
+  };
+
+  const handleRemoveWorkspaceRoot = (folderPath) => {
+    const updatedSettings = {
+      ...settings,
+      workspaceRoots: (settings.workspaceRoots || []).filter(root => root !== folderPath)
+    };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
   const handleNumberChange = (e) => {
     const { name, value } = e.target;
     const updatedSettings = { ...settings, [name]: parseFloat(value) };
@@ -161,6 +212,25 @@ function Settings() {
     saveSettings(updatedSettings);
   };
 
+  // Extra headers are edited as "Name: value" lines but stored as an object
+  const handleOpenaiHeadersChange = (e) => {
+    const text = e.target.value;
+    setOpenaiHeadersText(text);
+
+    const headers = {};
+    text.split('\n').forEach(line => {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex <= 0) return;
+      const name = line.slice(0, separatorIndex).trim();
+      const value = line.slice(separatorIndex + 1).trim();
+      if (name) headers[name] = value;
+    });
+
+    const updatedSettings = { ...settings, openaiCompatibleHeaders: headers };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
   const handleNewMcpServerChange = (e) => {
     const { name, value } = e.target;
     setNewMcpServer(prev => ({ ...prev, [name]: value }));
@@ -173,7 +243,8 @@ function Settings() {
         command: transportType === 'sse' ? '' : prev.command,
         args: transportType === 'sse' ? '' : prev.args,
         env: transportType === 'sse' ? {} : prev.env,
-        url: transportType === 'stdio' ? '' : prev.url
+        url: transportType === 'stdio' ? '' : prev.url,
+        headers: transportType === 'stdio' ? {} : prev.headers
     }));
     setJsonInput('');
     setJsonError(null);
@@ -205,6 +276,50 @@ function Settings() {
     setJsonError(null);
   };
 
+  const addHeader = () => {
+    const name = newHeader.name.trim();
+    if (!name) return;
+
+    setNewMcpServer(prev => ({
+      ...prev,
+      headers: {
+        ...prev.headers,
+        [name]: newHeader.value
+      }
+    }));
+
+    setNewHeader({ name: '', value: '' });
+  };
+
+  const removeHeader = (name) => {
+    setNewMcpServer(prev => {
+      const updatedHeaders = { ...prev.headers };
+      delete updatedHeaders[name];
+      return { ...prev, headers: updatedHeaders };
+    });
+  };
+
+  const handleHeaderChange = (e) => {
+    const { name, value } = e.target;
+    setNewHeader(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Headers are kept by the main process, not in settings.json. A null value keeps the stored one;
+  // names left out are removed.
+  const saveServerHeaders = async (serverId, headers) => {
+    try {
+      const result = await window.electron.saveMcpServerHeaders(serverId, headers || {}, { allowUnencrypted: allowUnencryptedHeaders });
+      if (!result.success) {
+        setSaveStatus({ type: 'error', message: `Failed to save headers for ${serverId}: ${result.error}` });
+      } else if (!result.encrypted) {
+        console.warn(`Headers for ${serverId} were stored unencrypted, as agreed: encryption is not available on this system`);
+      }
+    } catch (error) {
+      console.error(`Error saving headers for ${serverId}:`, error);
+      setSaveStatus({ type: 'error', message: `Error saving headers: ${error.message}` });
+    }
+  };
+
   const handleEnvVarChange = (e) => {
     const { name, value } = e.target;
     setNewEnvVar(prev => ({ ...prev, [name]: value }));
@@ -440,6 +555,13 @@ function Settings() {
       }
     }
 
+    const hasNewHeaderValues = serverConfig.transport !== 'stdio'
+      && Object.values(newMcpServer.headers || {}).some(value => value !== null);
+    if (hasNewHeaderValues && headerEncryptionAvailable === false && !allowUnencryptedHeaders) {
+      setSaveStatus({ type: 'error', message: 'Header values cannot be encrypted on this system. Agree to store them unencrypted, or remove them.' });
+      return;
+    }
+
     console.log('Saving MCP server:', newMcpServer.id, 'with config:', serverConfig);
     
     // Update settings with new/updated MCP server
@@ -453,14 +575,31 @@ function Settings() {
 
     setSettings(updatedSettings);
     saveSettings(updatedSettings);
+    // Stdio servers have no headers; this also clears any left from a previous URL transport
+    saveServerHeaders(newMcpServer.id, serverConfig.transport === 'stdio' ? {} : newMcpServer.headers);
     
     // Clear the form, reset to stdio default
-    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '' });
+    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '', headers: {} });
+    setNewHeader({ name: '', value: '' });
     setJsonInput('');
     setJsonError(null);
     setEditingServerId(null); // Reset editing state after save
   };
 
+  const handleImportMcpServers = (importedServers, importedHeaders = {}) => {
+    const updatedSettings = {
+      ...settings,
+      mcpServers: {
+        ...settings.mcpServers,
+        ...importedServers
+      }
+    };
+
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    Object.keys(importedServers).forEach(serverId => saveServerHeaders(serverId, importedHeaders[serverId]));
+  };
+
   const removeMcpServer = (serverId) => {
     const updatedMcpServers = { ...settings.mcpServers };
     delete updatedMcpServers[serverId];
@@ -472,6 +611,7 @@ function Settings() {
     
     setSettings(updatedSettings);
     saveSettings(updatedSettings);
+    saveServerHeaders(serverId, {});
 
     // If the removed server was being edited, cancel the edit
     if (editingServerId === serverId) {
@@ -518,9 +658,22 @@ function Settings() {
       command: command,
       args: argsString,
       env: envObject,
-      url: url // URL will be populated correctly now
+      url: url, // URL will be populated correctly now
+      headers: {}
     });
 
+    // Only the names of stored headers come back; null keeps a value unless it is replaced
+    if (transport !== 'stdio') {
+      window.electron.getMcpServerHeaders(serverId)
+        .then(result => {
+          if (result?.success) {
+            const storedHeaders = Object.fromEntries(result.headers.map(({ name }) => [name, null]));
+            setNewMcpServer(prev => (prev.id === serverId ? { ...prev, headers: storedHeaders } : prev));
+          }
+        })
+        .catch(error => console.error(`Error loading headers for ${serverId}:`, error));
+    }
+
     // Also populate the JSON input field based on the correct structure
     try {
       let jsonConfig;
@@ -548,7 +701,8 @@ function Settings() {
   // Function to cancel editing
   const cancelEditing = () => {
     setEditingServerId(null);
-    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '' }); // Reset form
+    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '', headers: {} }); // Reset form
+    setNewHeader({ name: '', value: '' });
     setJsonInput('');
     setJsonError(null);
   };
@@ -654,6 +808,7 @@ function Settings() {
           settingsData.disabledMcpServers = [];
       }
       setSettings(settingsData);
+      setOpenaiHeadersText(formatHeadersText(settingsData.openaiCompatibleHeaders));
       setSaveStatus({ type: 'success', message: 'Settings reloaded from disk' });
     } catch (error) {
       console.error('Error reloading settings:', error);
@@ -670,11 +825,17 @@ function Settings() {
   };
 
   // Function to reset tool call approvals in localStorage
-  const handleResetToolApprovals = () => {
+  const handleResetToolApprovals = async () => {
     setIsSaving(true);
     setSaveStatus({ type: 'info', message: 'Resetting approvals...' });
 
     try {
+      const result = await window.electron.resetToolApprovals();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to reset approvals');
+      }
+
+      // Also drop approvals left in localStorage by older versions
       const keysToRemove = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
@@ -799,11 +960,14 @@ function Settings() {
                     <SelectContent>
                       <SelectItem value="ollama-turbo">Ollama Turbo (Cloud)</SelectItem>
                       <SelectItem value="local-ollama">Local Ollama</SelectItem>
+                      <SelectItem value="openai-compatible">OpenAI-Compatible</SelectItem>
                     </SelectContent>
                   </Select>
                   <p className="text-xs text-muted-foreground">
                     {settings.provider === 'local-ollama' 
                       ? 'Use Ollama running locally on your machine. Requires Ollama to be installed and running.'
+                      : settings.provider === 'openai-compatible'
+                      ? 'Use any server exposing the OpenAI chat completions API (vLLM, LM Studio, llama.cpp, OpenRouter, ...)'
                       : 'Use the cloud-hosted Ollama Turbo service at ollama.com'}
                   </p>
                 </div>
@@ -811,7 +975,7 @@ function Settings() {
             </Card>
 
             {/* API Settings - Only show for Ollama Turbo */}
-            {settings.provider !== 'local-ollama' && (
+            {(settings.provider || 'ollama-turbo') === 'ollama-turbo' && (
               <Card>
                 <CardHeader>
                   <CardTitle className="flex items-center space-x-2">
@@ -921,6 +1085,91 @@ function Settings() {
               </Card>
             )}
 
+            {/* OpenAI-Compatible Configuration - Only show for OpenAI-Compatible */}
+            {settings.provider === 'openai-compatible' && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <Server className="h-5 w-5 text-primary" />
+                    <span>OpenAI-Compatible Configuration</span>
+                  </CardTitle>
+                  <CardDescription>
+                    Configure the endpoint, credentials and headers for your OpenAI-compatible server
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="openai-compatible-base-url">Base URL</Label>
+                    <Input
+                      type="text"
+                      id="openai-compatible-base-url"
+                      name="openaiCompatibleBaseUrl"
+                      value={settings.openaiCompatibleBaseUrl || ''}
+                      onChange={handleChange}
+                      placeholder="e.g., http://localhost:8000/v1 or https://openrouter.ai/api/v1"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      Requests are sent to {'<base URL>'}/v1/chat/completions. A trailing /v1 is optional.
+                    </p>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="openai-compatible-api-key">API Key (Optional)</Label>
+                    <div className="relative">
+                      <Input
+                        type={showApiKey ? "text" : "password"}
+                        id="openai-compatible-api-key"
+                        name="openaiCompatibleApiKey"
+                        value={settings.openaiCompatibleApiKey || ''}
+                        onChange={handleChange}
+                        placeholder="Sent as a Bearer token"
+                        className="pr-10"
+                      />
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        className="absolute right-0 top-0 h-10 w-10"
+                        onClick={() => setShowApiKey(!showApiKey)}
+                      >
+                        {showApiKey ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="openai-compatible-headers">Extra Headers (Optional)</Label>
+                    <Textarea
+                      id="openai-compatible-headers"
+                      value={openaiHeadersText}
+                      onChange={handleOpenaiHeadersChange}
+                      rows={3}
+                      placeholder={'HTTP-Referer: https://example.com\nX-Title: My App'}
+                      className="font-mono text-sm"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      One header per line in the form Name: value. Sent with every request.
+                    </p>
+                  </div>
+
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={async () => {
+                      const result = await window.electron.validateProvider();
+                      if (result.success) {
+                        setSaveStatus({ type: 'success', message: 'Successfully connected to OpenAI-compatible server!' });
+                      } else {
+                        setSaveStatus({ type: 'error', message: result.error });
+                      }
+                    }}
+                  >
+                    Test Connection
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Generation Parameters */}
             <Card>
               <CardHeader>
@@ -974,10 +1223,76 @@ function Settings() {
                     </p>
                   </div>
                 </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="context-compaction">Long Conversations</Label>
+                  <Select
+                    value={settings.contextCompaction || 'summarize'}
+                    onValueChange={(value) => handleSelectChange('contextCompaction', value)}
+                  >
+                    <SelectTrigger id="context-compaction">
+                      <SelectValue placeholder="Select how to shorten the history" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="summarize">Summarize older messages</SelectItem>
+                      <SelectItem value="truncate">Drop older messages</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-muted-foreground">
+                    When the history passes half of the model's context window, older messages are either summarized by the model into one message or dropped
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="toolCallTimeout">Tool Call Timeout (seconds)</Label>
+                  <Input
+                    id="toolCallTimeout"
+                    name="toolCallTimeout"
+                    type="number"
+                    min="0"
+                    step="30"
+                    value={settings.toolCallTimeout ?? 300}
+                    onChange={handleNumberChange}
+                    className="w-40"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    MCP tool calls still running after this long are stopped. Running calls can be given more time from their card; 0 means no limit
+                  </p>
+                </div>
                 
               </CardContent>
             </Card>
 
+            {/* Workspace Roots */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Workspace Roots</CardTitle>
+                <CardDescription>
+                  Folders exposed to connected MCP servers as roots, so filesystem and git servers can work in your project without hardcoded paths. A conversation can set its own folders from the chat header.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {(settings.workspaceRoots || []).length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No workspace folders added</p>
+                ) : (
+                  <div className="space-y-2">
+                    {settings.workspaceRoots.map(folderPath => (
+                      <div key={folderPath} className="flex items-center justify-between gap-2 p-2 rounded border">
+                        <code className="text-sm truncate" title={folderPath}>{folderPath}</code>
+                        <Button variant="ghost" size="sm" onClick={() => handleRemoveWorkspaceRoot(folderPath)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <Button variant="outline" size="sm" onClick={handleAddWorkspaceRoots}>
+                  <FolderPlus className="h-4 w-4 mr-2" />
+                  Add Folder
+                </Button>
+              </CardContent>
+            </Card>
+
             {/* Popup Window Settings */}
             <Card>
               <CardHeader>
@@ -1049,12 +1364,12 @@ function Settings() {
                                 <div className="flex items-center space-x-2">
                                   <Badge variant="secondary">{id}</Badge>
                                   <Badge variant="outline" className="text-xs">
-                                    {config.transport === 'sse' ? 'SSE' : 'Stdio'}
+                                    {config.transport === 'sse' ? 'SSE' : config.transport === 'streamableHttp' ? 'Streamable HTTP' : 'Stdio'}
                                   </Badge>
                                 </div>
                                 
                                 <div className="text-sm text-muted-foreground font-mono">
-                                  {config.transport === 'sse' ? (
+                                  {config.transport === 'sse' || config.transport === 'streamableHttp' ? (
                                     <span>URL: {config.url}</span>
                                   ) : (
                                     <span>$ {config.command} {(config.args || []).join(' ')}</span>
@@ -1098,6 +1413,18 @@ function Settings() {
                   </div>
                 )}
 
+                {/* Import Servers Section */}
+                <div className="border-t pt-6 space-y-4">
+                  <h4 className="font-medium text-sm flex items-center space-x-2">
+                    <Upload className="h-4 w-4" />
+                    <span>Import From Another Client</span>
+                  </h4>
+                  <McpConfigImporter
+                    existingServers={settings.mcpServers || {}}
+                    onImport={handleImportMcpServers}
+                  />
+                </div>
+
                 {/* Add New Server Section */}
                 <div className="border-t pt-6 space-y-4">
                   <h4 className="font-medium text-sm flex items-center space-x-2">
@@ -1235,13 +1562,89 @@ function Settings() {
                     </div>
                   )}
 
+                  {/* HTTP Headers Section */}
+                  {newMcpServer.transport !== 'stdio' && (
+                    <div className="space-y-2">
+                      <Label>HTTP Headers</Label>
+                      <p className="text-xs text-muted-foreground">
+                        Sent with every request, e.g. Authorization: Bearer &lt;token&gt; or X-Api-Key. Values are kept outside settings.json and not shown again; add a header with the same name to replace one.
+                        {headerEncryptionAvailable !== false && ' They are stored encrypted.'}
+                      </p>
+                      {headerEncryptionAvailable === false && (
+                        <div className="rounded-md border border-yellow-300 bg-yellow-50 dark:border-yellow-800 dark:bg-yellow-900/20 p-3 space-y-2">
+                          <p className="text-xs text-yellow-800 dark:text-yellow-300">
+                            Encryption is not available on this system (no OS keychain was found), so header values can only be stored unencrypted.
+                          </p>
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="checkbox"
+                              id="allow-unencrypted-headers"
+                              checked={allowUnencryptedHeaders}
+                              onChange={(e) => setAllowUnencryptedHeaders(e.target.checked)}
+                              className="rounded border-gray-300"
+                            />
+                            <Label htmlFor="allow-unencrypted-headers" className="text-xs font-normal">
+                              Store header values unencrypted
+                            </Label>
+                          </div>
+                        </div>
+                      )}
+                      <div className="space-y-2">
+                        {Object.entries(newMcpServer.headers || {}).map(([name, value]) => (
+                          <div key={name} className="flex items-center space-x-2">
+                            <div className="flex-1 grid grid-cols-2 gap-2">
+                              <Input value={name} disabled className="bg-muted font-mono" />
+                              <Input value={value === null ? '******** (stored)' : '******** (new)'} disabled className="bg-muted" />
+                            </div>
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => removeHeader(name)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        ))}
+
+                        <div className="flex items-center space-x-2">
+                          <Input
+                            name="name"
+                            value={newHeader.name}
+                            onChange={handleHeaderChange}
+                            placeholder="Header name"
+                            className="flex-1 font-mono"
+                          />
+                          <Input
+                            name="value"
+                            type="password"
+                            value={newHeader.value}
+                            onChange={handleHeaderChange}
+                            placeholder="Header value"
+                            className="flex-1"
+                          />
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            onClick={addHeader}
+                            disabled={!newHeader.name.trim()}
+                          >
+                            <Plus className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
                   <div className="flex justify-end space-x-2">
                     <Button
                       variant="outline"
                       onClick={() => {
                         setNewMcpServer({
-                          id: '', transport: 'stdio', command: '', args: '', env: {}
+                          id: '', transport: 'stdio', command: '', args: '', env: {}, headers: {}
                         });
+                        setNewHeader({ name: '', value: '' });
                         setJsonInput('');
                         setJsonError(null);
                       }}